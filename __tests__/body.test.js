@@ -0,0 +1,123 @@
+const request = require('supertest');
+const express = require('express');
+
+const Uxio = require('../index');
+const { assignField, normalizeBodyOptions } = require('../src/body');
+
+// Builds an app with the given body options and a route echoing what was parsed
+const createApp = (body, limits) => {
+  const app = express();
+  app.use(Uxio({ body, limits }));
+  app.post('/form', (req, res) => {
+    res.json({ body: req.body, fields: req.uxio.fields });
+  });
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+  return app;
+};
+
+const build = (pairs, options = true) => {
+  const body = {};
+  for (const [name, value] of pairs) {
+    assignField(body, name, value, normalizeBodyOptions(options));
+  }
+  return body;
+};
+
+describe('req.body parsing', () => {
+  test('should keep the last value of a repeated key by default', async () => {
+    const res = await request(createApp())
+      .post('/form')
+      .field('tags', 'a')
+      .field('tags', 'b')
+      .field('user[name]', 'Ada');
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ tags: 'b', 'user[name]': 'Ada' });
+  });
+
+  test('should collect repeated keys and expand nested names', async () => {
+    const res = await request(createApp(true))
+      .post('/form')
+      .field('tags', 'a')
+      .field('tags', 'b')
+      .field('user[address][city]', 'Dodoma')
+      .field('user.name', 'Ada')
+      .field('langs[]', 'sw')
+      .field('langs[]', 'en')
+      .field('items[0][sku]', 'A1')
+      .field('items[1][sku]', 'B2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({
+      tags: ['a', 'b'],
+      user: { address: { city: 'Dodoma' }, name: 'Ada' },
+      langs: ['sw', 'en'],
+      items: [{ sku: 'A1' }, { sku: 'B2' }],
+    });
+  });
+
+  test('should decode JSON parts only when enabled', async () => {
+    const settings = JSON.stringify({ theme: 'dark', size: 3 });
+
+    const decoded = await request(createApp({ json: true }))
+      .post('/form')
+      .field('settings', settings, { contentType: 'application/json' });
+    expect(decoded.body.body).toEqual({ settings: { theme: 'dark', size: 3 } });
+
+    const raw = await request(createApp())
+      .post('/form')
+      .field('settings', settings, { contentType: 'application/json' });
+    expect(raw.body.body).toEqual({ settings });
+
+    const invalid = await request(createApp({ json: true }))
+      .post('/form')
+      .field('settings', '{not json', { contentType: 'application/json' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toContain("Field 'settings' is not valid JSON");
+  });
+
+  test('should drop keys that reach the prototype', () => {
+    const body = build([
+      ['__proto__[polluted]', 'yes'],
+      ['user[__proto__][polluted]', 'yes'],
+      ['constructor[prototype][polluted]', 'yes'],
+      ['user.constructor', 'yes'],
+      ['__proto__', 'yes'],
+      ['safe', 'ok'],
+    ]);
+
+    expect(body).toEqual({ safe: 'ok' });
+    expect({}.polluted).toBeUndefined();
+    expect(Object.getPrototypeOf(body)).toBe(Object.prototype);
+  });
+
+  test('should keep names that cannot be expanded flat', () => {
+    const body = build([
+      ['a', '1'],
+      ['a[b]', '2'],
+      ['list[500]', 'far'],
+      ['deep[1][2][3][4][5][6]', 'x'],
+      ['broken[name', 'y'],
+    ]);
+
+    expect(body).toEqual({
+      a: '1',
+      'a[b]': '2',
+      list: { 500: 'far' },
+      'deep[1][2][3][4][5][6]': 'x',
+      'broken[name': 'y',
+    });
+  });
+
+  test('should report busboy truncation info for each field', async () => {
+    const res = await request(createApp(undefined, {}))
+      .post('/form')
+      .field('short', 'ok');
+
+    expect(res.body.fields).toEqual([
+      { fieldname: 'short', valueTruncated: false, nameTruncated: false, encoding: '7bit', mimeType: 'text/plain' },
+    ]);
+  });
+});
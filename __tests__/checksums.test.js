@@ -0,0 +1,98 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const DUMMY_FILE_PATH = path.join(__dirname, 'checksums_dummy.txt');
+const CONTENT = 'This is a test file.';
+const UPLOADS_DIR = path.join(__dirname, 'uploads', 'checksums');
+
+const sha256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const md5 = crypto.createHash('md5').update(CONTENT).digest('hex');
+
+const app = express();
+app.use(Uxio({ checksums: ['sha256', 'md5', 'crc32'] }));
+app.post('/upload', (req, res) => {
+  res.json(req.uxio.files.map((f) => f.checksums));
+});
+app.post('/save', async (req, res) => {
+  try {
+    res.json(await Uxio.files.save({ fieldname: 'doc', path: UPLOADS_DIR, makedir: true }, req.uxio));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+describe('Uxio streaming checksums', () => {
+  beforeAll(async () => {
+    await fs.writeFile(DUMMY_FILE_PATH, CONTENT);
+  });
+
+  afterAll(async () => {
+    await fs.unlink(DUMMY_FILE_PATH).catch(() => {});
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true }).catch(() => {});
+  });
+
+  test('should compute the configured digests for each file', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toEqual({
+      sha256,
+      md5,
+      crc32: zlib.crc32(CONTENT).toString(16).padStart(8, '0'),
+    });
+  });
+
+  test('should include the digests in the saved file info', async () => {
+    const res = await request(app)
+      .post('/save')
+      .attach('doc', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toHaveProperty('checksums.sha256', sha256);
+  });
+
+  test('should accept a matching per-file digest field (hex or base64)', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .field('doc.sha256', sha256)
+      .field('doc.md5', Buffer.from(md5, 'hex').toString('base64'))
+      .attach('doc', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('should reject a file that does not match its digest field', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', DUMMY_FILE_PATH)
+      .field('doc.sha256', 'a'.repeat(64));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', expect.stringContaining('does not match its sha256 digest'));
+  });
+
+  test('should verify the Content-Digest header against the request body', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .set('Content-Digest', `sha-256=:${Buffer.alloc(32).toString('base64')}:`)
+      .attach('doc', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', 'Request body does not match its sha256 digest.');
+  });
+
+  test('should refuse unsupported algorithms when the middleware is created', () => {
+    expect(() => Uxio({ checksums: ['sha3-1024'] })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+const Uxio = require('../index');
+
+const UPLOADS_DIR = path.join(__dirname, 'content_validations_uploads');
+
+// Stand-ins for media and documents, so the rules do not depend on ffprobe or real PDFs,
+// that report the file size as the duration or the page count
+const sizeOf = async (source) => (Buffer.isBuffer(source) ? source.length : (await fs.stat(source)).size);
+Uxio.metadata.register('video/x-uxio-clip', async (source) => ({ duration: await sizeOf(source) }), { name: 'clip' });
+Uxio.metadata.register('application/x-uxio-book', async (source) => ({ pages: await sizeOf(source) }), { name: 'book' });
+
+const uploaded = [];
+Uxio.files.registerProvider('validation-test', {
+  upload: async (file, { key }) => {
+    uploaded.push(key);
+    return { key };
+  },
+});
+
+// The routes save (or send) with the config returned by `configure`
+const createApp = (configure) => {
+  const app = express();
+  app.use(Uxio());
+  app.post('/save', async (req, res) => {
+    try {
+      const saved = await Uxio.files.save(configure(req), req.uxio);
+      res.json(saved.map((f) => ({ name: path.basename(f.path), width: f.width })));
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e.message });
+    }
+  });
+  app.post('/send', async (req, res) => {
+    try {
+      res.json(await Uxio.files.send(configure(req), req.uxio));
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e.message });
+    }
+  });
+  return app;
+};
+
+const saveTo = (validations, fieldname = 'doc') => ({ fieldname, path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite', validations });
+
+let landscape;
+
+describe('Content-aware validations', () => {
+  beforeAll(async () => {
+    landscape = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#fff' } }).png().toBuffer();
+  });
+
+  afterEach(async () => {
+    uploaded.length = 0;
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should check image dimensions and aspect ratio', async () => {
+    const cases = [
+      [{ minWidth: 40, maxWidth: 40, minHeight: 20, maxHeight: 20, aspectRatio: '2:1' }, 200],
+      [{ aspectRatio: 2.02, aspectRatioTolerance: 0.02 }, 200],
+      [{ minWidth: 50 }, 400, "Image 'photo.png' is 40px wide, the minimum is 50px."],
+      [{ maxHeight: 10 }, 400, "Image 'photo.png' is 20px high, the maximum is 10px."],
+      [{ aspectRatio: '1:1' }, 400, "Image 'photo.png' is 40x20, the required aspect ratio is 1:1."],
+      [{ aspectRatio: 'wide' }, 400, "Invalid aspectRatio 'wide'"],
+    ];
+    for (const [validations, status, error] of cases) {
+      const app = createApp(() => saveTo(validations));
+      const res = await request(app).post('/save').attach('doc', landscape, 'photo.png');
+      expect(res.status).toBe(status);
+      if (error) expect(res.body.error).toContain(error);
+    }
+
+    const res = await request(createApp(() => saveTo({ minWidth: 1 })))
+      .post('/save')
+      .attach('doc', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Could not read the dimensions of 'notes.txt'.");
+  });
+
+  test('should check the size floor and the extension', async () => {
+    const app = createApp(() => saveTo({ minSize: 10, extensions: ['PNG', '.jpg'] }));
+
+    const small = await request(app).post('/save').attach('doc', Buffer.from('tiny'), 'tiny.png');
+    expect(small.status).toBe(400);
+    expect(small.body.error).toBe("File size for 'tiny.png' is below the minimum of 10 bytes.");
+
+    const wrongExtension = await request(app).post('/save').attach('doc', landscape, 'photo.gif');
+    expect(wrongExtension.status).toBe(400);
+    expect(wrongExtension.body.error).toBe("Invalid file extension for 'photo.gif'. Only .png, .jpg are allowed.");
+
+    const ok = await request(app).post('/save').attach('doc', landscape, 'PHOTO.PNG');
+    expect(ok.status).toBe(200);
+    expect(ok.body).toEqual([{ name: 'PHOTO.PNG', width: 40 }]);
+  });
+
+  test('should check media duration and page counts', async () => {
+    const clip = { filename: 'clip.bin', contentType: 'video/x-uxio-clip' };
+    const book = { filename: 'book.bin', contentType: 'application/x-uxio-book' };
+
+    const longClip = await request(createApp(() => saveTo({ maxDuration: 5 }))).post('/save').attach('doc', Buffer.alloc(8), clip);
+    expect(longClip.status).toBe(400);
+    expect(longClip.body.error).toBe("'clip.bin' lasts 8 seconds, the maximum is 5.");
+
+    const noDuration = await request(createApp(() => saveTo({ maxDuration: 5 }))).post('/save').attach('doc', Buffer.alloc(4), book);
+    expect(noDuration.status).toBe(400);
+    expect(noDuration.body.error).toBe("Could not read the duration of 'book.bin'.");
+
+    const thickBook = await request(createApp(() => saveTo({ maxPages: 3 }))).post('/save').attach('doc', Buffer.alloc(4), book);
+    expect(thickBook.status).toBe(400);
+    expect(thickBook.body.error).toBe("'book.bin' has 4 pages, the maximum is 3.");
+
+    const thinBook = await request(createApp(() => saveTo({ maxPages: 3 }))).post('/save').attach('doc', Buffer.alloc(2), book);
+    expect(thinBook.status).toBe(200);
+  });
+
+  test('should run custom validators with the file and its metadata', async () => {
+    const seen = [];
+    const validators = [
+      async (file, metadata) => {
+        seen.push([file.filename, metadata.width]);
+      },
+      (file, metadata) => (metadata.width > 30 ? `'${file.filename}' is too wide for an avatar.` : true),
+    ];
+    const res = await request(createApp(() => saveTo({ custom: validators })))
+      .post('/save')
+      .attach('doc', landscape, 'avatar.png');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("'avatar.png' is too wide for an avatar.");
+    expect(seen).toEqual([['avatar.png', 40]]);
+
+    const rejected = await request(createApp(() => saveTo({ custom: () => false })))
+      .post('/save')
+      .attach('doc', landscape, 'avatar.png');
+    expect(rejected.body.error).toBe("File 'avatar.png' failed validation.");
+
+    const invalid = await request(createApp(() => saveTo({ custom: 'yes' })))
+      .post('/save')
+      .attach('doc', landscape, 'avatar.png');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should validate the whole batch before moving any file', async () => {
+    let firstFileMoved;
+    const app = createApp(() => [
+      saveTo({ maxSize: 1024 * 1024 }, 'avatar'),
+      saveTo({
+        custom: async () => {
+          firstFileMoved = await fs.access(path.join(UPLOADS_DIR, 'avatar.png')).then(() => true, () => false);
+          return 'Rejected late.';
+        },
+      }, 'doc'),
+    ]);
+
+    const res = await request(app)
+      .post('/save')
+      .attach('avatar', landscape, 'avatar.png')
+      .attach('doc', Buffer.from('content'), 'doc.txt');
+
+    expect(res.status).toBe(400);
+    expect(firstFileMoved).toBe(false);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual([]);
+  });
+
+  test('should validate every file before send() uploads anything', async () => {
+    const app = createApp(() => [
+      { fieldname: 'first', provider: 'validation-test', options: {} },
+      { fieldname: 'second', provider: 'validation-test', options: {}, validations: { minWidth: 100 } },
+    ]);
+
+    const res = await request(app)
+      .post('/send')
+      .attach('first', Buffer.from('ok'), 'first.txt')
+      .attach('second', landscape, 'second.png');
+
+    expect(res.status).toBe(400);
+    expect(uploaded).toEqual([]);
+  });
+
+  test('should apply the streaming-compatible rules to streamed files and refuse the others', async () => {
+    expect(() => Uxio({ send: { fieldname: 'doc', provider: 'stream-validation', options: {}, validations: { minWidth: 10 } } }))
+      .toThrow('minWidth need the whole file');
+
+    Uxio.files.registerProvider('stream-validation', {
+      upload: async () => ({}),
+      uploadStream: async (stream, { key }) => {
+        for await (const chunk of stream);
+        return { key };
+      },
+    });
+    const app = express();
+    app.use(Uxio({ send: { fieldname: 'doc', provider: 'stream-validation', options: {}, validations: { minSize: 5, extensions: '.txt' } } }));
+    app.post('/upload', (req, res) => res.json(req.uxio.sent));
+    app.use((err, req, res, next) => res.status(err.status || 500).json({ error: err.message }));
+
+    const small = await request(app).post('/upload').attach('doc', Buffer.from('abc'), 'a.txt');
+    expect(small.status).toBe(400);
+    expect(small.body.error).toContain('below the minimum of 5 bytes');
+
+    const wrongExtension = await request(app).post('/upload').attach('doc', Buffer.from('abcdef'), 'a.csv');
+    expect(wrongExtension.status).toBe(400);
+    expect(wrongExtension.body.error).toContain('Invalid file extension');
+
+    const ok = await request(app).post('/upload').attach('doc', Buffer.from('abcdef'), 'a.txt');
+    expect(ok.status).toBe(200);
+  });
+});
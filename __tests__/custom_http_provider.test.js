@@ -0,0 +1,153 @@
+const request = require('supertest');
+const express = require('express');
+const busboy = require('busboy');
+const path = require('path');
+const fs = require('fs/promises');
+const http = require('http');
+
+const Uxio = require('../index');
+
+const DUMMY_FILE_PATH = path.join(__dirname, 'custom_http_dummy.txt');
+
+// A receiving service that stores uploads by id and can be told to fail
+let server;
+let baseUrl;
+let stored = new Map();
+let failuresLeft = 0;
+let uploadAttempts = 0;
+let nextId = 1;
+
+const app = express();
+app.use(Uxio());
+
+app.post('/send', async (req, res) => {
+  try {
+    const fileInfo = await Uxio.files.send(
+      JSON.parse(req.body.configs).map((config) => ({
+        ...config,
+        options: {
+          ...config.options,
+          url: `${baseUrl}${config.options.url}`,
+          retries: { attempts: 3, minDelay: 1 },
+          rollback: { url: (result) => `${baseUrl}/files/${result.id}` },
+        },
+      })),
+      req.uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+describe('customHttp provider', () => {
+  beforeAll(async () => {
+    await fs.writeFile(DUMMY_FILE_PATH, 'This is a test file.');
+
+    server = http.createServer((req, res) => {
+      if (req.method === 'DELETE' && req.url.startsWith('/files/')) {
+        stored.delete(req.url.slice('/files/'.length));
+        res.writeHead(204);
+        return res.end();
+      }
+      if (req.method === 'POST' && req.url === '/reject') {
+        req.resume();
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'rejected' }));
+      }
+      uploadAttempts++;
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        req.resume();
+        res.writeHead(503);
+        return res.end();
+      }
+
+      const id = String(nextId++);
+      const reply = (entry) => {
+        stored.set(id, entry);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id }));
+      };
+
+      if (req.headers['content-type'].startsWith('multipart/form-data')) {
+        const entry = { fields: {} };
+        const bb = busboy({ headers: req.headers });
+        bb.on('field', (name, value) => { entry.fields[name] = value; });
+        bb.on('file', (name, file, info) => {
+          const chunks = [];
+          entry.fieldName = name;
+          entry.filename = info.filename;
+          file.on('data', (chunk) => chunks.push(chunk));
+          file.on('end', () => { entry.content = Buffer.concat(chunks).toString(); });
+        });
+        bb.on('close', () => reply(entry));
+        return req.pipe(bb);
+      }
+
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => reply({ content: Buffer.concat(chunks).toString() }));
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await fs.unlink(DUMMY_FILE_PATH).catch(() => {});
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stored = new Map();
+    failuresLeft = 0;
+    uploadAttempts = 0;
+  });
+
+  test('should retry transient 5xx responses', async () => {
+    failuresLeft = 2;
+
+    const res = await request(app)
+      .post('/send')
+      .field('configs', JSON.stringify([{ fieldname: 'doc', provider: 'customHttp', options: { url: '/upload' } }]))
+      .attach('doc', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(uploadAttempts).toBe(3);
+    expect(stored.get(res.body[0].id)).toEqual({ content: 'This is a test file.' });
+  });
+
+  test('should send the file as multipart/form-data with extra fields', async () => {
+    const res = await request(app)
+      .post('/send')
+      .field('configs', JSON.stringify([{
+        fieldname: 'doc',
+        provider: 'customHttp',
+        options: { url: '/upload', multipart: { fieldName: 'upload', fields: { folder: 'reports' } } },
+      }]))
+      .attach('doc', DUMMY_FILE_PATH, { filename: 'report q1.txt' });
+
+    expect(res.status).toBe(200);
+    expect(stored.get(res.body[0].id)).toEqual({
+      fields: { folder: 'reports' },
+      fieldName: 'upload',
+      filename: 'report q1.txt',
+      content: 'This is a test file.',
+    });
+  });
+
+  test('should delete already-sent files through the rollback endpoint', async () => {
+    const res = await request(app)
+      .post('/send')
+      .field('configs', JSON.stringify([
+        { fieldname: 'first', provider: 'customHttp', options: { url: '/upload' } },
+        { fieldname: 'second', provider: 'customHttp', options: { url: '/reject' } },
+      ]))
+      .attach('first', DUMMY_FILE_PATH)
+      .attach('second', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(uploadAttempts).toBe(1);
+    expect(stored.size).toBe(0);
+  });
+});
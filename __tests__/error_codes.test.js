@@ -0,0 +1,157 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const UPLOADS_DIR = path.join(__dirname, 'error_codes_uploads');
+
+Uxio.files.registerProvider('failing-provider', {
+  upload: async () => {
+    throw new Error('connection reset');
+  },
+});
+
+// Saves with the configs returned by `configure`, errors go to Uxio.errorHandler()
+const createApp = (configure, saveOptions, handlerOptions) => {
+  const app = express();
+  app.post('/save', Uxio(), async (req, res, next) => {
+    try {
+      res.json(await Uxio.files.save(configure(req), req.uxio, saveOptions));
+    } catch (e) {
+      next(e);
+    }
+  });
+  app.post('/send', Uxio(), async (req, res, next) => {
+    try {
+      res.json(await Uxio.files.send({ fieldname: 'doc', provider: 'failing-provider', options: {} }, req.uxio));
+    } catch (e) {
+      next(e);
+    }
+  });
+  app.post('/limited', Uxio({ limits: { fileSize: 4 }, fields: { doc: { maxCount: 1 } } }), (req, res) => res.json({}));
+  app.post('/crash', () => {
+    throw new Error('secret path /srv/app');
+  });
+  app.use(Uxio.errorHandler(handlerOptions));
+  app.use((err, req, res, next) => res.status(599).json({ unhandled: err.message }));
+  return app;
+};
+
+const saveTo = (fieldname, validations, extra) => ({ fieldname, path: UPLOADS_DIR, makedir: true, validations, ...extra });
+
+describe('Error codes and Uxio.errorHandler()', () => {
+  afterEach(async () => {
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should describe validation errors with a code, the field, the file and the limit', async () => {
+    const app = createApp(() => saveTo('doc', { maxSize: 4, mimeType: ['text/plain'] }));
+
+    const tooLarge = await request(app).post('/save').attach('doc', Buffer.from('too large'), 'notes.txt');
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body).toEqual({
+      error: {
+        code: 'FILE_TOO_LARGE',
+        message: "File size for 'notes.txt' exceeds limit of 4 bytes.",
+        status: 400,
+        field: 'doc',
+        filename: 'notes.txt',
+        rule: 'maxSize',
+        limit: 4,
+      },
+    });
+
+    const wrongType = await request(app)
+      .post('/save')
+      .attach('doc', Buffer.from('{}'), { filename: 'a.json', contentType: 'application/json' });
+    expect(wrongType.body.error).toMatchObject({ code: 'MIME_NOT_ALLOWED', rule: 'mimeType', limit: ['text/plain'] });
+  });
+
+  test('should give missing files and name conflicts their codes', async () => {
+    const required = await request(createApp(() => saveTo('avatar', undefined, { required: true }))).post('/save').field('name', 'x');
+    expect(required.status).toBe(404);
+    expect(required.body.error).toMatchObject({ code: 'REQUIRED_MISSING', field: 'avatar', rule: 'required' });
+
+    const app = createApp(() => saveTo('doc'));
+    await request(app).post('/save').attach('doc', Buffer.from('one'), 'same.txt');
+    const conflict = await request(app).post('/save').attach('doc', Buffer.from('two'), 'same.txt');
+    expect(conflict.status).toBe(409);
+    expect(conflict.body.error).toMatchObject({ code: 'NAME_CONFLICT', field: 'doc', filename: 'same.txt' });
+  });
+
+  test('should collect every violation with collectAll', async () => {
+    const app = createApp(
+      () => [saveTo('docs', { maxSize: 4, extensions: ['.txt'] }), saveTo('avatar', undefined, { required: true })],
+      { collectAll: true },
+    );
+
+    const res = await request(app)
+      .post('/save')
+      .attach('docs', Buffer.from('far too large'), 'big.csv')
+      .attach('docs', Buffer.from('ok'), 'small.txt')
+      .attach('docs', Buffer.from('large again'), 'big.txt');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.message).toMatch(/^Validation failed with 4 errors: /);
+    expect(res.body.error.errors.map(({ code, filename, field }) => [code, filename || field])).toEqual([
+      ['FILE_TOO_LARGE', 'big.csv'],
+      ['EXTENSION_NOT_ALLOWED', 'big.csv'],
+      ['FILE_TOO_LARGE', 'big.txt'],
+      ['REQUIRED_MISSING', 'avatar'],
+    ]);
+    await expect(fs.readdir(UPLOADS_DIR)).resolves.toEqual([]);
+
+    const thrown = await Uxio.files
+      .save(saveTo('avatar', undefined, { required: true }), { files: [] }, { collectAll: true })
+      .catch((e) => e);
+    expect(thrown).toBeInstanceOf(Uxio.ValidationError);
+    expect(thrown).toBeInstanceOf(Uxio.FileSaveError);
+    expect(thrown.status).toBe(404);
+    expect(thrown.errors).toHaveLength(1);
+  });
+
+  test('should report provider failures as PROVIDER_ERROR', async () => {
+    const res = await request(createApp()).post('/send').attach('doc', Buffer.from('data'), 'report.txt');
+    expect(res.status).toBe(500);
+    expect(res.body.error).toEqual({
+      code: 'PROVIDER_ERROR',
+      message: 'Internal Server Error',
+      status: 500,
+      field: 'doc',
+      filename: 'report.txt',
+    });
+
+    const exposed = await request(createApp(undefined, undefined, { exposeServerErrors: true }))
+      .post('/send')
+      .attach('doc', Buffer.from('data'), 'report.txt');
+    expect(exposed.body.error.message).toBe('connection reset');
+  });
+
+  test('should render middleware errors in the same shape', async () => {
+    const app = createApp();
+
+    const limit = await request(app).post('/limited').attach('doc', Buffer.from('too long'), 'a.txt');
+    expect(limit.status).toBe(413);
+    expect(limit.body.error).toMatchObject({ code: 'FILE_TOO_LARGE', rule: 'fileSize', limit: 4, field: 'doc', filename: 'a.txt' });
+
+    const count = await request(app).post('/limited').attach('doc', Buffer.from('a'), 'a.txt').attach('doc', Buffer.from('b'), 'b.txt');
+    expect(count.status).toBe(400);
+    expect(count.body.error).toMatchObject({ code: 'TOO_MANY_FILES', rule: 'maxCount', limit: 1, field: 'doc' });
+  });
+
+  test('should leave other errors to the next handler unless asked to render them', async () => {
+    const passed = await request(createApp()).post('/crash');
+    expect(passed.status).toBe(599);
+
+    const seen = [];
+    const rendered = await request(createApp(undefined, undefined, { all: true, onError: (err) => seen.push(err.message) })).post('/crash');
+    expect(rendered.status).toBe(500);
+    expect(rendered.body).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'Internal Server Error', status: 500 } });
+    expect(seen).toEqual(['secret path /srv/app']);
+
+    expect(() => Uxio.errorHandler({ onError: 'log' })).toThrow(TypeError);
+  });
+});
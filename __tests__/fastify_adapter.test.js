@@ -0,0 +1,97 @@
+const Fastify = require('fastify');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+// Builds a multipart body by hand, for fastify.inject()
+const BOUNDARY = 'uxio-fastify-boundary';
+const multipart = (parts) => ({
+  headers: { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` },
+  payload: Buffer.concat([
+    ...parts.map(({ name, filename, value }) =>
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"\r\nContent-Type: text/plain` : ''}\r\n\r\n${value}\r\n`,
+      ),
+    ),
+    Buffer.from(`--${BOUNDARY}--\r\n`),
+  ]),
+});
+
+let tempDirs = [];
+
+const createApp = async (options) => {
+  const app = Fastify();
+  await app.register(Uxio.fastify, options);
+  app.addHook('onResponse', async (request) => {
+    if (request.uxio) {
+      tempDirs.push(...request.uxio.files.filter((f) => f.tempFilePath).map((f) => path.dirname(f.tempFilePath)));
+    }
+  });
+  app.post('/upload', async (request) => ({
+    body: request.body,
+    files: request.uxio.files.map((f) => [f.fieldname, f.filename, f.size]),
+    complete: request.uxio.files.every((f) => f.complete),
+  }));
+  app.post('/json', async (request) => ({ uxio: request.uxio, body: request.body }));
+  return app;
+};
+
+describe('Uxio.fastify', () => {
+  let app;
+
+  beforeEach(() => {
+    tempDirs = [];
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  test('should parse multipart bodies into request.uxio and request.body', async () => {
+    app = await createApp({ body: true });
+    const res = await app.inject({
+      method: 'POST',
+      url: '/upload',
+      ...multipart([
+        { name: 'title', value: 'Report' },
+        { name: 'docs', filename: 'a.txt', value: 'first' },
+        { name: 'docs', filename: 'b.txt', value: 'second' },
+      ]),
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toEqual({
+      body: { title: 'Report' },
+      files: [['docs', 'a.txt', 5], ['docs', 'b.txt', 6]],
+      complete: true,
+    });
+    expect(tempDirs).toHaveLength(2);
+    await expect(fs.access(tempDirs[0])).rejects.toThrow();
+  });
+
+  test('should keep the other content-type parsers of the instance', async () => {
+    app = await createApp();
+    const res = await app.inject({ method: 'POST', url: '/json', payload: { plain: 'json' } });
+
+    expect(res.json()).toEqual({ uxio: null, body: { plain: 'json' } });
+  });
+
+  test('should answer parsing errors with their status and code', async () => {
+    app = await createApp({ fields: { docs: { maxCount: 1 } } });
+    const res = await app.inject({
+      method: 'POST',
+      url: '/upload',
+      ...multipart([
+        { name: 'docs', filename: 'a.txt', value: 'first' },
+        { name: 'docs', filename: 'b.txt', value: 'second' },
+      ]),
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.json()).toMatchObject({ code: 'TOO_MANY_FILES', message: "Too many files in field 'docs', the limit is 1." });
+    for (const dir of tempDirs) {
+      await expect(fs.access(dir)).rejects.toThrow();
+    }
+  });
+});
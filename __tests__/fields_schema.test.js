@@ -0,0 +1,121 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const TEXT_FILE_PATH = path.join(__dirname, 'schema_notes.txt');
+const PNG_FILE_PATH = path.join(__dirname, 'schema_avatar.png');
+
+const fields = {
+  avatar: { maxCount: 1, required: true, mimeType: ['image/png'], maxSize: 1024 },
+  docs: { maxCount: 2 },
+};
+
+// Reports what reached the temp cache, on success and on error
+const app = express();
+app.use(Uxio({ fields }));
+app.post('/upload', (req, res) => {
+  res.json({ files: req.uxio.files.map((f) => `${f.fieldname}:${f.filename}`), body: req.body });
+});
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({
+    error: err.message,
+    name: err.name,
+    field: err.field,
+    reason: err.reason,
+    cached: req.uxio ? req.uxio.files.map((f) => `${f.fieldname}:${f.filename}`) : [],
+  });
+});
+
+describe('Uxio field schema', () => {
+  beforeAll(async () => {
+    await fs.writeFile(TEXT_FILE_PATH, 'This is a test file.');
+    await fs.writeFile(PNG_FILE_PATH, Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64'));
+  });
+
+  afterAll(async () => {
+    await fs.unlink(TEXT_FILE_PATH).catch(() => {});
+    await fs.unlink(PNG_FILE_PATH).catch(() => {});
+  });
+
+  test('should accept an upload matching the schema', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .field('title', 'Profile')
+      .attach('avatar', PNG_FILE_PATH)
+      .attach('docs', TEXT_FILE_PATH)
+      .attach('docs', TEXT_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual(['avatar:schema_avatar.png', 'docs:schema_notes.txt', 'docs:schema_notes.txt']);
+    expect(res.body.body).toEqual({ title: 'Profile' });
+  });
+
+  test('should reject a file in an unexpected field without caching it', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('avatar', PNG_FILE_PATH)
+      .attach('resume', TEXT_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ name: 'UploadFieldError', field: 'resume', reason: 'unexpectedField' });
+    expect(res.body.cached).toEqual(['avatar:schema_avatar.png']);
+  });
+
+  test('should reject files beyond maxCount', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('avatar', PNG_FILE_PATH)
+      .attach('avatar', PNG_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ field: 'avatar', reason: 'maxCount' });
+    expect(res.body.cached).toHaveLength(1);
+  });
+
+  test('should reject a disallowed MIME type with 415', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('avatar', TEXT_FILE_PATH);
+
+    expect(res.status).toBe(415);
+    expect(res.body).toMatchObject({ field: 'avatar', reason: 'mimeType' });
+    expect(res.body.cached).toEqual([]);
+  });
+
+  test('should reject a file larger than maxSize with 413', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('avatar', Buffer.alloc(4096), { filename: 'big.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(413);
+    expect(res.body).toMatchObject({ field: 'avatar', reason: 'maxSize' });
+  });
+
+  test('should reject a request missing a required field', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('docs', TEXT_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ field: 'avatar', reason: 'required' });
+    expect(res.body.error).toBe("Field 'avatar' requires a file.");
+  });
+
+  test('should not treat prototype keys as declared fields', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('avatar', PNG_FILE_PATH)
+      .attach('constructor', TEXT_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ field: 'constructor', reason: 'unexpectedField' });
+  });
+
+  test('should refuse an invalid schema when the middleware is created', () => {
+    expect(() => Uxio({ fields: { avatar: { maxCount: 0 } } })).toThrow(TypeError);
+    expect(() => Uxio({ fields: [] })).toThrow(TypeError);
+  });
+});
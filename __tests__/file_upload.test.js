@@ -12,6 +12,7 @@ const UPLOADS_NEW_DIR = path.join(UPLOADS_DIR, 'new');
 
 const DUMMY_FILE_PATH = path.join(__dirname, 'dummy.txt');
 const LARGE_DUMMY_FILE_PATH = path.join(__dirname, 'large_dummy.txt');
+const PNG_DUMMY_FILE_PATH = path.join(__dirname, 'upload_dummy.png');
 
 // Mock Express app for testing
 const app = express();
@@ -98,17 +99,97 @@ app.post('/upload-no-makedir', async (req, res) => {
   }
 });
 
+app.post('/upload-verified', async (req, res) => {
+  const uxio = req.uxio;
+  try {
+    const fileInfo = await Uxio.files.save(
+      {
+        fieldname: "avatar",
+        path: UPLOADS_DIR,
+        makedir: true,
+        validations: {
+          mimeType: ['image/png', 'image/jpeg'],
+          verifyContent: true,
+        },
+      },
+      uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    const [file] = uxio.files;
+    res.status(e.status || 500).json({
+      error: e.message,
+      claimedMimeType: file && file.claimedMimeType,
+      detectedMimeType: file && file.detectedMimeType,
+    });
+  }
+});
+
+app.post('/upload-conflict/:mode', async (req, res) => {
+  const uxio = req.uxio;
+  try {
+    const fileInfo = await Uxio.files.save(
+      {
+        fieldname: "avatar",
+        path: UPLOADS_DIR,
+        makedir: true,
+        onConflict: req.params.mode,
+      },
+      uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Overwrites the avatar, then fails on a document whose name is already taken
+app.post('/upload-overwrite-batch', async (req, res) => {
+  try {
+    const fileInfo = await Uxio.files.save(
+      [
+        { fieldname: "avatar", path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite' },
+        { fieldname: "doc", path: UPLOADS_DIR, onConflict: 'error' },
+      ],
+      req.uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.post('/upload-traversal', async (req, res) => {
+  const uxio = req.uxio;
+  try {
+    const fileInfo = await Uxio.files.save(
+      {
+        fieldname: "avatar",
+        path: UPLOADS_NEW_DIR,
+        makedir: true,
+        rename: () => '../../escape.txt',
+      },
+      uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
 describe('Uxio File Upload Tests', () => {
   beforeAll(async () => {
     // Create dummy files for tests
     await fs.writeFile(DUMMY_FILE_PATH, 'This is a test file.');
     await fs.writeFile(LARGE_DUMMY_FILE_PATH, Buffer.alloc(1024 * 1024 * 2)); // 2MB file
+    await fs.writeFile(PNG_DUMMY_FILE_PATH, Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64'));
   });
 
   afterAll(async () => {
     // Clean up dummy files
     await fs.unlink(DUMMY_FILE_PATH).catch(() => {});
     await fs.unlink(LARGE_DUMMY_FILE_PATH).catch(() => {});
+    await fs.unlink(PNG_DUMMY_FILE_PATH).catch(() => {});
   });
 
   afterEach(async () => {
@@ -197,4 +278,120 @@ describe('Uxio File Upload Tests', () => {
     // --- FIX: The first file should STILL EXIST. The rollback only cleans up the current request's files. ---
     expect(await fs.access(firstUploadRes.body[0].path)).toBeUndefined();
   });
+
+  test('should accept a file whose content matches its declared type', async () => {
+    const res = await request(app)
+      .post('/upload-verified')
+      .attach('avatar', PNG_DUMMY_FILE_PATH, { contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body[0]).toHaveProperty('mimeType', 'image/png');
+  });
+
+  test('should reject a file whose content does not match its declared type', async () => {
+    const res = await request(app)
+      .post('/upload-verified')
+      .attach('avatar', DUMMY_FILE_PATH, { filename: 'fake.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', expect.stringContaining('does not match its declared type'));
+    expect(res.body).toHaveProperty('claimedMimeType', 'image/png');
+    expect(res.body).toHaveProperty('detectedMimeType', null);
+  });
+
+  test('should rename on conflict with an incrementing suffix', async () => {
+    await request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH);
+
+    const res = await request(app)
+      .post('/upload-conflict/rename')
+      .attach('avatar', DUMMY_FILE_PATH)
+      .attach('avatar', DUMMY_FILE_PATH, { filename: 'dummy-copy.txt' });
+
+    expect(res.status).toBe(200);
+    expect(path.basename(res.body[0].path)).toBe('dummy-1.txt');
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'utf8')).toBe('This is a test file.');
+  });
+
+  test('should skip a conflicting file and leave the existing one untouched', async () => {
+    await request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH);
+    await fs.writeFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'existing');
+
+    const res = await request(app)
+      .post('/upload-conflict/skip')
+      .attach('avatar', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(0);
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'utf8')).toBe('existing');
+  });
+
+  test('should overwrite a conflicting file when asked to', async () => {
+    await request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH);
+    await fs.writeFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'existing');
+
+    const res = await request(app)
+      .post('/upload-conflict/overwrite')
+      .attach('avatar', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(await fs.readFile(res.body[0].path, 'utf8')).toBe('This is a test file.');
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual(['dummy.txt']);
+  });
+
+  test('should put an overwritten file back when a later file of the batch fails', async () => {
+    await request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH);
+    await fs.writeFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'existing');
+    await fs.writeFile(path.join(UPLOADS_DIR, 'taken.txt'), 'taken');
+
+    const res = await request(app)
+      .post('/upload-overwrite-batch')
+      .attach('avatar', DUMMY_FILE_PATH)
+      .attach('doc', DUMMY_FILE_PATH, { filename: 'taken.txt' });
+
+    expect(res.status).toBe(409);
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'dummy.txt'), 'utf8')).toBe('existing');
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'taken.txt'), 'utf8')).toBe('taken');
+    expect((await fs.readdir(UPLOADS_DIR)).sort()).toEqual(['dummy.txt', 'taken.txt']);
+  });
+
+  test('should reject an unknown conflict strategy', async () => {
+    const res = await request(app)
+      .post('/upload-conflict/merge')
+      .attach('avatar', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', expect.stringContaining("Invalid onConflict 'merge'"));
+  });
+
+  test('should let only one of two concurrent saves claim the same name', async () => {
+    const [first, second] = await Promise.all([
+      request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH),
+      request(app).post('/upload-single').attach('avatar', DUMMY_FILE_PATH),
+    ]);
+
+    expect([first.status, second.status].sort()).toEqual([200, 409]);
+  });
+
+  test('should keep renamed files inside the destination directory', async () => {
+    const res = await request(app)
+      .post('/upload-traversal')
+      .attach('avatar', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(path.dirname(res.body[0].path)).toBe(UPLOADS_NEW_DIR);
+    await expect(fs.access(path.join(UPLOADS_DIR, 'escape.txt'))).rejects.toThrow();
+  });
+
+  test('should cache uploads under generated temp names', async () => {
+    const tempApp = express();
+    tempApp.use(Uxio());
+    tempApp.post('/', (req, res) => res.json(req.uxio.files));
+
+    const res = await request(tempApp)
+      .post('/')
+      .attach('avatar', DUMMY_FILE_PATH, { filename: 'my photo.txt' });
+
+    expect(res.body[0]).toHaveProperty('filename', 'my photo.txt');
+    expect(path.basename(res.body[0].tempFilePath)).toMatch(/^[0-9a-f-]{36}\.txt$/);
+  });
 });
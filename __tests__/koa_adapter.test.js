@@ -0,0 +1,88 @@
+const request = require('supertest');
+const Koa = require('koa');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const UPLOADS_DIR = path.join(__dirname, 'koa_uploads');
+
+let tempDirs = [];
+
+const createApp = (options) => {
+  const app = new Koa();
+  app.use(async (ctx, next) => {
+    try {
+      await next();
+    } catch (err) {
+      ctx.status = err.status || 500;
+      ctx.body = { code: err.code, message: err.message };
+    }
+    if (ctx.uxio) {
+      tempDirs.push(...ctx.uxio.files.filter((f) => f.tempFilePath).map((f) => path.dirname(f.tempFilePath)));
+    }
+  });
+  app.use(Uxio.koa(options));
+  app.use(async (ctx) => {
+    if (ctx.path === '/save') {
+      ctx.body = await Uxio.files.save({ fieldname: 'avatar', path: UPLOADS_DIR, makedir: true }, ctx.uxio);
+      return;
+    }
+    ctx.body = {
+      uxio: Boolean(ctx.uxio),
+      body: ctx.request.body,
+      files: ctx.uxio ? ctx.uxio.files.map((f) => [f.fieldname, f.filename, f.size]) : [],
+    };
+  });
+  return app.callback();
+};
+
+describe('Uxio.koa()', () => {
+  beforeEach(() => {
+    tempDirs = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should put the files on ctx.uxio and the fields on ctx.request.body', async () => {
+    const res = await request(createApp({ body: true }))
+      .post('/upload')
+      .field('user[name]', 'Ada')
+      .field('tags', 'a')
+      .field('tags', 'b')
+      .attach('avatar', Buffer.from('avatar bytes'), 'me.png');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      uxio: true,
+      body: { user: { name: 'Ada' }, tags: ['a', 'b'] },
+      files: [['avatar', 'me.png', 12]],
+    });
+    expect(tempDirs).toHaveLength(1);
+    await expect(fs.access(tempDirs[0])).rejects.toThrow();
+  });
+
+  test('should let files.save() move the files and leave other requests alone', async () => {
+    const app = createApp();
+    const saved = await request(app).post('/save').attach('avatar', Buffer.from('avatar bytes'), 'me.png');
+    expect(saved.status).toBe(200);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual(['me.png']);
+
+    const json = await request(app).post('/upload').send({ plain: 'json' });
+    expect(json.body).toEqual({ uxio: false, files: [] });
+  });
+
+  test('should throw parsing errors with their status and clean up', async () => {
+    const res = await request(createApp({ limits: { fileSize: 4 } }))
+      .post('/upload')
+      .attach('avatar', Buffer.from('far too large'), 'me.png');
+
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe('FILE_TOO_LARGE');
+    for (const dir of tempDirs) {
+      await expect(fs.access(dir)).rejects.toThrow();
+    }
+  });
+});
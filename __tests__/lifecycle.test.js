@@ -0,0 +1,135 @@
+const request = require('supertest');
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+
+const Uxio = require('../index');
+
+const FIRST_FILE_PATH = path.join(__dirname, 'lifecycle_first.txt');
+const SECOND_FILE_PATH = path.join(__dirname, 'lifecycle_second.bin');
+
+let errors = [];
+
+const app = express();
+app.use(Uxio());
+app.post('/upload', async (req, res) => {
+  // Reads the temp files as soon as the route runs, they must already be complete on disk
+  const files = await Promise.all(req.uxio.files.map(async (f) => ({
+    fieldname: f.fieldname,
+    filename: f.filename,
+    size: f.size,
+    onDisk: (await fs.stat(f.tempFilePath)).size,
+    complete: f.complete,
+    truncated: f.truncated,
+  })));
+  res.json({ files, hasDocs: req.uxio.hasFiles('docs'), hasOther: req.uxio.hasFiles(['other']) });
+});
+app.use((err, req, res, next) => {
+  errors.push({ err, tempFilePaths: req.uxio ? req.uxio.files.map((f) => f.tempFilePath) : [] });
+  if (!res.headersSent) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+describe('Uxio file lifecycle', () => {
+  beforeAll(async () => {
+    await fs.writeFile(FIRST_FILE_PATH, 'first file');
+    await fs.writeFile(SECOND_FILE_PATH, Buffer.alloc(512 * 1024, 7));
+  });
+
+  afterAll(async () => {
+    await fs.unlink(FIRST_FILE_PATH).catch(() => {});
+    await fs.unlink(SECOND_FILE_PATH).catch(() => {});
+  });
+
+  beforeEach(() => {
+    errors = [];
+  });
+
+  test('should track several files on the same field separately', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .attach('docs', FIRST_FILE_PATH)
+      .attach('docs', SECOND_FILE_PATH)
+      .attach('docs', FIRST_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual([
+      { fieldname: 'docs', filename: 'lifecycle_first.txt', size: 10, onDisk: 10, complete: true, truncated: false },
+      { fieldname: 'docs', filename: 'lifecycle_second.bin', size: 512 * 1024, onDisk: 512 * 1024, complete: true, truncated: false },
+      { fieldname: 'docs', filename: 'lifecycle_first.txt', size: 10, onDisk: 10, complete: true, truncated: false },
+    ]);
+    expect(res.body.hasDocs).toBe(true);
+    expect(res.body.hasOther).toBe(false);
+  });
+
+  test('should pass a malformed multipart body to the error handler', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .set('Content-Type', 'multipart/form-data; boundary=xyz')
+      .send('--xyz\r\nContent-Disposition: form-data; name="docs"; filename="a.txt"\r\n\r\nunterminated');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Malformed multipart body|Failed to read/);
+  });
+
+  test('should reject a multipart request without a boundary', async () => {
+    const res = await request(app)
+      .post('/upload')
+      .set('Content-Type', 'multipart/form-data')
+      .send('data');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Invalid multipart request');
+  });
+
+  test('should pass an error to the error handler when the temp cache cannot be created', async () => {
+    const mkdirSync = jest.spyOn(fsSync, 'mkdirSync').mockImplementation(() => {
+      throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    });
+    try {
+      const res = await request(app).post('/upload').attach('docs', FIRST_FILE_PATH);
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toContain("Failed to create the temp cache for 'lifecycle_first.txt'");
+      expect(errors).toHaveLength(1);
+    } finally {
+      mkdirSync.mockRestore();
+    }
+  });
+
+  test('should clean up the temp cache when the client aborts', async () => {
+    const server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    try {
+      const boundary = 'uxio-abort';
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/upload',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          'Content-Length': 1024 * 1024,
+        },
+      });
+      req.on('error', () => {});
+      req.write(`--${boundary}\r\nContent-Disposition: form-data; name="docs"; filename="partial.bin"\r\n\r\n`);
+      req.write(Buffer.alloc(64 * 1024));
+
+      await new Promise((resolve) => {
+        const check = () => (errors.length > 0 ? resolve() : setTimeout(check, 10));
+        setTimeout(() => req.destroy(), 50);
+        check();
+      });
+
+      expect(errors[0].err.message).toMatch(/aborted|Failed to read/);
+      expect(errors[0].tempFilePaths).toHaveLength(1);
+      await expect(fs.access(path.dirname(errors[0].tempFilePaths[0]))).rejects.toThrow();
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
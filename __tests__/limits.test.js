@@ -0,0 +1,103 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const SMALL_FILE_PATH = path.join(__dirname, 'limits_small.txt');
+const LARGE_FILE_PATH = path.join(__dirname, 'limits_large.txt');
+
+let tempDirs = [];
+
+// Builds an app with the given limits and a route that reports what was parsed
+const createApp = (limits) => {
+  const app = express();
+  app.use(Uxio({ limits }));
+  app.post('/upload', (req, res) => {
+    tempDirs.push(...req.uxio.files.map((f) => path.dirname(f.tempFilePath)));
+    res.json({ files: req.uxio.files.map((f) => f.filename), body: req.body });
+  });
+  app.use((err, req, res, next) => {
+    if (req.uxio) {
+      tempDirs.push(...req.uxio.files.map((f) => path.dirname(f.tempFilePath)));
+    }
+    res.status(err.status || 500).json({ error: err.message, name: err.name, limit: err.limit });
+  });
+  return app;
+};
+
+describe('Uxio middleware limits', () => {
+  beforeAll(async () => {
+    await fs.writeFile(SMALL_FILE_PATH, 'This is a test file.'); // 20 bytes
+    await fs.writeFile(LARGE_FILE_PATH, Buffer.alloc(1024 * 256)); // 256KB
+  });
+
+  afterAll(async () => {
+    await fs.unlink(SMALL_FILE_PATH).catch(() => {});
+    await fs.unlink(LARGE_FILE_PATH).catch(() => {});
+  });
+
+  beforeEach(() => {
+    tempDirs = [];
+  });
+
+  test('should accept a file that is exactly at the fileSize limit', async () => {
+    const res = await request(createApp({ fileSize: 20 }))
+      .post('/upload')
+      .attach('avatar', SMALL_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual(['limits_small.txt']);
+  });
+
+  test('should abort with 413 when a file exceeds fileSize and remove the partial file', async () => {
+    const res = await request(createApp({ fileSize: 1024 }))
+      .post('/upload')
+      .attach('avatar', LARGE_FILE_PATH);
+
+    expect(res.status).toBe(413);
+    expect(res.body).toHaveProperty('name', 'UploadLimitError');
+    expect(res.body).toHaveProperty('limit', 'fileSize');
+    expect(tempDirs).toHaveLength(1);
+    await expect(fs.access(tempDirs[0])).rejects.toThrow();
+  });
+
+  test('should abort with 413 when too many files are sent', async () => {
+    const res = await request(createApp({ files: 1 }))
+      .post('/upload')
+      .attach('avatar', SMALL_FILE_PATH)
+      .attach('file', SMALL_FILE_PATH);
+
+    expect(res.status).toBe(413);
+    expect(res.body).toHaveProperty('limit', 'files');
+  });
+
+  test('should abort with 413 when too many fields are sent', async () => {
+    const res = await request(createApp({ fields: 1 }))
+      .post('/upload')
+      .field('first', 'a')
+      .field('second', 'b');
+
+    expect(res.status).toBe(413);
+    expect(res.body).toHaveProperty('limit', 'fields');
+  });
+
+  test('should abort with 413 when a field value is too large', async () => {
+    const res = await request(createApp({ fieldSize: 4 }))
+      .post('/upload')
+      .field('name', 'too long');
+
+    expect(res.status).toBe(413);
+    expect(res.body).toHaveProperty('limit', 'fieldSize');
+  });
+
+  test('should reject a request whose body exceeds totalSize', async () => {
+    const res = await request(createApp({ totalSize: 1024 }))
+      .post('/upload')
+      .attach('avatar', LARGE_FILE_PATH);
+
+    expect(res.status).toBe(413);
+    expect(res.body).toHaveProperty('limit', 'totalSize');
+  });
+});
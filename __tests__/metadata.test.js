@@ -0,0 +1,107 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const TEXT_FILE_PATH = path.join(__dirname, 'metadata_notes.txt');
+const UPLOADS_DIR = path.join(__dirname, 'metadata_uploads');
+
+// Route saving the 'doc' field with the metadata selection sent in the query string
+const app = express();
+app.use(Uxio());
+app.post('/upload', async (req, res) => {
+  try {
+    const metadata = req.query.metadata === undefined ? undefined : JSON.parse(req.query.metadata);
+    const saved = await Uxio.files.save(
+      { fieldname: 'doc', path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite', metadata },
+      req.uxio,
+    );
+    res.json(saved);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+describe('Uxio.metadata', () => {
+  beforeAll(async () => {
+    await fs.writeFile(TEXT_FILE_PATH, 'first line\nsecond line');
+  });
+
+  afterAll(async () => {
+    await fs.unlink(TEXT_FILE_PATH).catch(() => {});
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should extract metadata from a path, a Buffer or an uploaded file', async () => {
+    const expected = { mimeType: 'text/plain', lines: 2, charCount: 22, firstLine: 'first line' };
+
+    expect(await Uxio.metadata(TEXT_FILE_PATH, { mimeType: 'text/plain' })).toEqual(expected);
+    expect(await Uxio.metadata(Buffer.from('first line\nsecond line'), { mimeType: 'text/plain' })).toEqual(expected);
+    expect(await Uxio.metadata({ tempFilePath: TEXT_FILE_PATH, mimeType: 'text/plain' })).toEqual(expected);
+  });
+
+  test('should only run the selected handlers', async () => {
+    expect(await Uxio.metadata(TEXT_FILE_PATH, { mimeType: 'text/plain', handlers: ['image'] })).toEqual({ mimeType: 'text/plain' });
+    expect(await Uxio.metadata(TEXT_FILE_PATH, { mimeType: 'text/plain', handlers: false })).toEqual({ mimeType: 'text/plain' });
+  });
+
+  test('should use registered handlers, the most specific prefix first', async () => {
+    Uxio.metadata.register('application/x-uxio-test', async (source, { mimeType }) => ({
+      kind: mimeType,
+      bytes: source.length,
+    }), { name: 'uxioTest' });
+    Uxio.metadata.register('text/x-uxio-log', async () => ({ log: true }));
+
+    expect(await Uxio.metadata(Buffer.from('abc'), { mimeType: 'application/x-uxio-test' })).toEqual({
+      mimeType: 'application/x-uxio-test',
+      kind: 'application/x-uxio-test',
+      bytes: 3,
+    });
+    expect(await Uxio.metadata(Buffer.from('x'), { mimeType: 'text/x-uxio-log', handlers: ['text/x-uxio-log'] })).toEqual({
+      mimeType: 'text/x-uxio-log',
+      log: true,
+    });
+    expect(() => Uxio.metadata.register('', async () => ({}))).toThrow(TypeError);
+    expect(() => Uxio.metadata.register('text/', async () => ({}), { timeout: -1 })).toThrow('positive integer');
+  });
+
+  test('should drop the result of a handler that times out and abort it', async () => {
+    let aborted = false;
+    Uxio.metadata.register('application/x-uxio-slow', (source, { signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+      });
+      setTimeout(() => resolve({ late: true }), 1000);
+    }), { timeout: 50 });
+
+    const started = Date.now();
+    const result = await Uxio.metadata(Buffer.from('x'), { mimeType: 'application/x-uxio-slow' });
+
+    expect(result).toEqual({ mimeType: 'application/x-uxio-slow' });
+    expect(Date.now() - started).toBeLessThan(900);
+    expect(aborted).toBe(true);
+  });
+
+  test('should skip files over the size cap', async () => {
+    expect(await Uxio.metadata(TEXT_FILE_PATH, { mimeType: 'text/plain', maxSize: 5 })).toEqual({ mimeType: 'text/plain' });
+  });
+
+  test('should honour the metadata option of save()', async () => {
+    const full = await request(app).post('/upload').attach('doc', TEXT_FILE_PATH);
+    expect(full.status).toBe(200);
+    expect(full.body[0]).toMatchObject({ lines: 2, firstLine: 'first line' });
+
+    const none = await request(app).post('/upload?metadata=false').attach('doc', TEXT_FILE_PATH);
+    expect(none.status).toBe(200);
+    expect(none.body[0].lines).toBeUndefined();
+    expect(none.body[0].mimeType).toBe('text/plain');
+
+    const selected = await request(app).post(`/upload?metadata=${encodeURIComponent('["image"]')}`).attach('doc', TEXT_FILE_PATH);
+    expect(selected.body[0].lines).toBeUndefined();
+
+    const invalid = await request(app).post('/upload?metadata="text"').attach('doc', TEXT_FILE_PATH);
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,281 @@
+const path = require('path');
+const fs = require('fs/promises');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const XLSX = require('xlsx');
+
+const Uxio = require('../index');
+const { createZip } = require('./helpers/zip');
+
+const ZIP_FILE_PATH = path.join(__dirname, 'metadata_formats.zip');
+const MP3_FILE_PATH = path.join(__dirname, 'metadata_formats.mp3');
+
+// Builds a ustar archive
+const createTar = (entries) => {
+  const blocks = [];
+  for (const { name, content = '', directory = false } of entries) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(directory ? '5' : '0', 156);
+    header.write('ustar\x0000', 257);
+    header.fill(' ', 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+};
+
+const uint32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+const vorbisComment = (comments) =>
+  Buffer.concat([
+    uint32LE(7),
+    Buffer.from('fixture'),
+    uint32LE(comments.length),
+    ...comments.map((comment) => Buffer.concat([uint32LE(Buffer.byteLength(comment)), Buffer.from(comment)])),
+  ]);
+
+const id3Frame = (id, data) => {
+  const header = Buffer.alloc(10);
+  header.write(id, 0);
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, data]);
+};
+
+const createMp3 = () => {
+  const frames = Buffer.concat([
+    id3Frame('TIT2', Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from('Café Song', 'utf16le')])),
+    id3Frame('TPE1', Buffer.from('\0The Fixtures')),
+    id3Frame('TALB', Buffer.from('\0Test Album')),
+    id3Frame('TRCK', Buffer.from('\x003/12')),
+    id3Frame('APIC', Buffer.from('\0image/png\0\x03\0PNGDATA')),
+  ]);
+  const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 0]);
+  // Syncsafe size: 7 bits per byte
+  header[8] = (frames.length >> 7) & 0x7f;
+  header[9] = frames.length & 0x7f;
+  return Buffer.concat([header, frames, Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(400)]);
+};
+
+const flacBlock = (type, data, last = false) => {
+  const header = Buffer.alloc(4);
+  header[0] = type | (last ? 0x80 : 0);
+  header.writeUIntBE(data.length, 1, 3);
+  return Buffer.concat([header, data]);
+};
+
+const oggPage = (packet, sequence) => {
+  const segments = [];
+  for (let left = packet.length; left >= 0; left -= 255) segments.push(Math.min(left, 255));
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  return Buffer.concat([header, Buffer.from(segments), packet]);
+};
+
+const odfPackage = (mimeType, content) =>
+  createZip([
+    { name: 'mimetype', content: mimeType, store: true },
+    { name: 'content.xml', content },
+  ]);
+
+describe('Uxio.metadata built-in handlers', () => {
+  beforeAll(async () => {
+    // The audio fixtures are not decodable, ffprobe is kept out of the way
+    Uxio.metadata.configure({ ffprobePath: 'uxio-missing-ffprobe' });
+    await fs.writeFile(ZIP_FILE_PATH, createZip([
+      { name: 'docs/' },
+      { name: 'docs/readme.txt', content: 'read me '.repeat(100) },
+      { name: 'photo.bin', content: 'raw bytes', store: true },
+    ]));
+    await fs.writeFile(MP3_FILE_PATH, createMp3());
+  });
+
+  afterAll(async () => {
+    Uxio.metadata.configure({ ffprobePath: 'ffprobe' });
+    await fs.unlink(ZIP_FILE_PATH).catch(() => {});
+    await fs.unlink(MP3_FILE_PATH).catch(() => {});
+  });
+
+  test('should read EXIF and GPS fields of images', async () => {
+    const jpeg = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withExif({
+        IFD0: { Make: 'Uxio', Model: 'Fixture Cam' },
+        IFD2: { DateTimeOriginal: '2024:05:06 07:08:09', ISOSpeedRatings: '200' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 30/1' },
+      })
+      .toBuffer();
+
+    const result = await Uxio.metadata(jpeg, { mimeType: 'image/jpeg' });
+
+    expect(result).toMatchObject({ width: 40, height: 20, orientation: 'landscape', type: 'jpg' });
+    expect(result.exif).toMatchObject({ make: 'Uxio', model: 'Fixture Cam', iso: 200, dateTimeOriginal: '2024-05-06T07:08:09' });
+    expect(result.gps.latitude).toBeCloseTo(51.5);
+    expect(result.gps.longitude).toBeCloseTo(-0.125);
+
+    const plain = await sharp({ create: { width: 10, height: 30, channels: 3, background: '#000' } }).png().toBuffer();
+    const withoutExif = await Uxio.metadata(plain, { mimeType: 'image/png' });
+    expect(withoutExif).toMatchObject({ width: 10, height: 30, orientation: 'portrait' });
+    expect(withoutExif.exif).toBeUndefined();
+  });
+
+  test('should read ID3 tags and cover art, even without ffprobe', async () => {
+    const result = await Uxio.metadata(MP3_FILE_PATH, { mimeType: 'audio/mpeg' });
+
+    expect(result).toMatchObject({
+      tags: { title: 'Café Song', artist: 'The Fixtures', album: 'Test Album', track: '3/12' },
+      coverArt: true,
+      tagFormat: 'ID3v2.3',
+      metadataError: { code: 'TOOL_NOT_FOUND', tool: 'uxio-missing-ffprobe' },
+    });
+
+    const id3v1 = Buffer.alloc(128);
+    id3v1.write('TAG', 0);
+    id3v1.write('Old Song', 3);
+    id3v1.write('Old Band', 33);
+    id3v1.write('1999', 93);
+    id3v1[126] = 7;
+    const legacy = await Uxio.metadata(Buffer.concat([Buffer.alloc(256), id3v1]), { mimeType: 'audio/mpeg' });
+    expect(legacy).toMatchObject({ tags: { title: 'Old Song', artist: 'Old Band', year: '1999', track: '7' }, coverArt: false, tagFormat: 'ID3v1' });
+  });
+
+  test('should read Vorbis comments of FLAC and Ogg files', async () => {
+    const flac = Buffer.concat([
+      Buffer.from('fLaC'),
+      flacBlock(0, Buffer.alloc(34)),
+      flacBlock(4, vorbisComment(['TITLE=Lossless', 'artist=Band', 'DATE=2021', 'GENRE=Jazz'])),
+      flacBlock(6, Buffer.alloc(32), true),
+    ]);
+    expect(await Uxio.metadata(flac, { mimeType: 'audio/flac' })).toMatchObject({
+      tags: { title: 'Lossless', artist: 'Band', year: '2021', genre: 'Jazz' },
+      coverArt: true,
+      tagFormat: 'Vorbis',
+    });
+
+    const ogg = Buffer.concat([
+      oggPage(Buffer.concat([Buffer.from('\x01vorbis'), Buffer.alloc(23)]), 0),
+      oggPage(Buffer.concat([Buffer.from('\x03vorbis'), vorbisComment(['ALBUM=Streams', 'TRACKNUMBER=2']), Buffer.from([1])]), 1),
+    ]);
+    expect(await Uxio.metadata(ogg, { mimeType: 'audio/ogg' })).toMatchObject({
+      tags: { album: 'Streams', track: '2' },
+      coverArt: false,
+    });
+  });
+
+  test('should list ZIP archives with their totals', async () => {
+    const result = await Uxio.metadata(ZIP_FILE_PATH);
+
+    expect(result).toMatchObject({
+      mimeType: 'application/zip',
+      archiveFormat: 'zip',
+      entryCount: 3,
+      fileCount: 2,
+      uncompressedSize: 809,
+      entriesTruncated: false,
+    });
+    expect(result.compressedSize).toBeLessThan(result.uncompressedSize);
+    expect(result.entries).toEqual([
+      { name: 'docs/', size: 0, compressedSize: 0, directory: true },
+      { name: 'docs/readme.txt', size: 800, compressedSize: expect.any(Number), directory: false },
+      { name: 'photo.bin', size: 9, compressedSize: 9, directory: false },
+    ]);
+  });
+
+  test('should list TAR and gzipped TAR archives', async () => {
+    const tar = createTar([
+      { name: 'site/', directory: true },
+      { name: 'site/index.html', content: '<h1>hi</h1>' },
+      { name: 'site/app.js', content: 'x'.repeat(700) },
+    ]);
+
+    expect(await Uxio.metadata(tar, { mimeType: 'application/x-tar' })).toEqual({
+      mimeType: 'application/x-tar',
+      archiveFormat: 'tar',
+      entryCount: 3,
+      fileCount: 2,
+      compressedSize: tar.length,
+      uncompressedSize: 711,
+      entries: [
+        { name: 'site/', size: 0, directory: true },
+        { name: 'site/index.html', size: 11, directory: false },
+        { name: 'site/app.js', size: 700, directory: false },
+      ],
+      entriesTruncated: false,
+    });
+
+    const many = createTar(Array.from({ length: 1001 }, (value, i) => ({ name: `f${i}.txt` })));
+    const gzipped = await Uxio.metadata(zlib.gzipSync(many), { mimeType: 'application/gzip' });
+    expect(gzipped).toMatchObject({ mimeType: 'application/gzip', archiveFormat: 'tar.gz', entryCount: 1001, entriesTruncated: true });
+    expect(gzipped.entries).toHaveLength(1000);
+
+    expect(await Uxio.metadata(zlib.gzipSync('just text'), { mimeType: 'application/gzip' })).toEqual({
+      mimeType: 'application/gzip',
+      archiveFormat: 'gzip',
+    });
+  });
+
+  test('should count CSV and TSV rows and columns', async () => {
+    const csv = Buffer.from('﻿name,"note, with comma",age\r\nAda,"said ""hi""\nthen left",36\r\n\r\nLinus,,28,extra\n');
+    expect(await Uxio.metadata(csv, { mimeType: 'text/csv' })).toEqual({
+      mimeType: 'text/csv',
+      rows: 2,
+      columns: 4,
+      header: ['name', 'note, with comma', 'age'],
+    });
+
+    const tsv = Buffer.from('id\tlabel\n1\tone\n2\ttwo');
+    expect(await Uxio.metadata(tsv, { mimeType: 'text/tab-separated-values' })).toMatchObject({ rows: 2, columns: 2, header: ['id', 'label'] });
+  });
+
+  test('should count OpenDocument words, sheets and slides', async () => {
+    const odt = odfPackage(
+      'application/vnd.oasis.opendocument.text',
+      '<office:document-content><office:body><office:text><text:h>Title</text:h><text:p>Fish &amp; chips<text:s/>today</text:p></office:text></office:body></office:document-content>',
+    );
+    expect(await Uxio.metadata(odt, { mimeType: 'application/vnd.oasis.opendocument.text' })).toEqual({
+      mimeType: 'application/vnd.oasis.opendocument.text',
+      wordCount: 5,
+      charCount: 24,
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[1]]), 'Budget & Plan');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[2]]), 'Q2');
+    const ods = XLSX.write(workbook, { bookType: 'ods', type: 'buffer' });
+    expect(await Uxio.metadata(ods, { mimeType: 'application/vnd.oasis.opendocument.spreadsheet' })).toMatchObject({ sheets: 2, sheetNames: ['Budget & Plan', 'Q2'] });
+
+    const odp = odfPackage(
+      'application/vnd.oasis.opendocument.presentation',
+      '<office:presentation><draw:page draw:name="1"/><draw:page draw:name="2"></draw:page><draw:page-thumbnail/></office:presentation>',
+    );
+    expect(await Uxio.metadata(odp, { mimeType: 'application/vnd.oasis.opendocument.presentation' })).toMatchObject({ slidesCount: 2 });
+  });
+
+  test('should count PowerPoint slides', async () => {
+    const pptx = createZip([
+      { name: '[Content_Types].xml', content: '<Types/>' },
+      { name: 'ppt/presentation.xml', content: '<p:presentation/>' },
+      { name: 'ppt/slides/slide1.xml', content: '<p:sld/>' },
+      { name: 'ppt/slides/slide2.xml', content: '<p:sld/>' },
+      { name: 'ppt/slides/_rels/slide1.xml.rels', content: '<Relationships/>' },
+    ]);
+
+    expect(await Uxio.metadata(pptx, {
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    })).toEqual({
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      slidesCount: 2,
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const http = require('http');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+let tempDirs = [];
+
+const createServer = (options) => {
+  const parse = Uxio.http(options);
+  return http.createServer(async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    try {
+      const uxio = await parse(req, res);
+      if (uxio) {
+        tempDirs.push(...uxio.files.map((f) => path.dirname(f.tempFilePath)));
+      }
+      res.end(JSON.stringify(uxio && { body: uxio.body, files: uxio.files.map((f) => [f.fieldname, f.filename, f.size]) }));
+    } catch (err) {
+      res.statusCode = err.status || 500;
+      res.end(JSON.stringify({ code: err.code }));
+    }
+  });
+};
+
+describe('Uxio.http()', () => {
+  beforeEach(() => {
+    tempDirs = [];
+  });
+
+  test('should resolve to the uxio object and clean up once the response is done', async () => {
+    const res = await request(createServer())
+      .post('/')
+      .field('note', 'hello')
+      .attach('doc', Buffer.from('document'), 'doc.txt');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ body: { note: 'hello' }, files: [['doc', 'doc.txt', 8]] });
+    expect(tempDirs).toHaveLength(1);
+    await expect(fs.access(tempDirs[0])).rejects.toThrow();
+  });
+
+  test('should resolve to null for requests that are not multipart POSTs', async () => {
+    const server = createServer();
+    expect((await request(server).get('/')).body).toBeNull();
+    expect((await request(server).post('/').send({ plain: 'json' })).body).toBeNull();
+  });
+
+  test('should reject with the error that stopped parsing', async () => {
+    const res = await request(createServer({ limits: { totalSize: 10 } }))
+      .post('/')
+      .attach('doc', Buffer.from('far more than ten bytes'), 'doc.txt');
+
+    expect(res.status).toBe(413);
+    expect(res.body).toEqual({ code: 'REQUEST_TOO_LARGE' });
+  });
+});
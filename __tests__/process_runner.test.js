@@ -0,0 +1,103 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+const { runProcess, configureRunner } = require('../src/process-runner');
+
+const WORK_DIR = path.join(os.tmpdir(), `uxio-runner-${process.pid}`);
+const node = process.execPath;
+
+describe('Process runner', () => {
+  beforeAll(async () => {
+    await fs.mkdir(WORK_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(WORK_DIR, { recursive: true, force: true });
+    configureRunner({ concurrency: 4 });
+  });
+
+  test('should pass arguments without a shell', async () => {
+    const marker = path.join(WORK_DIR, 'injected');
+    const argument = `"; touch ${marker}; echo "$(touch ${marker})`;
+
+    const { stdout } = await runProcess(node, ['-e', 'process.stdout.write(process.argv[1])', argument]);
+
+    expect(stdout).toBe(argument);
+    await expect(fs.access(marker)).rejects.toThrow();
+  });
+
+  test('should write the input to stdin', async () => {
+    const { stdout } = await runProcess(node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: Buffer.from('from stdin') });
+    expect(stdout).toBe('from stdin');
+  });
+
+  test('should kill processes that time out or write too much', async () => {
+    await expect(runProcess(node, ['-e', 'setTimeout(() => {}, 5000)'], { timeout: 200 })).rejects.toMatchObject({
+      code: 'ETIMEDOUT',
+    });
+    await expect(runProcess(node, ['-e', "process.stdout.write('x'.repeat(10000))"], { maxOutput: 100 })).rejects.toMatchObject({
+      code: 'EMAXOUTPUT',
+    });
+  });
+
+  test('should report missing binaries and failing exits', async () => {
+    await expect(runProcess('uxio-no-such-tool', [])).rejects.toMatchObject({ code: 'ENOENT', command: 'uxio-no-such-tool' });
+    await expect(runProcess(node, ['-e', "console.error('broken'); process.exit(3)"])).rejects.toThrow('exited with code 3: broken');
+  });
+
+  test('should cap how many processes run at once', async () => {
+    configureRunner({ concurrency: 1 });
+    const script = 'console.log(Date.now()); setTimeout(() => console.log(Date.now()), 150)';
+
+    const runs = await Promise.all([runProcess(node, ['-e', script]), runProcess(node, ['-e', script])]);
+
+    const [first, second] = runs.map(({ stdout }) => stdout.trim().split('\n').map(Number));
+    expect(second[0]).toBeGreaterThanOrEqual(first[1]);
+    configureRunner({ concurrency: 4 });
+    expect(() => configureRunner({ concurrency: 0 })).toThrow(TypeError);
+  });
+
+  test('should not start a queued run whose signal aborted while it waited', async () => {
+    configureRunner({ concurrency: 1 });
+    const controller = new AbortController();
+    const first = runProcess(node, ['-e', 'setTimeout(() => {}, 300)']);
+    const queued = runProcess(node, ['-e', 'setTimeout(() => {}, 5000)'], { signal: controller.signal, timeout: 5000 });
+    controller.abort();
+
+    const started = Date.now();
+    await expect(queued).rejects.toMatchObject({ code: 'ABORT_ERR' });
+    expect(Date.now() - started).toBeLessThan(2000);
+    await first;
+    // The aborted run gave its slot back
+    await expect(runProcess(node, ['-e', 'process.stdout.write("ok")'])).resolves.toMatchObject({ stdout: 'ok' });
+    configureRunner({ concurrency: 4 });
+  });
+
+  test('should run metadata tools safely on hostile file names', async () => {
+    // A shell would create the marker in the working directory
+    const marker = path.join(process.cwd(), 'uxio-pwned');
+    const hostile = path.join(WORK_DIR, '-a"$(touch uxio-pwned).bin');
+    await fs.writeFile(hostile, Buffer.from([0, 1, 2, 3, 4, 5, 6, 7]));
+
+    const metadata = await Uxio.metadata(hostile);
+
+    expect(metadata.platformInfo).toEqual(expect.any(String));
+    await expect(fs.access(marker)).rejects.toThrow();
+  });
+
+  test('should report a missing tool in the metadata', async () => {
+    Uxio.metadata.configure({ filePath: path.join(WORK_DIR, 'missing-file-binary') });
+    try {
+      const metadata = await Uxio.metadata(Buffer.from([0, 1, 2, 3]));
+      expect(metadata).toEqual({
+        mimeType: 'application/octet-stream',
+        metadataError: expect.objectContaining({ code: 'TOOL_NOT_FOUND', tool: path.join(WORK_DIR, 'missing-file-binary') }),
+      });
+    } finally {
+      Uxio.metadata.configure({ filePath: 'file' });
+    }
+    expect(() => Uxio.metadata.configure({ ffprobePath: '' })).toThrow(TypeError);
+  });
+});
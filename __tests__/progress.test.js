@@ -0,0 +1,135 @@
+const request = require('supertest');
+const express = require('express');
+const http = require('http');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const DUMMY_FILE_PATH = path.join(__dirname, 'progress_dummy.bin');
+
+const app = express();
+app.use(Uxio({ progress: { ttl: 5000 } }));
+
+app.post('/upload-events', (req, res) => {
+  res.json({ received: req.uxio.files.length });
+});
+
+app.get('/progress/:uploadId', Uxio.progress({ interval: 0 }));
+
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Subscribes to req.uxio as soon as the middleware creates it, before any byte is parsed
+const events = [];
+const eventsApp = express();
+eventsApp.post('/upload', (req, res, next) => {
+  Uxio()(req, res, (err) => (err ? next(err) : res.json({ ok: true })));
+  req.uxio.on('fileStart', (file) => events.push(['fileStart', file.fieldname]));
+  req.uxio.on('progress', (progress) => events.push(['progress', progress]));
+  req.uxio.on('fileEnd', (file) => events.push(['fileEnd', file.size]));
+  req.uxio.on('finish', (files) => events.push(['finish', files.length]));
+});
+
+describe('Upload progress', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    await fs.writeFile(DUMMY_FILE_PATH, Buffer.alloc(256 * 1024, 1));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await fs.unlink(DUMMY_FILE_PATH).catch(() => {});
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('should emit fileStart, progress, fileEnd and finish on req.uxio', async () => {
+    const response = await request(eventsApp)
+      .post('/upload')
+      .attach('video', DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(200);
+    const names = events.map(([name]) => name);
+    expect(names[0]).toBe('progress');
+    expect(names.indexOf('fileStart')).toBeLessThan(names.indexOf('fileEnd'));
+    expect(names[names.length - 1]).toBe('finish');
+    expect(events.find(([name]) => name === 'fileEnd')[1]).toBe(256 * 1024);
+
+    const progress = events.filter(([name]) => name === 'progress').map(([, p]) => p);
+    const last = progress[progress.length - 1];
+    expect(last.bytesReceived).toBe(last.bytesExpected);
+    expect(last.percent).toBe(100);
+    expect(progress.every((p, i) => i === 0 || p.bytesReceived > progress[i - 1].bytesReceived)).toBe(true);
+  });
+
+  test('should serve the final progress of an upload as JSON', async () => {
+    const upload = await request(server)
+      .post('/upload-events')
+      .set('X-Upload-Id', 'json-upload-1')
+      .attach('video', DUMMY_FILE_PATH);
+    expect(upload.status).toBe(200);
+
+    const response = await request(server).get('/progress/json-upload-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id: 'json-upload-1',
+      state: 'complete',
+      percent: 100,
+      files: [{ fieldname: 'video', filename: 'progress_dummy.bin', size: 256 * 1024, complete: true }],
+    });
+    expect(response.body.bytesReceived).toBe(response.body.bytesExpected);
+  });
+
+  test('should reject unknown and invalid upload ids', async () => {
+    const unknown = await request(server).get('/progress/never-started');
+    expect(unknown.status).toBe(404);
+
+    const invalid = await request(server).get('/progress/..%2Fetc');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should stream progress over Server-Sent Events until the upload completes', async () => {
+    const messages = [];
+    let started;
+    const firstMessage = new Promise((resolve) => {
+      started = resolve;
+    });
+    const streamed = new Promise((resolve, reject) => {
+      http.get(
+        { port, path: '/progress/sse-upload-1', headers: { Accept: 'text/event-stream' } },
+        (res) => {
+          expect(res.headers['content-type']).toBe('text/event-stream');
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const parts = buffer.split('\n\n');
+            buffer = parts.pop();
+            for (const part of parts) {
+              if (part.startsWith('data: ')) messages.push(JSON.parse(part.slice(6)));
+            }
+            if (messages.length > 0) started();
+          });
+          res.on('end', () => resolve(messages));
+        },
+      ).on('error', reject);
+    });
+    await firstMessage;
+
+    const upload = await request(server)
+      .post('/upload-events?uploadId=sse-upload-1')
+      .attach('video', DUMMY_FILE_PATH);
+    expect(upload.status).toBe(200);
+
+    await streamed;
+    expect(messages[0].state).toBe('pending');
+    expect(messages.some((m) => m.state === 'uploading')).toBe(true);
+    expect(messages[messages.length - 1]).toMatchObject({ state: 'complete', percent: 100 });
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const DUMMY_FILE_PATH = path.join(__dirname, 'providers_dummy.txt');
+
+// An in-memory provider used as a test double
+const store = new Map();
+Uxio.files.registerProvider('memory', {
+  validateOptions: (options) => {
+    if (!options || !options.prefix) {
+      throw new Error("memory provider requires a 'prefix' in options.");
+    }
+  },
+  upload: async (file, { key, options, createReadStream }) => {
+    if (key.includes('fail')) {
+      throw new Error(`Refusing to store '${key}'.`);
+    }
+    const chunks = [];
+    for await (const chunk of createReadStream()) {
+      chunks.push(chunk);
+    }
+    store.set(options.prefix + key, Buffer.concat(chunks));
+    return { key: options.prefix + key };
+  },
+  remove: async (result) => {
+    store.delete(result.key);
+  },
+});
+
+const app = express();
+app.use(Uxio());
+
+app.post('/send', async (req, res) => {
+  try {
+    const fileInfo = await Uxio.files.send(req.body && req.body.configs ? JSON.parse(req.body.configs) : [
+      { fieldname: 'first', provider: 'Memory', options: { prefix: 'uploads/' } },
+      { fieldname: 'second', provider: 'memory', options: { prefix: 'uploads/' } },
+    ], req.uxio);
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+describe('Uxio provider registry', () => {
+  beforeAll(async () => {
+    await fs.writeFile(DUMMY_FILE_PATH, 'This is a test file.');
+  });
+
+  afterAll(async () => {
+    await fs.unlink(DUMMY_FILE_PATH).catch(() => {});
+  });
+
+  beforeEach(() => {
+    store.clear();
+  });
+
+  test('should send files through a registered provider', async () => {
+    const res = await request(app)
+      .post('/send')
+      .attach('first', DUMMY_FILE_PATH, { filename: 'one.txt' })
+      .attach('second', DUMMY_FILE_PATH, { filename: 'two.txt' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0]).toMatchObject({ provider: 'memory', fieldname: 'first', key: 'uploads/one.txt' });
+    expect(store.get('uploads/two.txt').toString()).toBe('This is a test file.');
+  });
+
+  test('should roll back through the provider remove hook when a later upload fails', async () => {
+    const res = await request(app)
+      .post('/send')
+      .attach('first', DUMMY_FILE_PATH, { filename: 'one.txt' })
+      .attach('second', DUMMY_FILE_PATH, { filename: 'fail.txt' });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toHaveProperty('error', expect.stringContaining('Refusing to store'));
+    expect(store.size).toBe(0);
+  });
+
+  test('should reject invalid provider options with a 400', async () => {
+    const res = await request(app)
+      .post('/send')
+      .field('configs', JSON.stringify([{ fieldname: 'first', provider: 'memory', options: {} }]))
+      .attach('first', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', expect.stringContaining("requires a 'prefix'"));
+  });
+
+  test('should reject an unknown provider', async () => {
+    const res = await request(app)
+      .post('/send')
+      .field('configs', JSON.stringify([{ fieldname: 'first', provider: 'nowhere' }]))
+      .attach('first', DUMMY_FILE_PATH);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error', "Unsupported provider: 'nowhere'.");
+  });
+
+  test('should refuse providers without an upload function', () => {
+    expect(() => Uxio.files.registerProvider('broken', {})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const fsp = require('fs/promises');
+
+const mockSentCommands = [];
+let mockFailPart = null;
+
+// Mock AWS S3 client, recording every command that is sent
+jest.mock('@aws-sdk/client-s3', () => {
+  const command = (type) => jest.fn((input) => ({ type, input }));
+  return {
+    S3Client: jest.fn((config) => ({
+      config,
+      send: jest.fn(async (cmd) => {
+        mockSentCommands.push(cmd);
+        if (cmd.input && cmd.input.Body && cmd.input.Body.pipe) {
+          // Drain the body like the SDK would
+          for await (const chunk of cmd.input.Body);
+        }
+        if (cmd.type === 'CreateMultipartUpload') return { UploadId: 'upload-1' };
+        if (cmd.type === 'UploadPart') {
+          if (cmd.input.PartNumber === mockFailPart) throw new Error('Part upload failed');
+          return { ETag: `etag-${cmd.input.PartNumber}` };
+        }
+        return {};
+      }),
+    })),
+    PutObjectCommand: command('PutObject'),
+    DeleteObjectCommand: command('DeleteObject'),
+    CreateMultipartUploadCommand: command('CreateMultipartUpload'),
+    UploadPartCommand: command('UploadPart'),
+    CompleteMultipartUploadCommand: command('CompleteMultipartUpload'),
+    AbortMultipartUploadCommand: command('AbortMultipartUpload'),
+  };
+});
+
+const { S3Client } = require('@aws-sdk/client-s3');
+const s3 = require('../src/providers/s3');
+
+const LARGE_FILE_PATH = path.join(__dirname, 's3_large.bin');
+const FILE_SIZE = 11 * 1024 * 1024;
+
+const file = { fieldname: 'video', filename: 'movie.mp4', mimeType: 'video/mp4', size: FILE_SIZE, tempFilePath: LARGE_FILE_PATH };
+const context = (options) => ({
+  key: 'videos/movie 1.mp4',
+  options: { bucket: 'media', credentials: { accessKeyId: 'a', secretAccessKey: 'b' }, ...options },
+  metadata: {},
+  createReadStream: (range) => fs.createReadStream(LARGE_FILE_PATH, range),
+});
+
+describe('S3 provider', () => {
+  beforeAll(async () => {
+    await fsp.writeFile(LARGE_FILE_PATH, Buffer.alloc(FILE_SIZE));
+  });
+
+  afterAll(async () => {
+    await fsp.unlink(LARGE_FILE_PATH).catch(() => {});
+  });
+
+  beforeEach(() => {
+    mockSentCommands.length = 0;
+    mockFailPart = null;
+    S3Client.mockClear();
+  });
+
+  test('should target a custom endpoint with path-style URLs', async () => {
+    const result = await s3.upload({ ...file, size: 20 }, context({ endpoint: 'http://minio.local:9000', forcePathStyle: true }));
+
+    expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({ endpoint: 'http://minio.local:9000', forcePathStyle: true, region: 'us-east-1' }));
+    expect(mockSentCommands.map((c) => c.type)).toEqual(['PutObject']);
+    expect(result.url).toBe('http://minio.local:9000/media/videos/movie%201.mp4');
+  });
+
+  test('should build virtual-hosted AWS URLs by default', async () => {
+    const result = await s3.upload({ ...file, size: 20 }, context({ region: 'eu-west-1' }));
+
+    expect(result.url).toBe('https://media.s3.eu-west-1.amazonaws.com/videos/movie%201.mp4');
+  });
+
+  test('should forward the computed checksums to S3', async () => {
+    const checksums = { sha256: 'ab'.repeat(32), md5: 'cd'.repeat(16) };
+    await s3.upload({ ...file, size: 20, checksums }, context({ region: 'us-east-1' }));
+
+    expect(mockSentCommands[0].input).toMatchObject({
+      ChecksumSHA256: Buffer.from(checksums.sha256, 'hex').toString('base64'),
+      ContentMD5: Buffer.from(checksums.md5, 'hex').toString('base64'),
+    });
+  });
+
+  test('should use a multipart upload above the threshold', async () => {
+    await s3.upload(file, context({ region: 'us-east-1', multipartThreshold: 1024, partSize: 5 * 1024 * 1024 }));
+
+    const types = mockSentCommands.map((c) => c.type);
+    expect(types[0]).toBe('CreateMultipartUpload');
+    expect(types.filter((t) => t === 'UploadPart')).toHaveLength(3);
+    expect(types[types.length - 1]).toBe('CompleteMultipartUpload');
+
+    const complete = mockSentCommands[mockSentCommands.length - 1];
+    expect(complete.input.MultipartUpload.Parts.map((p) => p.PartNumber)).toEqual([1, 2, 3]);
+    const lengths = mockSentCommands.filter((c) => c.type === 'UploadPart').map((c) => c.input.ContentLength);
+    expect(lengths.reduce((a, b) => a + b, 0)).toBe(FILE_SIZE);
+  });
+
+  test('should abort the multipart upload when a part fails', async () => {
+    mockFailPart = 2;
+
+    await expect(
+      s3.upload(file, context({ region: 'us-east-1', multipartThreshold: 1024, queueSize: 1 })),
+    ).rejects.toThrow('Part upload failed');
+
+    const types = mockSentCommands.map((c) => c.type);
+    expect(types).toContain('AbortMultipartUpload');
+    expect(types).not.toContain('CompleteMultipartUpload');
+  });
+
+  test('should stream a small body with a single PutObject', async () => {
+    const result = await s3.uploadStream(Readable.from([Buffer.from('hello '), Buffer.from('world')]), {
+      key: 'notes.txt',
+      options: { bucket: 'media', region: 'us-east-1', credentials: {} },
+      file: { ...file, mimeType: 'text/plain', size: 0 },
+    });
+
+    expect(mockSentCommands.map((c) => c.type)).toEqual(['PutObject']);
+    expect(mockSentCommands[0].input.Body.toString()).toBe('hello world');
+    expect(result).toMatchObject({ key: 'notes.txt', size: 11, mimeType: 'text/plain' });
+  });
+
+  test('should stream a large body in parts of partSize', async () => {
+    const result = await s3.uploadStream(fs.createReadStream(LARGE_FILE_PATH), {
+      key: 'videos/movie.mp4',
+      options: { bucket: 'media', region: 'us-east-1', credentials: {}, partSize: 5 * 1024 * 1024, queueSize: 2 },
+      file: { ...file, size: 0 },
+    });
+
+    const types = mockSentCommands.map((c) => c.type);
+    expect(types[0]).toBe('CreateMultipartUpload');
+    expect(types[types.length - 1]).toBe('CompleteMultipartUpload');
+    const lengths = mockSentCommands.filter((c) => c.type === 'UploadPart').map((c) => c.input.ContentLength);
+    expect(lengths).toEqual([5 * 1024 * 1024, 5 * 1024 * 1024, 1024 * 1024]);
+    const parts = mockSentCommands[types.length - 1].input.MultipartUpload.Parts;
+    expect(parts.map((p) => p.PartNumber)).toEqual([1, 2, 3]);
+    expect(result.size).toBe(FILE_SIZE);
+  });
+
+  test('should abort a streamed multipart upload when the stream fails', async () => {
+    const stream = Readable.from((async function* () {
+      yield Buffer.alloc(6 * 1024 * 1024);
+      throw new Error('client went away');
+    })());
+
+    await expect(
+      s3.uploadStream(stream, {
+        key: 'broken.bin',
+        options: { bucket: 'media', region: 'us-east-1', credentials: {}, partSize: 5 * 1024 * 1024 },
+        file: { ...file, size: 0 },
+      }),
+    ).rejects.toThrow('client went away');
+
+    const types = mockSentCommands.map((c) => c.type);
+    expect(types).toContain('AbortMultipartUpload');
+    expect(types).not.toContain('CompleteMultipartUpload');
+  });
+
+  test('should require a bucket and credentials', () => {
+    expect(() => s3.validateOptions({ region: 'us-east-1' })).toThrow("requires 'bucket'");
+    expect(() => s3.validateOptions({ bucket: 'b', endpoint: 'not a url', credentials: {} })).toThrow('not a valid URL');
+  });
+});
@@ -0,0 +1,54 @@
+const path = require('path');
+
+const { sanitizeFilename, safeExtension, resolveInside } = require('../src/sanitize');
+
+describe('Filename sanitization', () => {
+  test('should strip path separators so a name stays a single segment', () => {
+    expect(sanitizeFilename('../../etc/passwd')).toBe('_.._etc_passwd');
+    expect(sanitizeFilename('..\\..\\windows\\win.ini')).toBe('_.._windows_win.ini');
+    expect(sanitizeFilename('/absolute/path.txt')).toBe('_absolute_path.txt');
+  });
+
+  test('should remove control characters and characters invalid on common filesystems', () => {
+    expect(sanitizeFilename('in\u0000va\u001flid<>:"|?*.txt')).toBe('in_va_lid_______.txt');
+  });
+
+  test('should prefix Windows reserved names', () => {
+    expect(sanitizeFilename('CON')).toBe('_CON');
+    expect(sanitizeFilename('lpt1.txt')).toBe('_lpt1.txt');
+    expect(sanitizeFilename('console.txt')).toBe('console.txt');
+  });
+
+  test('should drop leading dots and trailing dots or spaces', () => {
+    expect(sanitizeFilename('.htaccess')).toBe('htaccess');
+    expect(sanitizeFilename('report.pdf. . ')).toBe('report.pdf');
+    expect(sanitizeFilename('..')).toBe('file');
+    expect(sanitizeFilename('')).toBe('file');
+  });
+
+  test('should normalize Unicode to NFC', () => {
+    expect(sanitizeFilename('café.txt')).toBe('café.txt');
+  });
+
+  test('should cap the length in bytes and keep the extension', () => {
+    const name = sanitizeFilename(`${'é'.repeat(200)}.jpeg`, { maxLength: 100 });
+
+    expect(Buffer.byteLength(name)).toBeLessThanOrEqual(100);
+    expect(name.endsWith('.jpeg')).toBe(true);
+  });
+
+  test('should only keep plain extensions for temp files', () => {
+    expect(safeExtension('slides.PPTX')).toBe('.pptx');
+    expect(safeExtension('archive.tar.gz')).toBe('.gz');
+    expect(safeExtension('weird.$(rm -rf)')).toBe('');
+  });
+
+  test('should refuse paths that resolve outside of the directory', () => {
+    const dir = path.join(__dirname, 'uploads');
+
+    expect(resolveInside(dir, 'avatar.png')).toBe(path.join(dir, 'avatar.png'));
+    expect(resolveInside(dir, '..hidden')).toBe(path.join(dir, '..hidden'));
+    expect(() => resolveInside(dir, '../escape.txt')).toThrow('outside of the destination directory');
+    expect(() => resolveInside(dir, '/etc/passwd')).toThrow('outside of the destination directory');
+  });
+});
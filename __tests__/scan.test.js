@@ -0,0 +1,214 @@
+const request = require('supertest');
+const express = require('express');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const QUARANTINE_DIR = path.join(__dirname, 'scan_quarantine');
+const UPLOADS_DIR = path.join(__dirname, 'scan_uploads');
+const SOCKET_PATH = path.join(os.tmpdir(), `uxio-clamd-${process.pid}.sock`);
+
+// A fake clamd speaking the INSTREAM protocol: reports the EICAR string, refuses streams over maxLength
+const scanned = [];
+let maxLength = Infinity;
+const createClamd = () =>
+  net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    let started = false;
+    const body = [];
+    let total = 0;
+    let replied = false;
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      // The client may still be sending when the reply was already written
+      if (replied) return;
+      buffered = Buffer.concat([buffered, data]);
+      if (!started) {
+        if (buffered.length < 10) return;
+        expect(buffered.subarray(0, 10).toString()).toBe('zINSTREAM\0');
+        buffered = buffered.subarray(10);
+        started = true;
+      }
+      while (buffered.length >= 4) {
+        const length = buffered.readUInt32BE(0);
+        if (length === 0) {
+          const content = Buffer.concat(body).toString();
+          scanned.push(content);
+          replied = true;
+          socket.end(content.includes(SIGNATURE) ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (buffered.length < 4 + length) return;
+        body.push(buffered.subarray(4, 4 + length));
+        total += length;
+        buffered = buffered.subarray(4 + length);
+        if (total > maxLength) {
+          replied = true;
+          socket.end('INSTREAM size limit exceeded. ERROR\0');
+          return;
+        }
+      }
+    });
+  });
+
+let tcpServer;
+let unixServer;
+let port;
+
+// Provider for streamed uploads that records what was rolled back
+const kept = new Map();
+Uxio.files.registerProvider('scan-test', {
+  upload: async () => ({}),
+  uploadStream: async (stream, { key }) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    kept.set(key, Buffer.concat(chunks).toString());
+    return { key };
+  },
+  remove: async (result) => {
+    kept.delete(result.key);
+  },
+});
+
+const createApp = (options, route) => {
+  const app = express();
+  app.use(Uxio(options));
+  app.post('/upload', route || ((req, res) => res.json({ files: req.uxio.files.map((f) => f.filename), sent: req.uxio.sent })));
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message, name: err.name, viruses: err.viruses });
+  });
+  return app;
+};
+
+describe('Malware scanning', () => {
+  beforeAll(async () => {
+    tcpServer = createClamd();
+    unixServer = createClamd();
+    await new Promise((resolve) => tcpServer.listen(0, '127.0.0.1', resolve));
+    await fs.rm(SOCKET_PATH, { force: true });
+    await new Promise((resolve) => unixServer.listen(SOCKET_PATH, resolve));
+    port = tcpServer.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => tcpServer.close(resolve));
+    await new Promise((resolve) => unixServer.close(resolve));
+    await fs.rm(QUARANTINE_DIR, { recursive: true, force: true });
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    scanned.length = 0;
+    maxLength = Infinity;
+    kept.clear();
+    await fs.rm(QUARANTINE_DIR, { recursive: true, force: true });
+  });
+
+  test('should let clean files through to the route', async () => {
+    const app = createApp({ scan: Uxio.clamav({ port }) });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.from('harmless content'), 'notes.txt');
+
+    expect(res.status).toBe(200);
+    expect(res.body.files).toEqual(['notes.txt']);
+    expect(scanned).toEqual(['harmless content']);
+  });
+
+  test('should reject an infected file and move it to quarantine', async () => {
+    const app = createApp({ scan: { scanner: Uxio.clamav({ port }), quarantine: QUARANTINE_DIR } });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.from('clean'), 'clean.txt')
+      .attach('doc', Buffer.from(SIGNATURE), 'eicar.com');
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ name: 'InfectedFileError', viruses: ['Eicar-Test-Signature'] });
+    expect(res.body.error).toContain("'eicar.com' is infected");
+
+    const entries = (await fs.readdir(QUARANTINE_DIR)).sort();
+    expect(entries).toHaveLength(2);
+    const record = JSON.parse(await fs.readFile(path.join(QUARANTINE_DIR, entries.find((e) => e.endsWith('.json')))));
+    expect(record).toMatchObject({ fieldname: 'doc', filename: 'eicar.com', viruses: ['Eicar-Test-Signature'] });
+    const quarantined = await fs.readFile(path.join(QUARANTINE_DIR, entries.find((e) => e.endsWith('.quarantine'))), 'utf8');
+    expect(quarantined).toBe(SIGNATURE);
+  });
+
+  test('should scan in save() over a Unix socket', async () => {
+    const app = createApp({ storage: 'memory' }, async (req, res) => {
+      try {
+        const saved = await Uxio.files.save(
+          { fieldname: 'doc', path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite', scan: Uxio.clamav({ socket: SOCKET_PATH }) },
+          req.uxio,
+        );
+        res.json(saved.map((f) => path.basename(f.path)));
+      } catch (e) {
+        res.status(e.status || 500).json({ error: e.message, name: e.name });
+      }
+    });
+
+    const clean = await request(app).post('/upload').attach('doc', Buffer.from('fine'), 'fine.txt');
+    expect(clean.status).toBe(200);
+    expect(clean.body).toEqual(['fine.txt']);
+
+    const infected = await request(app).post('/upload').attach('doc', Buffer.from(SIGNATURE), 'bad.txt');
+    expect(infected.status).toBe(422);
+    expect(infected.body.name).toBe('InfectedFileError');
+    await expect(fs.access(path.join(UPLOADS_DIR, 'bad.txt'))).rejects.toThrow();
+  });
+
+  test('should fail closed when the scanner cannot scan the file', async () => {
+    maxLength = 8;
+    const tooLarge = await request(createApp({ scan: Uxio.clamav({ port }) }))
+      .post('/upload')
+      .attach('doc', Buffer.alloc(64 * 1024, 'x'), 'big.bin');
+    expect(tooLarge.status).toBe(503);
+    expect(tooLarge.body.error).toContain('size limit exceeded');
+
+    const unreachable = await request(createApp({ scan: Uxio.clamav({ socket: path.join(os.tmpdir(), 'no-clamd.sock') }) }))
+      .post('/upload')
+      .attach('doc', Buffer.from('content'), 'notes.txt');
+    expect(unreachable.status).toBe(503);
+    expect(unreachable.body.error).toContain("Malware scan of 'notes.txt' failed");
+  });
+
+  test('should scan streamed files on the fly and remove infected uploads', async () => {
+    const app = createApp({
+      send: { fieldname: 'doc', provider: 'scan-test', options: {} },
+      scan: Uxio.clamav({ port }),
+    });
+
+    const clean = await request(app).post('/upload').attach('doc', Buffer.from('streamed'), 'ok.txt');
+    expect(clean.status).toBe(200);
+    expect(clean.body.sent).toEqual([{ provider: 'scan-test', fieldname: 'doc', key: 'ok.txt' }]);
+
+    const infected = await request(app).post('/upload').attach('doc', Buffer.from(SIGNATURE), 'bad.txt');
+    expect(infected.status).toBe(422);
+    // The rollback may finish after the response was sent
+    for (let i = 0; i < 50 && kept.has('bad.txt'); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(kept.has('bad.txt')).toBe(false);
+    expect(kept.has('ok.txt')).toBe(true);
+  });
+
+  test('should accept a plain scan function', async () => {
+    const scanner = async (stream, file) => {
+      for await (const chunk of stream);
+      return { infected: file.filename.endsWith('.exe'), viruses: ['Test.Executable'] };
+    };
+    const app = createApp({ scan: scanner });
+
+    const res = await request(app).post('/upload').attach('doc', Buffer.from('MZ'), 'setup.exe');
+
+    expect(res.status).toBe(422);
+    expect(res.body.viruses).toEqual(['Test.Executable']);
+    expect(() => Uxio({ scan: { quarantine: QUARANTINE_DIR } })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const SMALL_FILE_PATH = path.join(__dirname, 'storage_small.txt');
+const LARGE_FILE_PATH = path.join(__dirname, 'storage_large.bin');
+const UPLOADS_DIR = path.join(__dirname, 'storage_uploads');
+
+// Collects what a provider receives, to check that buffers are streamed like temp files
+const received = new Map();
+Uxio.files.registerProvider('storage-test', {
+  upload: async (file, { key, createReadStream }) => {
+    const chunks = [];
+    for await (const chunk of createReadStream()) {
+      chunks.push(chunk);
+    }
+    const head = [];
+    for await (const chunk of createReadStream({ start: 0, end: 3 })) {
+      head.push(chunk);
+    }
+    received.set(key, { body: Buffer.concat(chunks).toString(), head: Buffer.concat(head).toString() });
+    return { key };
+  },
+});
+
+// Builds an app with the given storage options; the route reports where each file was kept, then saves or sends them
+const createApp = (options) => {
+  const app = express();
+  app.use(Uxio(options));
+  app.post('/upload', async (req, res) => {
+    try {
+      const kept = req.uxio.files.map((f) => ({
+        filename: f.filename,
+        inMemory: Buffer.isBuffer(f.buffer),
+        tempFilePath: f.tempFilePath,
+        size: f.size,
+        complete: f.complete,
+      }));
+      const result = req.query.send
+        ? await Uxio.files.send({ fieldname: 'docs', provider: 'storage-test', options: {} }, req.uxio)
+        : await Uxio.files.save({ fieldname: 'docs', path: UPLOADS_DIR, makedir: true, validations: { verifyContent: true } }, req.uxio);
+      res.json({ kept, result });
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e.message });
+    }
+  });
+  return app;
+};
+
+describe('Uxio storage modes', () => {
+  beforeAll(async () => {
+    await fs.writeFile(SMALL_FILE_PATH, 'small file\nsecond line');
+    await fs.writeFile(LARGE_FILE_PATH, Buffer.alloc(64 * 1024, 'x'));
+  });
+
+  afterAll(async () => {
+    await fs.unlink(SMALL_FILE_PATH).catch(() => {});
+    await fs.unlink(LARGE_FILE_PATH).catch(() => {});
+  });
+
+  afterEach(async () => {
+    received.clear();
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should keep files in memory and save them with their metadata', async () => {
+    const res = await request(createApp({ storage: 'memory' }))
+      .post('/upload')
+      .attach('docs', SMALL_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(res.body.kept).toEqual([
+      { filename: 'storage_small.txt', inMemory: true, tempFilePath: null, size: 22, complete: true },
+    ]);
+    const [saved] = res.body.result;
+    expect(saved).toMatchObject({ path: path.join(UPLOADS_DIR, 'storage_small.txt'), size: 22, lines: 2, charCount: 22 });
+    await expect(fs.readFile(saved.path, 'utf8')).resolves.toBe('small file\nsecond line');
+  });
+
+  test('should send files kept in memory through providers', async () => {
+    const res = await request(createApp({ storage: 'memory' }))
+      .post('/upload?send=1')
+      .attach('docs', SMALL_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    expect(received.get('storage_small.txt')).toEqual({ body: 'small file\nsecond line', head: 'smal' });
+  });
+
+  test('should spill files over the threshold to disk in hybrid mode', async () => {
+    const res = await request(createApp({ storage: 'hybrid', memoryThreshold: 1024 }))
+      .post('/upload')
+      .attach('docs', SMALL_FILE_PATH)
+      .attach('docs', LARGE_FILE_PATH);
+
+    expect(res.status).toBe(200);
+    const [small, large] = res.body.kept;
+    expect(small).toMatchObject({ inMemory: true, tempFilePath: null, size: 22 });
+    expect(large).toMatchObject({ inMemory: false, size: 64 * 1024, complete: true });
+    expect(large.tempFilePath).toEqual(expect.any(String));
+
+    const [, savedLarge] = res.body.result;
+    expect((await fs.stat(savedLarge.path)).size).toBe(64 * 1024);
+  });
+
+  test('should refuse an unknown storage mode', () => {
+    expect(() => Uxio({ storage: 'cloud' })).toThrow(TypeError);
+    expect(() => Uxio({ storage: 'hybrid', memoryThreshold: -1 })).toThrow(TypeError);
+  });
+});
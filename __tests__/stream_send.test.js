@@ -0,0 +1,218 @@
+const request = require('supertest');
+const express = require('express');
+const busboy = require('busboy');
+const http = require('http');
+
+const Uxio = require('../index');
+
+// A receiving service that records every body it gets
+let server;
+let baseUrl;
+const stored = [];
+
+// Provider that keeps streamed files in memory, fails on demand and records rollbacks
+const kept = new Map();
+const removed = [];
+Uxio.files.registerProvider('stream-test', {
+  upload: async () => {
+    throw new Error('not used');
+  },
+  uploadStream: async (stream, { key }) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    if (key.startsWith('fail')) {
+      throw new Error(`Storage refused '${key}'`);
+    }
+    kept.set(key, Buffer.concat(chunks).toString());
+    return { key };
+  },
+  remove: async (result) => {
+    removed.push(result.key);
+    kept.delete(result.key);
+  },
+});
+
+const PNG_HEADER = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// Builds an app streaming with the given `send` option; the route reports what it received
+const createApp = (send) => {
+  const app = express();
+  app.use(Uxio({ send }));
+  app.post('/upload', (req, res) => {
+    res.json({
+      sent: req.uxio.sent,
+      files: req.uxio.files.map((f) => ({
+        fieldname: f.fieldname,
+        streamed: Boolean(f.streamed),
+        tempFilePath: f.tempFilePath,
+        size: f.size,
+        complete: f.complete,
+      })),
+    });
+  });
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+  return app;
+};
+
+describe('Streaming uploads to providers', () => {
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      const reply = (entry) => {
+        stored.push(entry);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: stored.length }));
+      };
+      if (req.headers['content-type'].startsWith('multipart/form-data')) {
+        const bb = busboy({ headers: req.headers });
+        bb.on('file', (name, file, info) => {
+          const chunks = [];
+          file.on('data', (chunk) => chunks.push(chunk));
+          file.on('end', () => reply({ fieldName: name, filename: info.filename, body: Buffer.concat(chunks).toString() }));
+        });
+        return req.pipe(bb);
+      }
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () =>
+        reply({
+          contentType: req.headers['content-type'],
+          chunked: req.headers['transfer-encoding'] === 'chunked',
+          filename: decodeURIComponent(req.headers['x-original-filename']),
+          body: Buffer.concat(chunks).toString(),
+        }),
+      );
+    });
+    server.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    stored.length = 0;
+    kept.clear();
+    removed.length = 0;
+  });
+
+  test('should pipe matching files to the provider without a temp file', async () => {
+    const app = createApp({ fieldname: 'doc', provider: 'customHttp', options: { url: `${baseUrl}/upload` } });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.from('streamed content'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .attach('other', Buffer.from('kept locally'), 'local.txt');
+
+    expect(res.status).toBe(200);
+    expect(stored).toEqual([{ contentType: 'text/plain', chunked: true, filename: 'notes.txt', body: 'streamed content' }]);
+    expect(res.body.sent).toEqual([{ provider: 'customHttp', fieldname: 'doc', key: 'notes.txt', id: 1 }]);
+    const [doc, other] = res.body.files;
+    expect(doc).toEqual({ fieldname: 'doc', streamed: true, tempFilePath: null, size: 16, complete: true });
+    expect(other.streamed).toBe(false);
+    expect(other.tempFilePath).toEqual(expect.any(String));
+  });
+
+  test('should stream as multipart/form-data with the renamed key', async () => {
+    const app = createApp({
+      fieldname: 'doc',
+      provider: 'customHttp',
+      rename: (file) => `incoming-${file.filename}`,
+      options: { url: `${baseUrl}/upload`, multipart: { fieldName: 'upload' } },
+    });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.from('multipart content'), 'notes.txt');
+
+    expect(res.status).toBe(200);
+    expect(stored).toEqual([{ fieldName: 'upload', filename: 'incoming-notes.txt', body: 'multipart content' }]);
+  });
+
+  test('should reject a declared MIME type outside the allow-list', async () => {
+    const app = createApp({ fieldname: 'doc', provider: 'stream-test', options: {}, validations: { mimeType: ['image/png'] } });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.from('text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('Invalid file type');
+    expect(kept.size).toBe(0);
+  });
+
+  test('should stop a file over maxSize while it streams', async () => {
+    const app = createApp({ fieldname: 'doc', provider: 'customHttp', options: { url: `${baseUrl}/upload` }, validations: { maxSize: 1024 } });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('doc', Buffer.alloc(256 * 1024, 'x'), 'big.txt');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('exceeds limit of 1024 bytes');
+    expect(stored).toEqual([]);
+  });
+
+  test('should verify the content before the first byte reaches the provider', async () => {
+    const app = createApp({
+      fieldname: 'avatar',
+      provider: 'stream-test',
+      options: {},
+      validations: { mimeType: ['image/png'], verifyContent: true },
+    });
+
+    const rejected = await request(app)
+      .post('/upload')
+      .attach('avatar', Buffer.from('#!/bin/sh\necho pwned\n'), { filename: 'avatar.png', contentType: 'image/png' });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.error).toContain('does not match');
+    expect(kept.size).toBe(0);
+
+    const accepted = await request(app)
+      .post('/upload')
+      .attach('avatar', Buffer.concat([PNG_HEADER, Buffer.alloc(8192)]), { filename: 'avatar.png', contentType: 'image/png' });
+    expect(accepted.status).toBe(200);
+    expect(kept.get('avatar.png')).toHaveLength(PNG_HEADER.length + 8192);
+  });
+
+  test('should remove the finished uploads when another one fails', async () => {
+    const app = createApp({ fieldname: 'docs', provider: 'stream-test', options: {} });
+
+    const res = await request(app)
+      .post('/upload')
+      .attach('docs', Buffer.from('first'), 'first.txt')
+      .attach('docs', Buffer.from('second'), 'fail.txt');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe("Storage refused 'fail.txt'");
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(removed).toEqual(['first.txt']);
+    expect(kept.size).toBe(0);
+  });
+
+  test('should fail when a required field has no file', async () => {
+    const app = createApp({ fieldname: 'doc', provider: 'stream-test', options: {}, required: true });
+
+    const res = await request(app).post('/upload').field('title', 'no file');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toContain('Required files not found for fields: doc');
+  });
+
+  test('should reject configs that cannot be streamed when the middleware is created', () => {
+    expect(() => Uxio({ send: { fieldname: 'doc', provider: 'nope', options: {} } })).toThrow("Unsupported provider: 'nope'");
+    expect(() => Uxio({ send: { fieldname: 'doc', provider: 's3', options: {}, transform: { resize: { width: 10 } } } })).toThrow(
+      'cannot be applied to streamed files',
+    );
+    expect(() => Uxio({ send: { fieldname: 'doc', provider: 'customHttp', options: {} } })).toThrow(TypeError);
+
+    Uxio.files.registerProvider('buffered-only', { upload: async () => ({}) });
+    expect(() => Uxio({ send: { fieldname: 'doc', provider: 'buffered-only', options: {} } })).toThrow('does not support streaming');
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+const XLSX = require('xlsx');
+
+const Uxio = require('../index');
+const { createZip } = require('./helpers/zip');
+
+const UPLOADS_DIR = path.join(__dirname, 'text_extraction_uploads');
+
+// Builds a PDF with one line of Helvetica text per string, one array of lines per page
+const createPdf = (pages) => {
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((lines, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, i) => {
+    const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((line) => `(${line}) Tj T*`).join(' ')} ET`;
+    objects[4 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`;
+    objects[5 + i * 2] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets.push(pdf.length);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const createDocx = (paragraphs) =>
+  createZip({
+    '[Content_Types].xml':
+      '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+    '_rels/.rels':
+      '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>',
+    'word/document.xml':
+      '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+      + paragraphs.map((text) => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`).join('')
+      + '</w:body></w:document>',
+  });
+
+const slide = (...paragraphs) =>
+  `<p:sld><p:cSld><p:spTree><p:sp><p:txBody>${paragraphs.map((runs) => `<a:p>${runs.map((run) => `<a:r><a:t>${run}</a:t></a:r>`).join('')}</a:p>`).join('')}</p:txBody></p:sp></p:spTree></p:cSld></p:sld>`;
+
+// The presentation shows slide2.xml first
+const createPptx = () =>
+  createZip({
+    'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+    'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId2" Target="slides/slide1.xml"/><Relationship Id="rId3" Target="slides/slide2.xml"/></Relationships>',
+    'ppt/slides/slide1.xml': slide(['Closing ', 'words'], ['Q&amp;A']),
+    'ppt/slides/slide2.xml': slide(['Agenda']),
+  });
+
+const PPTX_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const app = express();
+app.use(Uxio());
+app.post('/upload', async (req, res) => {
+  try {
+    const saved = await Uxio.files.save(
+      { fieldname: 'doc', path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite', extractText: JSON.parse(req.query.extractText) },
+      req.uxio,
+    );
+    res.json(saved);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+describe('Full-text extraction', () => {
+  afterAll(async () => {
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should only add text when asked', async () => {
+    const pdf = createPdf([['Hello']]);
+    expect((await Uxio.metadata(pdf, { mimeType: 'application/pdf' })).text).toBeUndefined();
+    await expect(Uxio.metadata(pdf, { mimeType: 'application/pdf', extractText: 'yes' })).rejects.toThrow(TypeError);
+    await expect(Uxio.metadata(pdf, { mimeType: 'application/pdf', extractText: { maxLength: 0 } })).rejects.toThrow('positive integer');
+  });
+
+  test('should extract PDF text per page', async () => {
+    const result = await Uxio.metadata(createPdf([['Hello   world', 'second line'], ['Page two']]), {
+      mimeType: 'application/pdf',
+      extractText: true,
+    });
+
+    expect(result.pages).toBe(2);
+    expect(result.text).toEqual({
+      content: 'Hello world\nsecond line\n\nPage two',
+      truncated: false,
+      pages: ['Hello world\nsecond line', 'Page two'],
+    });
+  });
+
+  test('should extract spreadsheet rows per sheet', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Item', 'Price'], ['Tea', 3.5], [], ['Cake', 4]]), 'Menu');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Open', 'daily']]), 'Notes');
+    const xlsx = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+
+    const result = await Uxio.metadata(xlsx, { mimeType: XLSX_TYPE, extractText: true });
+
+    expect(result.text).toEqual({
+      content: 'Item\tPrice\nTea\t3.5\nCake\t4\n\nOpen\tdaily',
+      truncated: false,
+      sheets: [
+        { name: 'Menu', rows: [['Item', 'Price'], ['Tea', '3.5'], ['Cake', '4']] },
+        { name: 'Notes', rows: [['Open', 'daily']] },
+      ],
+    });
+
+    const capped = await Uxio.metadata(xlsx, { mimeType: XLSX_TYPE, extractText: { maxLength: 20 } });
+    expect(capped.text).toMatchObject({ content: 'Item\tPrice\nTea\t3.5', truncated: true });
+    expect(capped.text.sheets[0].rows).toHaveLength(2);
+  });
+
+  test('should extract presentation text per slide in presentation order', async () => {
+    const result = await Uxio.metadata(createPptx(), { mimeType: PPTX_TYPE, extractText: true });
+
+    expect(result.slidesCount).toBe(2);
+    expect(result.text).toEqual({ content: 'Agenda\n\nClosing words\nQ&A', truncated: false, slides: ['Agenda', 'Closing words\nQ&A'] });
+
+    const capped = await Uxio.metadata(createPptx(), { mimeType: PPTX_TYPE, extractText: { maxLength: 12 } });
+    expect(capped.text).toEqual({ content: 'Agenda\n\nClos', truncated: true, slides: ['Agenda', 'Clos'] });
+
+    const odp = createZip({
+      'content.xml': '<office:presentation><draw:page draw:name="1"><text:p>Intro</text:p></draw:page><draw:page draw:name="2"/>'
+        + '<draw:page draw:name="3"><text:h>End</text:h><text:p>Thanks</text:p></draw:page></office:presentation>',
+    });
+    expect((await Uxio.metadata(odp, { mimeType: 'application/vnd.oasis.opendocument.presentation', extractText: true })).text).toEqual({
+      content: 'Intro\n\nEnd\nThanks',
+      truncated: false,
+      slides: ['Intro', '', 'End\nThanks'],
+    });
+  });
+
+  test('should extract Word and plain text, normalized', async () => {
+    const docx = await Uxio.metadata(createDocx(['First   paragraph', 'Second\tone']), { mimeType: DOCX_TYPE, extractText: true });
+    expect(docx).toMatchObject({ wordCount: 4, text: { content: 'First paragraph\n\nSecond one', truncated: false } });
+
+    const text = Buffer.from('  Café menu\r\n\r\n\r\n\r\nsoup\u0007 of the day  \n');
+    const plain = await Uxio.metadata(text, { mimeType: 'text/plain', extractText: { maxLength: 14 } });
+    expect(plain.firstLine).toBe('  Café menu\r');
+    expect(plain.text).toEqual({ content: 'Café menu\n\nsou', truncated: true });
+  });
+
+  test('should honour the extractText option of save()', async () => {
+    const res = await request(app)
+      .post('/upload?extractText=true')
+      .attach('doc', Buffer.from('indexed words'), 'notes.txt');
+    expect(res.status).toBe(200);
+    expect(res.body[0].text).toEqual({ content: 'indexed words', truncated: false });
+
+    const without = await request(app).post('/upload?extractText=false').attach('doc', Buffer.from('words'), 'notes.txt');
+    expect(without.body[0].text).toBeUndefined();
+
+    const invalid = await request(app).post('/upload?extractText=5').attach('doc', Buffer.from('words'), 'notes.txt');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toContain('extractText');
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+
+const Uxio = require('../index');
+
+const UPLOADS_DIR = path.join(__dirname, 'transaction_uploads');
+
+// An in-memory store standing in for a remote service
+const stored = new Map();
+Uxio.files.registerProvider('tx-store', {
+  upload: async (file, { key }) => {
+    stored.set(key, file.size);
+    return { key };
+  },
+  remove: async (result) => {
+    if (result.key.startsWith('sticky')) {
+      throw new Error('delete refused');
+    }
+    stored.delete(result.key);
+  },
+});
+Uxio.files.registerProvider('tx-no-remove', {
+  upload: async (file, { key }) => ({ key }),
+});
+
+const rows = [];
+
+// Runs the transaction given by `work` and answers with its result or its error
+const createApp = (work) => {
+  const app = express();
+  app.post('/upload', Uxio(), async (req, res) => {
+    try {
+      res.json(await Uxio.files.transaction((tx) => work(tx, req)));
+    } catch (e) {
+      res.status(e.status || 500).json({
+        name: e.name,
+        message: e.message,
+        code: e.code,
+        compensations: e.compensations && e.compensations.map(({ error, path: savedPath, ...rest }) => ({
+          ...rest,
+          ...(savedPath && { path: path.basename(savedPath) }),
+          ...(error && { error: error.message }),
+        })),
+      });
+    }
+  });
+  return app;
+};
+
+const saveAvatar = (tx, req) => tx.save({ fieldname: 'avatar', path: UPLOADS_DIR, makedir: true }, req.uxio);
+const sendDoc = (tx, req, provider = 'tx-store') => tx.send({ fieldname: 'doc', provider, options: {} }, req.uxio);
+
+const upload = (app) =>
+  request(app).post('/upload').attach('avatar', Buffer.from('avatar'), 'avatar.png').attach('doc', Buffer.from('document'), 'doc.pdf');
+
+describe('Uxio.files.transaction()', () => {
+  afterEach(async () => {
+    stored.clear();
+    rows.length = 0;
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should keep everything and resolve to the callback result when it succeeds', async () => {
+    const res = await upload(
+      createApp(async (tx, req) => {
+        const [avatar] = await saveAvatar(tx, req);
+        const [doc] = await sendDoc(tx, req);
+        rows.push({ avatar: path.basename(avatar.path), doc: doc.key });
+        return rows[0];
+      }),
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ avatar: 'avatar.png', doc: 'doc.pdf' });
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual(['avatar.png']);
+    expect([...stored.keys()]).toEqual(['doc.pdf']);
+  });
+
+  test('should undo saved files, sent files and custom steps when the callback throws', async () => {
+    const res = await upload(
+      createApp(async (tx, req) => {
+        await saveAvatar(tx, req);
+        await sendDoc(tx, req);
+        rows.push('user');
+        tx.onRollback('user row', async () => rows.pop());
+        throw new Uxio.FileSaveError('Email already taken.', 409);
+      }),
+    );
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      name: 'TransactionError',
+      message: 'Email already taken.',
+      code: 'INVALID_REQUEST',
+      compensations: [
+        { type: 'custom', name: 'user row', undone: true },
+        { type: 'send', provider: 'tx-store', key: 'doc.pdf', undone: true },
+        { type: 'save', path: 'avatar.png', undone: true },
+      ],
+    });
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual([]);
+    expect(stored.size).toBe(0);
+    expect(rows).toEqual([]);
+  });
+
+  test('should undo earlier operations when a later one fails, keeping its error code', async () => {
+    const res = await upload(
+      createApp(async (tx, req) => {
+        await saveAvatar(tx, req);
+        await tx.save({ fieldname: 'doc', path: UPLOADS_DIR, validations: { maxSize: 2 } }, req.uxio);
+      }),
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('FILE_TOO_LARGE');
+    expect(res.body.compensations).toEqual([{ type: 'save', path: 'avatar.png', undone: true }]);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual([]);
+  });
+
+  test('should settle the operations the callback did not await before committing', async () => {
+    const res = await upload(
+      createApp(async (tx, req) => {
+        await saveAvatar(tx, req);
+        sendDoc(tx, req);
+        tx.save({ fieldname: 'doc', path: UPLOADS_DIR, validations: { maxSize: 2 } }, req.uxio);
+        return 'done';
+      }),
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('FILE_TOO_LARGE');
+    expect(res.body.compensations).toEqual([
+      { type: 'send', provider: 'tx-store', key: 'doc.pdf', undone: true },
+      { type: 'save', path: 'avatar.png', undone: true },
+    ]);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual([]);
+    expect(stored.size).toBe(0);
+  });
+
+  test('should put back the file an overwrite replaced, and drop its copy when the transaction succeeds', async () => {
+    const overwriteAvatar = (tx, req) =>
+      tx.save({ fieldname: 'avatar', path: UPLOADS_DIR, makedir: true, onConflict: 'overwrite' }, req.uxio);
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    await fs.writeFile(path.join(UPLOADS_DIR, 'avatar.png'), 'original');
+
+    const failed = await upload(
+      createApp(async (tx, req) => {
+        await overwriteAvatar(tx, req);
+        throw new Error('database down');
+      }),
+    );
+    expect(failed.body.compensations).toEqual([{ type: 'save', path: 'avatar.png', undone: true }]);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual(['avatar.png']);
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'avatar.png'), 'utf8')).toBe('original');
+
+    const kept = await upload(createApp(async (tx, req) => (await overwriteAvatar(tx, req)).length));
+    expect(kept.body).toBe(1);
+    expect(await fs.readdir(UPLOADS_DIR)).toEqual(['avatar.png']);
+    expect(await fs.readFile(path.join(UPLOADS_DIR, 'avatar.png'), 'utf8')).toBe('avatar');
+  });
+
+  test('should report the compensations that failed', async () => {
+    const res = await upload(
+      createApp(async (tx, req) => {
+        await tx.send({ fieldname: 'doc', provider: 'tx-store', options: {}, rename: () => 'sticky.pdf' }, req.uxio);
+        await sendDoc(tx, req, 'tx-no-remove');
+        tx.onRollback(() => {
+          throw new Error('row is locked');
+        });
+        throw new Error('database down');
+      }),
+    );
+
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('INTERNAL_ERROR');
+    expect(res.body.compensations).toEqual([
+      { type: 'custom', undone: false, error: 'row is locked' },
+      { type: 'send', provider: 'tx-no-remove', key: 'doc.pdf', undone: false, error: "Provider 'tx-no-remove' has no 'remove' hook, 'doc.pdf' was left in place." },
+      { type: 'send', provider: 'tx-store', key: 'sticky.pdf', undone: false, error: 'delete refused' },
+    ]);
+  });
+
+  test('should wait for operations still running and close the transaction when it ends', async () => {
+    let leaked;
+    const res = await upload(
+      createApp(async (tx, req) => {
+        leaked = tx;
+        sendDoc(tx, req).catch(() => {});
+        throw new Error('failed early');
+      }),
+    );
+
+    expect(res.body.compensations).toEqual([{ type: 'send', provider: 'tx-store', key: 'doc.pdf', undone: true }]);
+    expect(stored.size).toBe(0);
+    expect(() => leaked.onRollback(() => {})).toThrow('already finished');
+    await expect(Uxio.files.transaction()).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+const mockSentCommands = [];
+
+// Mock AWS S3 client, recording every command that is sent
+jest.mock('@aws-sdk/client-s3', () => {
+  const command = (type) => jest.fn((input) => ({ type, input }));
+  return {
+    S3Client: jest.fn(() => ({
+      send: jest.fn(async (cmd) => {
+        mockSentCommands.push(cmd);
+        return {};
+      }),
+    })),
+    PutObjectCommand: command('PutObject'),
+    DeleteObjectCommand: command('DeleteObject'),
+  };
+});
+
+const Uxio = require('../index');
+
+const UPLOADS_DIR = path.join(__dirname, 'transform_uploads');
+const JPEG_DUMMY_FILE_PATH = path.join(__dirname, 'transform_dummy.jpg');
+const TEXT_DUMMY_FILE_PATH = path.join(__dirname, 'transform_dummy.txt');
+
+const app = express();
+app.use(Uxio());
+
+app.post('/upload-transform', async (req, res) => {
+  try {
+    const fileInfo = await Uxio.files.save(
+      {
+        fieldname: 'photo',
+        path: UPLOADS_DIR,
+        makedir: true,
+        transform: JSON.parse(req.body.transform),
+      },
+      req.uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+const checksumApp = express();
+checksumApp.use(Uxio({ checksums: ['sha256', 'md5'] }));
+
+checksumApp.post('/send-transform', async (req, res) => {
+  try {
+    const fileInfo = await Uxio.files.send(
+      {
+        fieldname: 'photo',
+        provider: 's3',
+        transform: { format: 'webp', variants: { thumb: { resize: { width: 60 } } } },
+        options: { bucket: 'media', region: 'us-east-1', credentials: { accessKeyId: 'a', secretAccessKey: 'b' } },
+      },
+      req.uxio,
+    );
+    res.json(fileInfo);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+describe('Image transformations', () => {
+  beforeAll(async () => {
+    // A 400x300 JPEG carrying an EXIF orientation that swaps its dimensions
+    await sharp({ create: { width: 400, height: 300, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toFile(JPEG_DUMMY_FILE_PATH);
+    await fs.writeFile(TEXT_DUMMY_FILE_PATH, 'not an image');
+  });
+
+  afterAll(async () => {
+    await fs.unlink(JPEG_DUMMY_FILE_PATH).catch(() => {});
+    await fs.unlink(TEXT_DUMMY_FILE_PATH).catch(() => {});
+  });
+
+  afterEach(async () => {
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true }).catch(() => {});
+  });
+
+  test('should resize, auto-rotate and strip metadata from the main file', async () => {
+    const response = await request(app)
+      .post('/upload-transform')
+      .field('transform', JSON.stringify({ resize: { width: 150 } }))
+      .attach('photo', JPEG_DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].path).toBe(path.join(UPLOADS_DIR, 'transform_dummy.jpg'));
+
+    const info = await sharp(response.body[0].path).metadata();
+    expect(info.width).toBe(150);
+    expect(info.height).toBe(200);
+    expect(info.orientation).toBeUndefined();
+    expect(info.exif).toBeUndefined();
+  });
+
+  test('should store named variants next to the main file', async () => {
+    const response = await request(app)
+      .post('/upload-transform')
+      .field('transform', JSON.stringify({
+        keepOriginal: true,
+        variants: { thumb: { resize: { width: 60, height: 60, fit: 'cover' }, format: 'webp' } },
+      }))
+      .attach('photo', JPEG_DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+
+    const [main, thumb] = response.body;
+    expect(main.variant).toBeUndefined();
+    expect(main.mimeType).toBe('image/jpeg');
+    expect(thumb.variant).toBe('thumb');
+    expect(thumb.mimeType).toBe('image/webp');
+    expect(thumb.path).toBe(path.join(UPLOADS_DIR, 'transform_dummy-thumb.webp'));
+
+    const original = await sharp(main.path).metadata();
+    expect(original.orientation).toBe(6);
+    const info = await sharp(thumb.path).metadata();
+    expect(info.format).toBe('webp');
+    expect(info.width).toBe(60);
+    expect(info.height).toBe(60);
+  });
+
+  test('should leave files that are not images untouched', async () => {
+    const response = await request(app)
+      .post('/upload-transform')
+      .field('transform', JSON.stringify({ resize: { width: 10 }, variants: { thumb: {} } }))
+      .attach('photo', TEXT_DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    await expect(fs.readFile(response.body[0].path, 'utf8')).resolves.toBe('not an image');
+  });
+
+  test('should reject an unsupported output format and roll back', async () => {
+    const response = await request(app)
+      .post('/upload-transform')
+      .field('transform', JSON.stringify({ format: 'bmp' }))
+      .attach('photo', JPEG_DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain("Unsupported transform format 'bmp'");
+    await expect(fs.readdir(UPLOADS_DIR)).resolves.toEqual([]);
+  });
+
+  test('should not send the checksums of the upload with transformed outputs', async () => {
+    mockSentCommands.length = 0;
+    const response = await request(checksumApp)
+      .post('/send-transform')
+      .attach('photo', JPEG_DUMMY_FILE_PATH);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    const puts = mockSentCommands.filter((c) => c.type === 'PutObject');
+    expect(puts).toHaveLength(2);
+    for (const { input } of puts) {
+      expect(Object.keys(input).filter((key) => key.startsWith('Checksum') || key === 'ContentMD5')).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,252 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const os = require('os');
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+const Uxio = require('../index');
+
+const TUS_DIR = path.join(os.tmpdir(), `uxio-tus-test-${process.pid}`);
+const UPLOADS_DIR = path.join(__dirname, 'tus_uploads');
+
+const b64 = (value) => Buffer.from(value).toString('base64');
+
+const app = express();
+app.use('/files', Uxio.tus({ directory: TUS_DIR, maxSize: 1024 * 1024, expiration: 60 * 1000 }), async (req, res, next) => {
+  try {
+    const saved = await Uxio.files.save({ fieldname: 'file', path: UPLOADS_DIR, makedir: true }, req.uxio);
+    res.setHeader('X-Saved-Path', saved[0].path);
+    res.end();
+  } catch (e) {
+    next(e);
+  }
+});
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Holds the route of '/held' until the test releases it, and sends '/images' with image variants
+const routeCalls = [];
+let releaseRoute = () => {};
+Uxio.files.registerProvider('tus-images', {
+  upload: async (file, { key }) => ({ key }),
+});
+Uxio.files.registerProvider('tus-failing', {
+  upload: async () => {
+    throw new Error('connection reset');
+  },
+});
+const heldApp = express();
+heldApp.use('/held', Uxio.tus({ directory: TUS_DIR }), async (req, res) => {
+  routeCalls.push({ body: req.uxio.body, fields: req.uxio.fields, sent: req.uxio.sent, hasFile: req.uxio.hasFiles('file') });
+  await new Promise((resolve) => {
+    releaseRoute = resolve;
+  });
+  res.end();
+});
+heldApp.use('/images', Uxio.tus({ directory: TUS_DIR }), async (req, res, next) => {
+  try {
+    const provider = req.headers['x-fail'] ? 'tus-failing' : 'tus-images';
+    const transform = { format: 'webp', variants: { thumb: { resize: { width: 2 } } } };
+    const sent = await Uxio.files.send({ fieldname: 'file', provider, options: {}, transform }, req.uxio);
+    res.setHeader('X-Sent', sent.map((result) => result.key).join(','));
+    res.end();
+  } catch (e) {
+    next(e);
+  }
+});
+heldApp.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Lists what is left in the tus directory for an upload, once its cleanup had time to run
+const leftovers = async (location) => {
+  const id = location.split('/').pop();
+  let names;
+  for (let i = 0; i < 50; i++) {
+    names = (await fs.readdir(TUS_DIR)).filter((name) => name.startsWith(id));
+    if (names.length === 0) break;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return names;
+};
+
+const createUpload = (length, metadata = `filename ${b64('notes.txt')},filetype ${b64('text/plain')}`, target = app, base = '/files') =>
+  request(target)
+    .post(base)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Length', String(length))
+    .set('Upload-Metadata', metadata);
+
+const patchUpload = (location, offset, body, target = app) =>
+  request(target)
+    .patch(location)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Offset', String(offset))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(Buffer.from(body));
+
+describe('Resumable uploads (tus)', () => {
+  afterAll(async () => {
+    await fs.rm(TUS_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    // A failed assertion must not leave a held route pending
+    releaseRoute();
+    await fs.rm(UPLOADS_DIR, { recursive: true, force: true });
+  });
+
+  test('should advertise the protocol on OPTIONS', async () => {
+    const response = await request(app).options('/files');
+
+    expect(response.status).toBe(204);
+    expect(response.headers['tus-version']).toBe('1.0.0');
+    expect(response.headers['tus-extension']).toBe('creation,termination,expiration');
+    expect(response.headers['tus-max-size']).toBe(String(1024 * 1024));
+  });
+
+  test('should resume an interrupted upload and save it as a regular file', async () => {
+    const created = await createUpload(11);
+    expect(created.status).toBe(201);
+    expect(created.headers['tus-resumable']).toBe('1.0.0');
+    expect(created.headers['upload-expires']).toBeDefined();
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/files\/[0-9a-f-]{36}$/);
+
+    const first = await patchUpload(location, 0, 'hello ');
+    expect(first.status).toBe(204);
+    expect(first.headers['upload-offset']).toBe('6');
+
+    // The client lost its connection and asks where to resume
+    const offset = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(offset.status).toBe(200);
+    expect(offset.headers['upload-offset']).toBe('6');
+    expect(offset.headers['upload-length']).toBe('11');
+    expect(offset.headers['cache-control']).toBe('no-store');
+
+    const last = await patchUpload(location, 6, 'world');
+    expect(last.status).toBe(204);
+    expect(last.headers['upload-offset']).toBe('11');
+
+    const savedPath = last.headers['x-saved-path'];
+    expect(savedPath).toBe(path.join(UPLOADS_DIR, 'notes.txt'));
+    await expect(fs.readFile(savedPath, 'utf8')).resolves.toBe('hello world');
+
+    // The stored upload is removed once the completing request is done
+    const gone = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(gone.status).toBe(404);
+  });
+
+  test('should reject a PATCH at the wrong offset', async () => {
+    const created = await createUpload(10);
+    const response = await patchUpload(created.headers.location, 4, 'data');
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should reject bytes beyond Upload-Length', async () => {
+    const created = await createUpload(4);
+    const response = await patchUpload(created.headers.location, 0, 'too long');
+
+    expect(response.status).toBe(413);
+  });
+
+  test('should validate creation requests', async () => {
+    const tooLarge = await createUpload(2 * 1024 * 1024);
+    expect(tooLarge.status).toBe(413);
+
+    const badMetadata = await createUpload(10, 'filename not-base64!');
+    expect(badMetadata.status).toBe(400);
+
+    const noVersion = await request(app).post('/files').set('Upload-Length', '10');
+    expect(noVersion.status).toBe(412);
+    expect(noVersion.headers['tus-version']).toBe('1.0.0');
+
+    const wrongType = await request(app)
+      .patch((await createUpload(4)).headers.location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', '0')
+      .set('Content-Type', 'text/plain')
+      .send('data');
+    expect(wrongType.status).toBe(415);
+  });
+
+  test('should terminate an upload on DELETE', async () => {
+    const created = await createUpload(10);
+    const location = created.headers.location;
+
+    const deleted = await request(app).delete(location).set('Tus-Resumable', '1.0.0');
+    expect(deleted.status).toBe(204);
+
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.status).toBe(404);
+  });
+
+  test('should refuse uploads past their expiration', async () => {
+    const created = await createUpload(10);
+    const id = created.headers.location.split('/').pop();
+    const infoPath = path.join(TUS_DIR, `${id}.json`);
+    const info = JSON.parse(await fs.readFile(infoPath, 'utf8'));
+    await fs.writeFile(infoPath, JSON.stringify({ ...info, expiresAt: Date.now() - 1 }));
+
+    const response = await patchUpload(created.headers.location, 0, 'data');
+
+    expect(response.status).toBe(410);
+    await expect(fs.access(infoPath)).rejects.toThrow();
+  });
+
+  test('should expose completed uploads like multipart ones, and run the route once', async () => {
+    const created = await createUpload(5, undefined, heldApp, '/held');
+    const location = created.headers.location;
+
+    const completing = patchUpload(location, 0, 'hello', heldApp).then((response) => response);
+    while (routeCalls.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    // A client retrying the last PATCH while the route still runs only learns the final offset
+    const retry = await patchUpload(location, 5, '', heldApp);
+    expect(retry.status).toBe(204);
+    expect(retry.headers['upload-offset']).toBe('5');
+
+    releaseRoute();
+    expect((await completing).status).toBe(204);
+    expect(routeCalls).toEqual([{ body: {}, fields: [], sent: [], hasFile: true }]);
+  });
+
+  test('should keep a completed upload locked until its route is done', async () => {
+    const created = await createUpload(5, undefined, heldApp, '/held');
+    const location = created.headers.location;
+    const dataFile = path.join(TUS_DIR, `${location.split('/').pop()}.txt`);
+
+    const calls = routeCalls.length;
+    const completing = patchUpload(location, 0, 'hello', heldApp).then((response) => response);
+    while (routeCalls.length === calls) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const deleted = await request(heldApp).delete(location).set('Tus-Resumable', '1.0.0');
+    expect(deleted.status).toBe(409);
+    await expect(fs.readFile(dataFile, 'utf8')).resolves.toBe('hello');
+
+    releaseRoute();
+    expect((await completing).status).toBe(204);
+    expect(await leftovers(location)).toEqual([]);
+  });
+
+  test('should remove transform outputs with the upload, whether the route succeeds or fails', async () => {
+    const png = await sharp({ create: { width: 8, height: 4, channels: 3, background: '#08f' } }).png().toBuffer();
+    const metadata = `filename ${b64('photo.png')},filetype ${b64('image/png')}`;
+
+    const created = await createUpload(png.length, metadata, heldApp, '/images');
+    const sent = await patchUpload(created.headers.location, 0, png, heldApp);
+    expect(sent.status).toBe(204);
+    expect(sent.headers['x-sent']).toBe('photo.webp,photo-thumb.png');
+    expect(await leftovers(created.headers.location)).toEqual([]);
+
+    const failing = await createUpload(png.length, metadata, heldApp, '/images');
+    const failed = await patchUpload(failing.headers.location, 0, png, heldApp).set('X-Fail', '1');
+    expect(failed.status).toBe(500);
+    expect(await leftovers(failing.headers.location)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+// src/adapters/fastify.js
+const { cleanupOnResponse, createParser } = require("../parser");
+
+/**
+ * @module adapters/fastify
+ * @description Uxio as a Fastify plugin.
+ */
+
+/**
+ * A Fastify plugin registering a `multipart/form-data` content-type parser. Parsed requests get
+ * `request.uxio` and the non-file fields as `request.body`; errors are sent with their `status`.
+ * The temp cache is removed once the response is finished or closed.
+ *
+ * The plugin is not encapsulated (like plugins wrapped with `fastify-plugin`), so the parser applies
+ * to the routes of the context it is registered in.
+ *
+ * @example
+ * const app = Fastify();
+ * app.register(Uxio.fastify, { limits: { fileSize: 5 * 1024 * 1024 } });
+ * app.post('/avatar', async (request) => {
+ *   return Uxio.files.save({ fieldname: 'avatar', path: './uploads' }, request.uxio);
+ * });
+ *
+ * @param {object} instance The Fastify instance.
+ * @param {UxioOptions} options The same options as `Uxio()`.
+ * @param {function(Error=): void} done
+ * @returns {void}
+ */
+const fastify = (instance, options, done) => {
+  const parse = createParser(options);
+  // Content-type parsers only see the request, the responses are kept to clean up and record progress
+  const responses = new WeakMap();
+
+  if (!instance.hasRequestDecorator("uxio")) {
+    instance.decorateRequest("uxio", null);
+  }
+  instance.addHook("onRequest", (request, reply, next) => {
+    responses.set(request.raw, reply.raw);
+    next();
+  });
+  instance.addContentTypeParser("multipart/form-data", (request, payload, parsed) => {
+    const response = responses.get(request.raw);
+    parse(request.raw, {
+      response,
+      onStart: (uxio) => {
+        request.uxio = uxio;
+        cleanupOnResponse(uxio, response);
+      },
+    }).then((uxio) => {
+      if (!uxio) {
+        // Only POSTs are parsed, the body of other methods is drained
+        payload.resume();
+      }
+      parsed(null, uxio ? uxio.body : undefined);
+    }, parsed);
+  });
+  done();
+};
+
+// The `fastify-plugin` conventions, without depending on it
+fastify[Symbol.for("skip-override")] = true;
+fastify[Symbol.for("fastify.display-name")] = "uxio";
+
+module.exports = { fastify };
@@ -0,0 +1,41 @@
+// src/adapters/http.js
+const { cleanupOnResponse, createParser } = require("../parser");
+
+/**
+ * @module adapters/http
+ * @description Uxio for servers built on plain `node:http`.
+ */
+
+/**
+ * Creates a function parsing the `multipart/form-data` POST of a `node:http` request. It resolves
+ * to the {@link UxioObject} (with the non-file fields on `uxio.body`), or to null for other requests,
+ * and rejects with the error that stopped parsing. The temp cache is removed once the response is
+ * finished or closed.
+ *
+ * @example
+ * const parse = Uxio.http({ limits: { fileSize: 5 * 1024 * 1024 } });
+ * http.createServer(async (req, res) => {
+ *   try {
+ *     const uxio = await parse(req, res);
+ *     const saved = await Uxio.files.save({ fieldname: 'avatar', path: './uploads' }, uxio);
+ *     res.end(JSON.stringify(saved));
+ *   } catch (err) {
+ *     res.statusCode = err.status || 500;
+ *     res.end(err.message);
+ *   }
+ * });
+ *
+ * @param {UxioOptions} [options] The same options as `Uxio()`.
+ * @returns {function(import('http').IncomingMessage, import('http').ServerResponse): Promise<UxioObject|null>}
+ */
+const http = (options = {}) => {
+  const parse = createParser(options);
+
+  return (req, res) =>
+    parse(req, {
+      response: res,
+      onStart: (uxio) => cleanupOnResponse(uxio, res),
+    });
+};
+
+module.exports = { http };
@@ -0,0 +1,43 @@
+// src/adapters/koa.js
+const { cleanupOnResponse, createParser } = require("../parser");
+
+/**
+ * @module adapters/koa
+ * @description Uxio as a Koa middleware.
+ */
+
+/**
+ * Creates a Koa middleware parsing `multipart/form-data` POSTs into `ctx.uxio`, with the non-file
+ * fields on `ctx.request.body`. Errors are thrown, so they reach Koa's error handling with their
+ * `status`. The temp cache is removed once the response is finished or closed.
+ *
+ * @example
+ * const app = new Koa();
+ * app.use(Uxio.koa({ limits: { fileSize: 5 * 1024 * 1024 } }));
+ * app.use(async (ctx) => {
+ *   ctx.body = await Uxio.files.save({ fieldname: 'avatar', path: './uploads' }, ctx.uxio);
+ * });
+ *
+ * @param {UxioOptions} [options] The same options as `Uxio()`.
+ * @returns {function(object, function): Promise<void>}
+ */
+const koa = (options = {}) => {
+  const parse = createParser(options);
+
+  return async (ctx, next) => {
+    const uxio = await parse(ctx.req, {
+      response: ctx.res,
+      body: ctx.request.body,
+      onStart: (created) => {
+        ctx.uxio = created;
+        cleanupOnResponse(created, ctx.res);
+      },
+    });
+    if (uxio && uxio.fields.length > 0) {
+      ctx.request.body = uxio.body;
+    }
+    await next();
+  };
+};
+
+module.exports = { koa };
@@ -0,0 +1,151 @@
+// src/body.js
+const { ERROR_CODES, FileSaveError } = require("./errors");
+
+/**
+ * @module body
+ * @description Builds `req.body` from the non-file fields of a multipart request.
+ */
+
+/**
+ * @typedef {object} bodyOptions
+ * @property {boolean} [arrays=false] Collect repeated keys (`tags=a`, `tags=b`) into arrays instead of keeping the last value.
+ * @property {boolean} [nested=false] Expand bracket and dot notation (`user[address][city]`, `user.name`, `tags[]`) into nested objects and arrays.
+ * @property {boolean} [json=false] Decode fields sent as `application/json` parts.
+ * @property {number} [depth=5] The deepest nesting expanded. Deeper names are kept flat under their full name.
+ */
+
+/**
+ * Keys that would reach or replace an object's prototype.
+ * @type {string[]}
+ */
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Highest array index a client may address directly, so `a[99999999]` cannot allocate a huge sparse array.
+ * @type {number}
+ */
+const MAX_INDEX = 100;
+
+/**
+ * Validates and normalizes the `body` middleware option. `true` enables arrays and nesting.
+ * @param {boolean|bodyOptions} [body]
+ * @returns {bodyOptions}
+ */
+const normalizeBodyOptions = (body) => {
+  const { arrays = false, nested = false, json = false, depth = 5 } =
+    body === true ? { arrays: true, nested: true } : body || {};
+  if (!(Number.isInteger(depth) && depth > 0)) {
+    throw new TypeError("body.depth must be a positive integer.");
+  }
+  return { arrays: Boolean(arrays), nested: Boolean(nested), json: Boolean(json), depth };
+};
+
+/**
+ * Splits a field name into path segments: `user[address][city]` and `user.address.city` both give
+ * `['user', 'address', 'city']`, and `tags[]` gives `['tags', '']` (append).
+ * @param {string} name
+ * @param {number} depth
+ * @returns {string[]|null} The segments, or null when the name is not a well formed path within `depth`.
+ */
+const parsePath = (name, depth) => {
+  const match = name.match(/^([^[.]+)((?:\[[^[\]]*\]|\.[^[.]+)*)$/);
+  if (!match) return null;
+  const segments = [match[1]];
+  for (const [, bracket, dot] of match[2].matchAll(/\[([^[\]]*)\]|\.([^[.]+)/g)) {
+    segments.push(bracket !== undefined ? bracket : dot);
+  }
+  return segments.length - 1 > depth ? null : segments;
+};
+
+const isIndex = (segment) => /^(0|[1-9]\d*)$/.test(segment) && Number(segment) <= MAX_INDEX;
+
+/**
+ * Stores a value under a key, turning a repeated key into an array when `arrays` is on.
+ * @returns {boolean} False when the key is not a valid index of an array container.
+ */
+const setValue = (container, key, value, arrays) => {
+  if (Array.isArray(container)) {
+    if (key === "") {
+      container.push(value);
+      return true;
+    }
+    if (!isIndex(key) || Number(key) > container.length) return false;
+  }
+  const existing = Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+  if (existing !== undefined && arrays) {
+    container[key] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+  } else {
+    container[key] = value;
+  }
+  return true;
+};
+
+/**
+ * Walks (and creates) the containers for all but the last segment.
+ * @returns {object|Array|null} The container of the last segment, or null when the path collides with a value.
+ */
+const walk = (body, segments) => {
+  let container = body;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const key = segments[i];
+    const next = segments[i + 1];
+    if (Array.isArray(container) && (key === "" || !isIndex(key) || Number(key) > container.length)) {
+      return null;
+    }
+    let child = Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+    if (child === undefined) {
+      child = next === "" || isIndex(next) ? [] : {};
+      container[key] = child;
+    }
+    if (typeof child !== "object" || child === null) {
+      return null;
+    }
+    container = child;
+  }
+  return container;
+};
+
+/**
+ * Decodes a field value according to its part's MIME type.
+ * @param {string} fieldname
+ * @param {string} value
+ * @param {{mimeType: string}} info The busboy field info.
+ * @param {bodyOptions} options
+ * @returns {*} The value to store.
+ * @throws {FileSaveError} With status 400 when a JSON part cannot be parsed.
+ */
+const decodeField = (fieldname, value, info, options) => {
+  if (!options.json || !/^application\/(.+\+)?json$/i.test(String(info.mimeType || "").split(";")[0].trim())) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new FileSaveError(`Field '${fieldname}' is not valid JSON: ${err.message}`, 400, { code: ERROR_CODES.MALFORMED_REQUEST, field: fieldname });
+  }
+};
+
+/**
+ * Adds a field to `req.body`. Names touching an object's prototype (`__proto__`, `constructor`,
+ * `prototype`) are dropped. A name that cannot be expanded, because it is malformed, too deep or
+ * collides with an earlier value (`a=1` then `a[b]=2`), is kept flat under its full name.
+ * @param {object} body The object being built.
+ * @param {string} fieldname The field name as sent.
+ * @param {*} value The decoded value.
+ * @param {bodyOptions} options
+ */
+const assignField = (body, fieldname, value, options) => {
+  const segments = options.nested ? parsePath(fieldname, options.depth) : null;
+  if ((segments || [fieldname]).some((segment) => UNSAFE_KEYS.includes(segment))) {
+    return;
+  }
+  if (segments && segments.length > 1) {
+    const container = walk(body, segments);
+    if (container && setValue(container, segments[segments.length - 1], value, options.arrays)) {
+      return;
+    }
+  }
+  setValue(body, fieldname, value, options.arrays);
+};
+
+module.exports = { normalizeBodyOptions, decodeField, assignField };
@@ -0,0 +1,119 @@
+// src/checksums.js
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+/**
+ * @module checksums
+ * @description Streaming digests of uploaded bytes and verification against client supplied digests.
+ */
+
+/**
+ * Digest algorithms the middleware can compute while a file streams to the temp cache.
+ * @type {string[]}
+ */
+const SUPPORTED_ALGORITHMS = ["sha256", "md5", "crc32", "sha1", "sha512"];
+
+/**
+ * `Content-Digest` (RFC 9530) algorithm names mapped to Node's hash names.
+ * @type {Object<string, string>}
+ */
+const CONTENT_DIGEST_ALGORITHMS = {
+  "sha-256": "sha256",
+  "sha-512": "sha512",
+  md5: "md5",
+};
+
+/**
+ * An incremental digest with the same shape for hash functions and CRC32.
+ * @typedef {object} Digest
+ * @property {function(Buffer): void} update Feeds the next chunk.
+ * @property {function(): string} digest Returns the hex digest once all chunks were fed.
+ */
+
+/**
+ * Creates an incremental digest for one of the {@link SUPPORTED_ALGORITHMS}.
+ * @param {string} algorithm The algorithm name.
+ * @returns {Digest}
+ */
+const createDigest = (algorithm) => {
+  if (algorithm === "crc32") {
+    let crc = 0;
+    return {
+      update: (chunk) => {
+        crc = zlib.crc32(chunk, crc);
+      },
+      digest: () => crc.toString(16).padStart(8, "0"),
+    };
+  }
+  const hash = crypto.createHash(algorithm);
+  return {
+    update: (chunk) => hash.update(chunk),
+    digest: () => hash.digest("hex"),
+  };
+};
+
+/**
+ * Validates and normalizes the `checksums` middleware option.
+ * @param {string|string[]} [checksums] One or more algorithm names.
+ * @returns {string[]} The lower-cased algorithm names.
+ */
+const normalizeAlgorithms = (checksums) => {
+  const algorithms = (Array.isArray(checksums) ? checksums : checksums ? [checksums] : []).map((a) =>
+    String(a).toLowerCase(),
+  );
+  for (const algorithm of algorithms) {
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new TypeError(`Unsupported checksum algorithm '${algorithm}'. Expected one of: ${SUPPORTED_ALGORITHMS.join(", ")}.`);
+    }
+  }
+  if (algorithms.includes("crc32") && typeof zlib.crc32 !== "function") {
+    throw new TypeError("The 'crc32' checksum requires Node.js 20.15 or later.");
+  }
+  return algorithms;
+};
+
+/**
+ * Parses a `Content-Digest` header into hex digests keyed by Node hash name. Unknown algorithms are ignored.
+ * @param {string} [header] e.g. `sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:`
+ * @returns {Object<string, string>} e.g. `{ sha256: '5f8f04...' }`
+ */
+const parseContentDigest = (header) => {
+  const digests = {};
+  for (const member of String(header || "").split(",")) {
+    const match = member.trim().match(/^([a-z0-9-]+)=:([A-Za-z0-9+/=]*):$/i);
+    if (match && CONTENT_DIGEST_ALGORITHMS[match[1].toLowerCase()]) {
+      digests[CONTENT_DIGEST_ALGORITHMS[match[1].toLowerCase()]] = Buffer.from(match[2], "base64").toString("hex");
+    }
+  }
+  return digests;
+};
+
+/**
+ * Compares a client supplied digest (hex or base64) with a computed hex digest.
+ * @param {string} expected The digest sent by the client.
+ * @param {string} actualHex The computed digest.
+ * @returns {boolean}
+ */
+const matchesDigest = (expected, actualHex) => {
+  const value = String(expected).trim();
+  if (/^[0-9a-f]+$/i.test(value) && value.length === actualHex.length) {
+    return value.toLowerCase() === actualHex;
+  }
+  return Buffer.from(value, "base64").toString("hex") === actualHex;
+};
+
+/**
+ * Converts a hex digest to base64, the encoding S3 and HTTP headers expect.
+ * @param {string} hex
+ * @returns {string}
+ */
+const hexToBase64 = (hex) => Buffer.from(hex, "hex").toString("base64");
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createDigest,
+  normalizeAlgorithms,
+  parseContentDigest,
+  matchesDigest,
+  hexToBase64,
+};
@@ -0,0 +1,102 @@
+// src/content-type.js
+const fs = require("fs");
+const { fileTypeFromBuffer } = require("file-type");
+
+/**
+ * @module content-type
+ * @description Detects the real type of an upload from its magic bytes and compares it with
+ * the MIME type declared by the client.
+ */
+
+/**
+ * Number of leading bytes inspected for magic numbers, matching what `file-type` considers
+ * enough for reliable detection.
+ * @type {number}
+ */
+const SNIFF_BYTES = 4100;
+
+/**
+ * Text based formats have no magic bytes, so an undetected type is expected for them.
+ * @type {RegExp[]}
+ */
+const TEXT_BASED_TYPES = [
+  /^text\//,
+  /^application\/(json|xml|javascript|x-ndjson|ld\+json)$/,
+  /\+json$/,
+  /\+xml$/,
+];
+
+/**
+ * Common aliases clients send for the canonical type reported by `file-type`.
+ * @type {Object<string, string>}
+ */
+const ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "audio/mp3": "audio/mpeg",
+  "audio/x-wav": "audio/wav",
+  "audio/wave": "audio/wav",
+  "audio/x-flac": "audio/flac",
+  "application/x-zip-compressed": "application/zip",
+  "application/x-pdf": "application/pdf",
+};
+
+/**
+ * Container formats whose inner document type cannot always be told apart from the first chunk.
+ * A detected container is accepted for any of the declared types listed here.
+ * @type {Object<string, RegExp>}
+ */
+const CONTAINERS = {
+  "application/zip": /^application\/(vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.|java-archive|epub\+zip)/,
+  "application/x-cfb": /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint|vnd\.ms-outlook)$/,
+};
+
+const normalize = (mimeType) => {
+  const type = String(mimeType || "").split(";")[0].trim().toLowerCase();
+  return ALIASES[type] || type;
+};
+
+/**
+ * Detects the MIME type of a buffer from its magic bytes.
+ * @param {Buffer} buffer - The leading bytes of the file (at least {@link SNIFF_BYTES} when available).
+ * @returns {Promise<string|null>} The detected MIME type, or null if it has no known signature.
+ */
+const sniffMimeType = async (buffer) => {
+  const fileType = await fileTypeFromBuffer(buffer);
+  return fileType ? fileType.mime : null;
+};
+
+/**
+ * Reads the leading bytes of a file on disk and detects its MIME type.
+ * @param {string} filepath - The path to the file.
+ * @returns {Promise<string|null>} The detected MIME type, or null if it has no known signature.
+ */
+const sniffFile = async (filepath) => {
+  const handle = await fs.promises.open(filepath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffMimeType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Checks whether the detected content type is consistent with a declared MIME type.
+ * @param {string} declared - The MIME type claimed by the client (or an allow-list entry).
+ * @param {string|null} detected - The type found by {@link sniffMimeType}.
+ * @returns {boolean} True if the content can be of the declared type.
+ */
+const isContentCompatible = (declared, detected) => {
+  const claimed = normalize(declared);
+  if (!detected) {
+    return claimed === "application/octet-stream" || TEXT_BASED_TYPES.some((pattern) => pattern.test(claimed));
+  }
+  const actual = normalize(detected);
+  if (claimed === actual || claimed === "application/octet-stream") {
+    return true;
+  }
+  return Boolean(CONTAINERS[actual] && CONTAINERS[actual].test(claimed));
+};
+
+module.exports = { SNIFF_BYTES, sniffMimeType, sniffFile, isContentCompatible };
@@ -0,0 +1,66 @@
+// src/error-handler.js
+const http = require("http");
+const { ERROR_CODES, FileSaveError, UploadLimitError, UploadFieldError } = require("./errors");
+
+/**
+ * @module error-handler
+ * @description An Express error middleware rendering the errors raised by Uxio as JSON.
+ */
+
+/**
+ * @typedef {object} errorHandlerOptions
+ * @property {boolean} [all=false] Also render errors not raised by Uxio, as a 500 `INTERNAL_ERROR`.
+ * By default they are passed on with `next(err)`.
+ * @property {boolean} [exposeServerErrors=false] Keep the message of 5xx errors. By default it is replaced
+ * by the status text, as it can reveal file paths or the responses of a provider.
+ * @property {function(Error, object): void} [onError] Called with every rendered error and the request, e.g. to log it.
+ */
+
+/**
+ * Whether an error was raised by Uxio.
+ * @param {*} err
+ * @returns {boolean}
+ * @private
+ */
+const isUxioError = (err) =>
+  err instanceof FileSaveError || err instanceof UploadLimitError || err instanceof UploadFieldError;
+
+/**
+ * Creates an Express error middleware answering with the status of the error and
+ * `{ error: { code, message, status, field?, filename?, rule?, limit?, errors? } }`.
+ * `errors` lists the violations of a `ValidationError`, in the same shape.
+ *
+ * @example
+ * app.post('/avatar', Uxio(), async (req, res) => {
+ *   res.json(await Uxio.files.save({ fieldname: 'avatar', path: './uploads' }, req.uxio, { collectAll: true }));
+ * });
+ * app.use(Uxio.errorHandler());
+ *
+ * @param {errorHandlerOptions} [options]
+ * @returns {function(Error, object, object, function): void}
+ */
+const errorHandler = (options = {}) => {
+  const { all = false, exposeServerErrors = false, onError } = options;
+  if (onError !== undefined && typeof onError !== "function") {
+    throw new TypeError("errorHandler onError must be a function.");
+  }
+
+  return (err, req, res, next) => {
+    if (res.headersSent || !(isUxioError(err) || all)) {
+      return next(err);
+    }
+
+    const body = isUxioError(err)
+      ? err.toJSON()
+      : { code: ERROR_CODES.INTERNAL_ERROR, message: err && err.message, status: 500 };
+    if (body.status >= 500 && !exposeServerErrors) {
+      body.message = http.STATUS_CODES[body.status] || http.STATUS_CODES[500];
+    }
+    if (onError) {
+      onError(err, req);
+    }
+    res.status(body.status).json({ error: body });
+  };
+};
+
+module.exports = { errorHandler };
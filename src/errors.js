@@ -0,0 +1,268 @@
+// src/errors.js
+
+/**
+ * @module errors
+ * @description Error classes shared by the Uxio middleware and the files API.
+ */
+
+/**
+ * Stable, machine-readable error codes. Every error raised by Uxio carries one in `err.code`.
+ * @readonly
+ * @enum {string}
+ */
+const ERROR_CODES = Object.freeze(
+  Object.fromEntries(
+    [
+      // A rule of `validations`, or of the middleware `fields` schema
+      "FILE_TOO_LARGE",
+      "FILE_TOO_SMALL",
+      "MIME_NOT_ALLOWED",
+      "EXTENSION_NOT_ALLOWED",
+      "CONTENT_MISMATCH",
+      "DIMENSIONS_OUT_OF_RANGE",
+      "ASPECT_RATIO_MISMATCH",
+      "DURATION_TOO_LONG",
+      "TOO_MANY_PAGES",
+      "METADATA_UNREADABLE",
+      "CUSTOM_VALIDATION_FAILED",
+      "VALIDATION_FAILED",
+      "REQUIRED_MISSING",
+      "UNEXPECTED_FIELD",
+      // Request parsing and middleware `limits`
+      "TOO_MANY_FILES",
+      "TOO_MANY_FIELDS",
+      "TOO_MANY_PARTS",
+      "FIELD_TOO_LARGE",
+      "REQUEST_TOO_LARGE",
+      "DIGEST_MISMATCH",
+      "MALFORMED_REQUEST",
+      "UPLOAD_ABORTED",
+      // Storing files
+      "NAME_CONFLICT",
+      "DESTINATION_NOT_FOUND",
+      "INVALID_FILENAME",
+      "INVALID_CONFIG",
+      "PROVIDER_ERROR",
+      "TRANSFORM_FAILED",
+      "INFECTED_FILE",
+      "SCAN_FAILED",
+      // Resumable uploads and progress
+      "UPLOAD_NOT_FOUND",
+      "UPLOAD_EXPIRED",
+      "UPLOAD_LOCKED",
+      "OFFSET_MISMATCH",
+      "UNSUPPORTED_VERSION",
+      // Anything else
+      "INVALID_REQUEST",
+      "INTERNAL_ERROR",
+    ].map((code) => [code, code]),
+  ),
+);
+
+/**
+ * @typedef {object} errorDetails
+ * @property {string} [code] One of `ERROR_CODES`. Defaults to `INTERNAL_ERROR` for 5xx statuses, `INVALID_REQUEST` otherwise.
+ * @property {string|string[]} [field] The form field of the file (or the fields of a missing `required` config).
+ * @property {string} [filename] The sanitized name of the file.
+ * @property {string} [rule] The violated rule, e.g. 'maxSize' or 'minWidth'.
+ * @property {*} [limit] The bound of the violated rule, e.g. the `maxSize` in bytes or the allowed MIME types.
+ */
+
+/**
+ * The JSON form of an error, without the details that are not set.
+ * @param {Error} err
+ * @param {object} details
+ * @returns {object}
+ * @private
+ */
+const serialize = (err, details) => {
+  const json = { code: err.code, message: err.message, status: err.status };
+  for (const [key, value] of Object.entries(details)) {
+    if (value !== undefined) json[key] = value;
+  }
+  return json;
+};
+
+/**
+ * Custom error class for file-related operations.
+ * Allows throwing errors with a specific status code for better API handling.
+ */
+class FileSaveError extends Error {
+  /**
+   * @param {string} message A human readable description of the error.
+   * @param {number} [status=400] The HTTP status code for the error.
+   * @param {errorDetails} [details] The error code and what it is about.
+   */
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "FileSaveError";
+    this.status = status;
+    this.code = details.code || (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.INVALID_REQUEST);
+    this.field = details.field;
+    this.filename = details.filename;
+    this.rule = details.rule;
+    this.limit = details.limit;
+  }
+
+  toJSON() {
+    return serialize(this, { field: this.field, filename: this.filename, rule: this.rule, limit: this.limit });
+  }
+}
+
+/**
+ * Raised by `save()` and `send()` with the `collectAll` option: every violation of the call, as
+ * `FileSaveError`s, in `errors`. Its status is the one the violations share, 400 when they differ.
+ */
+class ValidationError extends FileSaveError {
+  /**
+   * @param {FileSaveError[]} errors The violations, in the order of the files.
+   */
+  constructor(errors) {
+    const statuses = new Set(errors.map((err) => err.status));
+    super(
+      `Validation failed with ${errors.length} error${errors.length === 1 ? "" : "s"}: ${errors.map((err) => err.message).join(" ")}`,
+      statuses.size === 1 ? [...statuses][0] : 400,
+      { code: ERROR_CODES.VALIDATION_FAILED },
+    );
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), errors: this.errors.map((err) => err.toJSON()) };
+  }
+}
+
+// The code of each middleware limit, `maxSize` being the tus upload size
+const LIMIT_CODES = {
+  fileSize: ERROR_CODES.FILE_TOO_LARGE,
+  maxSize: ERROR_CODES.FILE_TOO_LARGE,
+  totalSize: ERROR_CODES.REQUEST_TOO_LARGE,
+  files: ERROR_CODES.TOO_MANY_FILES,
+  fields: ERROR_CODES.TOO_MANY_FIELDS,
+  parts: ERROR_CODES.TOO_MANY_PARTS,
+  fieldSize: ERROR_CODES.FIELD_TOO_LARGE,
+};
+
+/**
+ * Raised by the middleware when a request exceeds one of the configured `limits`
+ * while it is being parsed. It is passed to `next(err)` so it reaches the Express error handler.
+ */
+class UploadLimitError extends Error {
+  /**
+   * @param {string} message A human readable description of the violation.
+   * @param {string} limit The name of the exceeded limit (e.g. 'fileSize', 'totalSize').
+   * @param {number} [status=413] The HTTP status code for the error.
+   * @param {{max?: number, field?: string, filename?: string}} [details] The value of the limit and the file that exceeded it.
+   */
+  constructor(message, limit, status = 413, details = {}) {
+    super(message);
+    this.name = "UploadLimitError";
+    this.status = status;
+    this.code = LIMIT_CODES[limit] || ERROR_CODES.REQUEST_TOO_LARGE;
+    this.limit = limit;
+    this.max = details.max;
+    this.field = details.field;
+    this.filename = details.filename;
+  }
+
+  // `limit` names the limit here, the JSON uses the same shape as the other errors
+  toJSON() {
+    return serialize(this, { field: this.field, filename: this.filename, rule: this.limit, limit: this.max });
+  }
+}
+
+// The code of each `fields` schema rule
+const FIELD_CODES = {
+  unexpectedField: ERROR_CODES.UNEXPECTED_FIELD,
+  maxCount: ERROR_CODES.TOO_MANY_FILES,
+  mimeType: ERROR_CODES.MIME_NOT_ALLOWED,
+  maxSize: ERROR_CODES.FILE_TOO_LARGE,
+  required: ERROR_CODES.REQUIRED_MISSING,
+};
+
+/**
+ * Raised by the middleware when a file part does not match the `fields` schema. The part is
+ * discarded before anything is written to the temp cache and the error is passed to `next(err)`.
+ */
+class UploadFieldError extends Error {
+  /**
+   * @param {string} message A human readable description of the violation.
+   * @param {string} field The name of the offending field.
+   * @param {string} reason 'unexpectedField', 'maxCount', 'mimeType', 'maxSize' or 'required'.
+   * @param {number} [status=400] The HTTP status code for the error.
+   * @param {{filename?: string, limit?: *}} [details] The offending file and the bound of the rule.
+   */
+  constructor(message, field, reason, status = 400, details = {}) {
+    super(message);
+    this.name = "UploadFieldError";
+    this.status = status;
+    this.code = FIELD_CODES[reason];
+    this.field = field;
+    this.reason = reason;
+    this.filename = details.filename;
+    this.limit = details.limit;
+  }
+
+  toJSON() {
+    return serialize(this, { field: this.field, filename: this.filename, rule: this.reason, limit: this.limit });
+  }
+}
+
+/**
+ * Raised by `files.transaction()` once it rolled back. It carries the error that stopped the
+ * transaction in `cause`, with its message, status, code and details, and the outcome of every
+ * undo step in `compensations`.
+ */
+class TransactionError extends FileSaveError {
+  /**
+   * @param {*} cause What the callback or an operation threw.
+   * @param {object[]} compensations The undo steps, each with `undone` and, when it failed, `error`.
+   */
+  constructor(cause, compensations) {
+    const known = cause instanceof FileSaveError;
+    super(cause instanceof Error ? cause.message : String(cause), known ? cause.status : 500, known ? cause : {});
+    this.name = "TransactionError";
+    this.cause = cause;
+    this.compensations = compensations;
+    this.failedCompensations = compensations.filter((compensation) => !compensation.undone);
+  }
+
+  // Rendered as the error that stopped the transaction
+  toJSON() {
+    return this.cause instanceof FileSaveError ? this.cause.toJSON() : super.toJSON();
+  }
+}
+
+/**
+ * Raised when a malware scanner reports an uploaded file as infected. It is a `FileSaveError`,
+ * so `save()` and `send()` roll back and rethrow it unchanged.
+ */
+class InfectedFileError extends FileSaveError {
+  /**
+   * @param {string} message A human readable description of the detection.
+   * @param {string} filename The sanitized name of the infected file.
+   * @param {string[]} viruses The signatures reported by the scanner.
+   * @param {number} [status=422] The HTTP status code for the error.
+   */
+  constructor(message, filename, viruses, status = 422) {
+    super(message, status, { code: ERROR_CODES.INFECTED_FILE, filename });
+    this.name = "InfectedFileError";
+    this.viruses = viruses;
+    this.quarantinePath = null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), viruses: this.viruses };
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  FileSaveError,
+  ValidationError,
+  TransactionError,
+  UploadLimitError,
+  UploadFieldError,
+  InfectedFileError,
+};
@@ -1,32 +1,334 @@
 // src/files.js
 const path = require("path");
 const fs = require("fs");
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
-const axios = require("axios");
-
-const getMetadata = require('./metadata-helper.js')
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const { metadata: extractMetadata } = require('./metadata-helper.js')
+const { normalizeTextOptions } = require('./metadata/text.js')
+const { ERROR_CODES, FileSaveError, ValidationError } = require('./errors.js')
+const { validateFile } = require('./validations.js')
+const { registerProvider, getProvider } = require('./providers')
+const { sanitizeFilename, resolveInside } = require('./sanitize.js')
+const { transformFile, outputName } = require('./transform.js')
+const { normalizeScanOptions, scanFile } = require('./scan.js')
+const { runTransaction, sentFileSteps } = require('./transaction.js')
 
 /**
  * @module files
  */
  
+ /**
+  * A custom rule. It may resolve to `false` or to an error message to reject the file, or throw.
+  * @callback validator
+  * @param {object} file The `UxioFile`.
+  * @param {object} metadata The file's metadata, as returned by `Uxio.metadata()`.
+  * @returns {Promise<boolean|string|void>|boolean|string|void}
+  */
+
  /**
   * @typedef {object} validations
   * @property {number} [maxSize] Maximum file size in bytes.
+  * @property {number} [minSize] Minimum file size in bytes.
   * @property {string[]} [mimeType] Allowed MIME types.
+  * @property {string[]} [extensions] Allowed file name extensions, e.g. `['.jpg', '.png']` (case-insensitive).
+  * @property {boolean} [verifyContent=false] If true, the file's magic bytes must match its declared MIME type and the `mimeType` allow-list.
+  * @property {number} [minWidth] Minimum image width in pixels.
+  * @property {number} [maxWidth] Maximum image width in pixels.
+  * @property {number} [minHeight] Minimum image height in pixels.
+  * @property {number} [maxHeight] Maximum image height in pixels.
+  * @property {number|string} [aspectRatio] Required image aspect ratio, as `width / height` or `'16:9'`.
+  * @property {number} [aspectRatioTolerance=0.01] Relative difference accepted for `aspectRatio`.
+  * @property {number} [maxDuration] Maximum audio or video duration in seconds.
+  * @property {number} [maxPages] Maximum number of PDF pages.
+  * @property {validator|validator[]} [custom] Custom rules, run after the built-in ones.
  */
 
 /**
- * Custom error class for file-related operations.
- * Allows throwing errors with a specific status code for better API handling.
+ * Validates the `scan` option of a save or send config.
+ * @param {module:scan~scanOptions} [scan]
+ * @returns {object|null}
+ * @private
  */
-class FileSaveError extends Error {
-  constructor(message, status = 400) {
-    super(message);
-    this.name = "FileSaveError";
-    this.status = status;
+const scanOptionsOf = (scan) => {
+  if (!scan) return null;
+  try {
+    return normalizeScanOptions(scan);
+  } catch (err) {
+    throw new FileSaveError(err.message, 400, { code: ERROR_CODES.INVALID_CONFIG });
   }
-}
+};
+
+/**
+ * Validates the `metadata` option of a save or send config.
+ * @param {boolean|string[]} [selection=true]
+ * @returns {boolean|string[]}
+ * @private
+ */
+const metadataSelectionOf = (selection = true) => {
+  if (typeof selection !== 'boolean' && !Array.isArray(selection)) {
+    throw new FileSaveError("'metadata' must be true, false or an array of handler names.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+  }
+  return selection;
+};
+
+/**
+ * Validates the `extractText` option of a save or send config.
+ * @param {boolean|module:metadata/text~textOptions} [extractText]
+ * @returns {boolean|module:metadata/text~textOptions}
+ * @private
+ */
+const extractTextOf = (extractText) => {
+  try {
+    normalizeTextOptions(extractText);
+  } catch (err) {
+    throw new FileSaveError(err.message, 400, { code: ERROR_CODES.INVALID_CONFIG });
+  }
+  return extractText;
+};
+
+/**
+ * Extracts the metadata returned for an output of `save()` or `send()`. The metadata read during
+ * validation is reused when it describes the same file with the same handlers.
+ * @param {object} outputFile The file being stored (the upload or a transformed variant).
+ * @param {{file: object, metadata: object|null, metadataSelection: boolean|string[], extractText: *}} entry A prepared file.
+ * @returns {Promise<object>}
+ * @private
+ */
+const metadataFor = async (outputFile, { file, metadata, metadataSelection, extractText }) => {
+  if (metadataSelection === false) {
+    return {};
+  }
+  if (metadata && outputFile === file && metadataSelection === true && !extractText) {
+    return metadata;
+  }
+  return extractMetadata(outputFile, { handlers: metadataSelection, extractText });
+};
+
+/**
+ * Where the content of an uploaded file lives: its Buffer for files kept in memory, its temp path otherwise.
+ * @param {object} file The `UxioFile`.
+ * @returns {string|Buffer}
+ * @private
+ */
+const sourceOf = (file) => file.buffer || file.tempFilePath;
+
+/**
+ * Opens a stream over an uploaded file, or over a byte range of it (`end` is inclusive, like `fs.createReadStream`).
+ * @param {object} file The `UxioFile`.
+ * @param {{start: number, end: number}} [range]
+ * @returns {import('stream').Readable}
+ * @private
+ */
+const openFile = (file, range) => {
+  if (!file.buffer) {
+    return fs.createReadStream(file.tempFilePath, range);
+  }
+  return Readable.from(range ? [file.buffer.subarray(range.start, range.end + 1)] : [file.buffer]);
+};
+
+/**
+ * Errors meaning the filesystem cannot hard link, so the move falls back to an exclusive copy.
+ * @type {string[]}
+ * @private
+ */
+const LINK_UNSUPPORTED = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+/**
+ * Moves a temp file to its destination, failing with `EEXIST` instead of replacing an existing file.
+ * Creating the destination with a hard link (or an exclusive copy across devices) is atomic, so two
+ * requests racing for the same name can never both succeed.
+ * @param {string|Buffer} source The temp file, or the content of a file kept in memory.
+ * @param {string} destination The final path.
+ * @returns {Promise<void>}
+ * @private
+ */
+const moveExclusive = async (source, destination) => {
+  if (Buffer.isBuffer(source)) {
+    await fs.promises.writeFile(destination, source, { flag: 'wx' });
+    return;
+  }
+  try {
+    await fs.promises.link(source, destination);
+  } catch (err) {
+    if (!LINK_UNSUPPORTED.includes(err.code)) {
+      throw err;
+    }
+    await fs.promises.copyFile(source, destination, fs.constants.COPYFILE_EXCL);
+  }
+  await fs.promises.unlink(source);
+};
+
+/**
+ * Renames the file an overwrite is about to replace to a hidden name next to it, so a rollback can put it back.
+ * @param {string} filePath
+ * @returns {Promise<string|null>} The backup path, or null when there is no file to replace.
+ * @private
+ */
+const setAside = async (filePath) => {
+  const { dir, base } = path.parse(filePath);
+  const backup = path.join(dir, `.${base}.${crypto.randomUUID()}.uxio-backup`);
+  try {
+    await fs.promises.rename(filePath, backup);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  return backup;
+};
+
+/**
+ * A file stored by `save()`, and the file it replaced.
+ * @typedef {object} savedFile
+ * @property {string} path Where the file was saved.
+ * @property {string|null} backup Where the overwritten file was set aside, null when nothing was replaced.
+ * @private
+ */
+
+/**
+ * Moves a temp file to its destination according to the `onConflict` strategy.
+ * @param {string|Buffer} source The temp file, or the content of a file kept in memory.
+ * @param {string} destination The requested final path.
+ * @param {string} onConflict One of 'error', 'overwrite', 'skip' or 'rename'.
+ * @returns {Promise<savedFile>} Rejects with an `EEXIST` error for 'error' and 'skip'.
+ * @private
+ */
+const moveFile = async (source, destination, onConflict) => {
+  if (onConflict === 'overwrite') {
+    const backup = await setAside(destination);
+    try {
+      if (Buffer.isBuffer(source)) {
+        await fs.promises.writeFile(destination, source);
+      } else {
+        try {
+          await fs.promises.rename(source, destination);
+        } catch (err) {
+          if (err.code !== 'EXDEV') {
+            throw err;
+          }
+          await fs.promises.copyFile(source, destination);
+          await fs.promises.unlink(source);
+        }
+      }
+    } catch (err) {
+      if (backup) {
+        await fs.promises.rename(backup, destination);
+      }
+      throw err;
+    }
+    return { path: destination, backup };
+  }
+
+  const { dir, name, ext } = path.parse(destination);
+  for (let attempt = 0; ; attempt++) {
+    const candidate = attempt === 0 ? destination : path.join(dir, `${name}-${attempt}${ext}`);
+    try {
+      await moveExclusive(source, candidate);
+      return { path: candidate, backup: null };
+    } catch (err) {
+      if (err.code !== 'EEXIST' || onConflict !== 'rename') {
+        throw err;
+      }
+    }
+  }
+};
+
+/**
+ * Undoes a save: deletes the saved file and puts back the file it overwrote. A saved file that is already gone counts as deleted.
+ * @param {savedFile} saved
+ * @returns {Promise<void>}
+ * @private
+ */
+const restoreSaved = async ({ path: savedPath, backup }) => {
+  try {
+    await fs.promises.unlink(savedPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+  if (backup) {
+    await fs.promises.rename(backup, savedPath);
+  }
+};
+
+/**
+ * Deletes the copy an overwrite set aside, once the save can no longer be undone.
+ * @param {savedFile} saved
+ * @returns {Promise<void>}
+ * @private
+ */
+const dropBackup = async ({ backup }) => {
+  if (!backup) return;
+  await fs.promises.unlink(backup).catch((err) => {
+    console.error(`Failed to delete the backup of an overwritten file: ${backup}`, err);
+  });
+};
+
+/**
+ * Undo steps for the files a `save()` call stored. Overwritten files stay set aside until the transaction ends,
+ * so undoing the save puts them back.
+ * @param {savedFile[]} savedFiles
+ * @returns {module:transaction~undoStep[]}
+ * @private
+ */
+const savedFileSteps = (savedFiles) =>
+  savedFiles.map((saved) => ({
+    type: "save",
+    path: saved.path,
+    undo: () => restoreSaved(saved),
+    release: () => dropBackup(saved),
+  }));
+
+/**
+ * Where `transaction()` hands its undo journal to `save()` and `send()`, out of reach of their public options.
+ * @type {symbol}
+ * @private
+ */
+const JOURNAL = Symbol("journal");
+
+const CONFLICT_STRATEGIES = ['error', 'overwrite', 'skip', 'rename'];
+
+/**
+ * The error for a `required` config whose fields have no file.
+ * @param {string[]} fieldnames
+ * @returns {FileSaveError}
+ * @private
+ */
+const requiredMissing = (fieldnames) =>
+  new FileSaveError(`Required files not found for fields: ${fieldnames.join(", ")}.`, 404, {
+    code: ERROR_CODES.REQUIRED_MISSING,
+    field: fieldnames.length === 1 ? fieldnames[0] : fieldnames,
+    rule: 'required',
+  });
+
+/**
+ * Validates (and scans) the files of a config, collecting violations when `violations` is an array.
+ * @param {object[]} filesOfConfig The `UxioFile`s the config matched.
+ * @param {validations} [validations]
+ * @param {object|null} scanOptions
+ * @param {FileSaveError[]|null} violations
+ * @returns {Promise<Array<{file: object, metadata: object|null}>>} The files that passed, with the metadata read for them.
+ * @private
+ */
+const checkFiles = async (filesOfConfig, validations, scanOptions, violations) => {
+  const passed = [];
+  for (const file of filesOfConfig) {
+    const fileViolations = violations && [];
+    const metadata = validations ? await validateFile(file, validations, fileViolations) : null;
+    if (fileViolations && fileViolations.length > 0) {
+      violations.push(...fileViolations);
+      continue;
+    }
+    if (scanOptions) {
+      await scanFile(file, scanOptions);
+    }
+    passed.push({ file, metadata });
+  }
+  return passed;
+};
 
 /**
  * @lends module:files
@@ -44,17 +346,35 @@ const files = {
    * @param {boolean} [config.required=false] If true, an error is thrown if no files match the filename(s).
    * @param {boolean} [config.makedir=false] If true, the destination directory will be created recursively if not found.
    * @param {validations} [config.validations] Optional validation rules. see <a href="#~validations">validations</a>
-   * @param {function} [config.rename] A function to rename the file.
+   * @param {function} [config.rename] A function to rename the file. The result is sanitized like client filenames.
+   * @param {module:transform~transformOptions} [config.transform] Image transformations (resize, crop, format, auto-rotate, metadata stripping) and named variants.
+   * Each variant is returned as its own entry with a `variant` property.
+   * @param {module:scan~Scanner|module:scan~scanOptions} [config.scan] Scan each file for malware before it is saved. An infected
+   * file throws an `InfectedFileError` (422) and is moved to `scan.quarantine` when set.
+   * @param {boolean|string[]} [config.metadata=true] `false` skips metadata extraction, an array only runs the named handlers
+   * (see `Uxio.metadata`).
+   * @param {boolean|module:metadata/text~textOptions} [config.extractText=false] Adds the plain `text` of documents and text
+   * files to the metadata, e.g. for search indexing. `{ maxLength }` caps it (default 1,000,000 characters).
+   * @param {string} [config.onConflict='error'] What to do when the destination name is taken:
+   * 'error' throws a 409, 'overwrite' replaces the existing file, 'skip' leaves it and omits the upload from the result,
+   * 'rename' appends `-1`, `-2`... until a free name is found.
    * @param {object} uxioObject The `req.uxio` object containing cached file data.
+   * @param {object} [options]
+   * @param {boolean} [options.collectAll=false] Checks every file and `required` config before failing, and throws one
+   * `ValidationError` listing all the violations in `errors`.
    * @returns {Promise<object[]>} An array of file info objects.
    */
-  save: async (config, uxioObject) => {
+  save: async (config, uxioObject, { collectAll = false, [JOURNAL]: journal = null } = {}) => {
     // Standardize config into an array to simplify processing
     const configsToProcess = Array.isArray(config) ? config : [config];
+    const violations = collectAll ? [] : null;
     const savedFilesInfo = [];
-    const savedFilePathsForRollback = [];
+    const savedFilesForRollback = [];
 
     try {
+      // Every file of the batch is validated and scanned before the first one is moved, so a file
+      // failing a rule never causes a rollback
+      const prepared = [];
       for (const currentConfig of configsToProcess) {
         const {
           fieldname,
@@ -64,7 +384,21 @@ const files = {
           rename,
           required = false,
           makedir = false, 
+          onConflict = 'error',
+          transform,
+          scan,
+          metadata: metadataOption,
+          extractText: extractTextOption,
         } = currentConfig;
+        const scanOptions = scanOptionsOf(scan);
+        const metadataSelection = metadataSelectionOf(metadataOption);
+        const extractText = extractTextOf(extractTextOption);
+
+        if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+          throw new FileSaveError(`Invalid onConflict '${onConflict}'. Expected one of: ${CONFLICT_STRATEGIES.join(", ")}.`, 400, {
+            code: ERROR_CODES.INVALID_CONFIG,
+          });
+        }
 
         const fieldnamesToSave = fieldname
     ? (Array.isArray(fieldname) ? fieldname : [fieldname])
@@ -79,10 +413,11 @@ const files = {
         );
 
         if (required && filesToSave.length === 0) {
-          throw new FileSaveError(
-            `Required files not found for fields: ${fieldnamesToSave.join(", ")}.`,
-            404,
-          );
+          const err = requiredMissing(fieldnamesToSave);
+          if (!violations) {
+            throw err;
+          }
+          violations.push(err);
         }
 
         if (filesToSave.length === 0) {
@@ -96,55 +431,60 @@ const files = {
             if (makedir) {
               await fs.promises.mkdir(destinationPath, { recursive: true });
             } else {
-              throw new FileSaveError(`Destination directory not found: ${destinationPath}`, 404);
+              throw new FileSaveError(`Destination directory not found: ${destinationPath}`, 404, { code: ERROR_CODES.DESTINATION_NOT_FOUND });
             }
           } else {
             throw err;
           }
         }
 
-        for (const fileToSave of filesToSave) {
-          if (validations) {
-            if (validations.maxSize && fileToSave.size > validations.maxSize) {
-              throw new FileSaveError(
-                `File size for '${fileToSave.filename}' exceeds limit of ${validations.maxSize} bytes.`,
-              );
-            }
-            if (validations.mimeType) {
-              const allowedMimeTypes = Array.isArray(validations.mimeType)
-                ? validations.mimeType
-                : validations.mimeType.split(",").map((m) => m.trim());
-              if (!allowedMimeTypes.includes(fileToSave.mimeType)) {
-                throw new FileSaveError(`Invalid file type for '${fileToSave.filename}'. Only ${allowedMimeTypes.join(", ")} are allowed.`,);
-              }
-            }
-          }
-          
-          const metadata = await getMetadata(fileToSave.tempFilePath, fileToSave.mimeType)
+        for (const { file, metadata } of await checkFiles(filesToSave, validations, scanOptions, violations)) {
+          prepared.push({ file, metadata, destinationPath, rename, onConflict, transform, metadataSelection, extractText });
+        }
+      }
+      if (violations && violations.length > 0) {
+        throw new ValidationError(violations);
+      }
+
+      for (const entry of prepared) {
+        const { file: fileToSave, destinationPath, rename, onConflict, transform } = entry;
+        // Both the client's name and the rename() result are reduced to a single safe path segment
+        const chosenFilename = sanitizeFilename(typeof rename === "function" ? rename(fileToSave) : fileToSave.filename);
 
-          const newFilename = typeof rename === "function" ? rename(fileToSave) : fileToSave.filename;
-          const finalFilePath = path.join(destinationPath, newFilename);
+        for (const output of await transformFile(fileToSave, transform)) {
+          const outputFile = output.file;
+          const metadata = await metadataFor(outputFile, entry);
 
+          const newFilename = sanitizeFilename(outputName(chosenFilename, output));
+          const finalFilePath = resolveInside(destinationPath, newFilename);
+
+          let saved;
           try {
-            await fs.promises.access(finalFilePath, fs.constants.F_OK);
-            throw new FileSaveError(`File with name '${newFilename}' already exists.`, 409);
+            saved = await moveFile(sourceOf(outputFile), finalFilePath, onConflict);
           } catch (e) {
-            if (e.code !== 'ENOENT' && e.status !== 409) {
-                throw e;
-            } else if (e.status === 409) {
-                throw e;
+            if (e.code !== 'EEXIST') {
+              throw e;
+            }
+            if (onConflict === 'skip') {
+              continue;
             }
+            throw new FileSaveError(`File with name '${newFilename}' already exists.`, 409, {
+              code: ERROR_CODES.NAME_CONFLICT,
+              field: fileToSave.fieldname,
+              filename: newFilename,
+            });
           }
-
-          await fs.promises.rename(fileToSave.tempFilePath, finalFilePath);
-          savedFilePathsForRollback.push(finalFilePath);
+          savedFilesForRollback.push(saved);
 
           const fileInfo = {
             fieldname: fileToSave.fieldname,
             originalName: fileToSave.filename,
-            path: finalFilePath,
-            size: fileToSave.size,
-            mimeType: fileToSave.mimeType,
+            ...(output.variant && { variant: output.variant }),
+            path: saved.path,
+            size: outputFile.size,
+            mimeType: outputFile.mimeType,
+            // Checksums describe the uploaded bytes, not re-encoded outputs
+            ...(outputFile === fileToSave && fileToSave.checksums && { checksums: fileToSave.checksums }),
             ...metadata,
           };
           savedFilesInfo.push(fileInfo);
@@ -152,12 +492,14 @@ const files = {
       }
     } catch (err) {
       console.error("File save operation failed. Initiating rollback...", err);
-      const cleanupPromises = savedFilePathsForRollback.map((filePath) =>
-        fs.promises.unlink(filePath).catch((cleanupErr) => {
-          console.error(`Failed to delete saved file during rollback: ${filePath}`, cleanupErr);
-        }),
-      );
-      await Promise.allSettled(cleanupPromises);
+      // Newest first, so a name overwritten twice in the batch ends up with the file it had before the call
+      for (const saved of [...savedFilesForRollback].reverse()) {
+        try {
+          await restoreSaved(saved);
+        } catch (cleanupErr) {
+          console.error(`Failed to delete saved file during rollback: ${saved.path}`, cleanupErr);
+        }
+      }
       console.log("Rollback completed.");
 
       if (err instanceof FileSaveError) {
@@ -166,6 +508,11 @@ const files = {
       throw new FileSaveError(err.message, err.status);
     }
 
+    if (journal) {
+      journal.push(...savedFileSteps(savedFilesForRollback));
+    } else {
+      await Promise.all(savedFilesForRollback.map(dropBackup));
+    }
     return savedFilesInfo;
   },
   
@@ -179,20 +526,29 @@ const files = {
    * @param {object|object[]} config The send configuration.
    * @param {string|string[]} config.fieldname The field name(s) of the file(s) to send.
    * @param {string|string[]} [config.filename] (DEPRECATED) Use 'fieldname' instead.
-   * @param {string} config.provider The destination service provider (e.g., 's3', 'customHttp').
+   * @param {string} config.provider The destination service provider (e.g., 's3', 'customHttp' or any name added with `registerProvider`).
    * @param {object} config.options Provider-specific options.
    * @param {boolean} [config.required=false] If true, throws an error if no files match the filename(s).
    * @param {validations} [config.validations] Optional validation rules. see <a href="#~validations">validations</a>
    * @param {function} [config.rename] A function to rename the file before sending.
+   * @param {module:transform~transformOptions} [config.transform] Image transformations and named variants, as in `save()`.
+   * @param {module:scan~Scanner|module:scan~scanOptions} [config.scan] Scan each file for malware before it is sent, as in `save()`.
+   * @param {boolean|string[]} [config.metadata=true] Which metadata handlers run, as in `save()`.
+   * @param {boolean|module:metadata/text~textOptions} [config.extractText=false] Adds the plain `text` of documents, as in `save()`.
    * @param {object} uxioObject The `req.uxio` object containing cached file data.
+   * @param {object} [options]
+   * @param {boolean} [options.collectAll=false] Reports every violation in one `ValidationError`, as in `save()`.
    * @returns {Promise<object[]>} An array of file info objects from the provider.
    */
-  send: async (config, uxioObject) => {
+  send: async (config, uxioObject, { collectAll = false, [JOURNAL]: journal = null } = {}) => {
     const configsToProcess = Array.isArray(config) ? config : [config];
+    const violations = collectAll ? [] : null;
     const sentFilesInfo = [];
     const uploadedObjectsForRollback = [];
 
     try {
+      // As in save(), nothing is uploaded before every file passed its validations and scan
+      const prepared = [];
       for (const currentConfig of configsToProcess) {
         const {
           filename,
@@ -202,10 +558,22 @@ const files = {
           validations,
           rename,
           required = false,
+          transform,
+          scan,
+          metadata: metadataOption,
+          extractText: extractTextOption,
         } = currentConfig;
+        const scanOptions = scanOptionsOf(scan);
+        const metadataSelection = metadataSelectionOf(metadataOption);
+        const extractText = extractTextOf(extractTextOption);
 
         if (!provider) {
-          throw new FileSaveError("A 'provider' must be specified in the configuration.", 400);
+          throw new FileSaveError("A 'provider' must be specified in the configuration.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+        }
+
+        const registered = getProvider(provider);
+        if (!registered) {
+          throw new FileSaveError(`Unsupported provider: '${provider}'.`, 400, { code: ERROR_CODES.INVALID_CONFIG });
         }
 
         const fieldnamesToSend = fieldname
@@ -220,129 +588,79 @@ const files = {
         );
 
         if (required && filesToSend.length === 0) {
-          throw new FileSaveError(
-            `Required files not found for fields: ${fieldnamesToSend.join(", ")}.`,
-            404,
-          );
+          const err = requiredMissing(fieldnamesToSend);
+          if (!violations) {
+            throw err;
+          }
+          violations.push(err);
         }
 
         if (filesToSend.length === 0) {
           continue;
         }
 
-        for (const fileToSend of filesToSend) {
-          if (validations) {
-            if (validations.maxSize && fileToSend.size > validations.maxSize) {
-              throw new FileSaveError(
-                `File size for '${fileToSend.filename}' exceeds limit of ${validations.maxSize} bytes.`,
-              );
-            }
-            if (validations.mimeType) {
-              const allowedMimeTypes = Array.isArray(validations.mimeType)
-                ? validations.mimeType
-                : validations.mimeType.split(",").map((m) => m.trim());
-              if (!allowedMimeTypes.includes(fileToSend.mimeType)) {
-                throw new FileSaveError(
-                  `Invalid file type for '${fileToSend.filename}'. Only ${allowedMimeTypes.join(", ")} are allowed.`
-                );
-              }
-            }
+        if (registered.provider.validateOptions) {
+          try {
+            registered.provider.validateOptions(options);
+          } catch (err) {
+            throw err instanceof FileSaveError ? err : new FileSaveError(err.message, 400, { code: ERROR_CODES.INVALID_CONFIG });
           }
-          
-          const metadata = await getMetadata(fileToSend.tempFilePath, fileToSend.mimeType)
-          
+        }
 
-          const newFilename = typeof rename === "function" ? rename(fileToSend) : fileToSend.filename;
-          const fileStream = fs.createReadStream(fileToSend.tempFilePath);
-          let uploadResult;
+        for (const { file, metadata } of await checkFiles(filesToSend, validations, scanOptions, violations)) {
+          prepared.push({ file, metadata, registered, options, rename, transform, metadataSelection, extractText });
+        }
+      }
+      if (violations && violations.length > 0) {
+        throw new ValidationError(violations);
+      }
 
-          switch (provider.toLowerCase()) {
-            case "s3": {
-              if (!options || !options.bucket || !options.region || !options.credentials) {
-                throw new FileSaveError("S3 provider requires 'bucket', 'region', and 'credentials' in options.", 400);
-              }
-              const s3Client = new S3Client({
-                region: options.region,
-                credentials: options.credentials,
-              });
-              const command = new PutObjectCommand({
-                Bucket: options.bucket,
-                Key: newFilename,
-                Body: fileStream,
-                ContentType: fileToSend.mimeType,
-                ContentLength: fileToSend.size,
-              });
-
-              await s3Client.send(command);
-              
-              uploadResult = {
-                provider: 's3',
-                bucket: options.bucket,
-                key: newFilename,
-                url: `https://${options.bucket}.s3.${options.region}.amazonaws.com/${encodeURIComponent(newFilename)}`,
-                size: fileToSend.size,
-                mimeType: fileToSend.mimeType,
-                ...metadata,
-              };
-              uploadedObjectsForRollback.push({ provider: 's3', ...uploadResult });
-              break;
-            }
+      for (const entry of prepared) {
+        const { file: fileToSend, registered, options, rename, transform } = entry;
+        const chosenKey = typeof rename === "function" ? rename(fileToSend) : fileToSend.filename;
 
-            case "customhttp": {
-              if (!options || !options.url) {
-                throw new FileSaveError("customHttp provider requires a 'url' in options.", 400);
-              }
-
-              const response = await axios.post(options.url, fileStream, {
-                headers: {
-                  'Content-Type': fileToSend.mimeType,
-                  'Content-Length': fileToSend.size,
-                  'X-Original-Filename': encodeURIComponent(fileToSend.filename),
-                },
-                ...options.axiosConfig, 
-              });
-
-              uploadResult = {
-                  provider: 'customHttp',
-                  ...response.data, 
-                  ...metadata,
-              };
-              /**
-               * 
-               * Note: Rollback for customHttp is complex and not implemented here.
-               * The destination server would need to provide a DELETE endpoint.
-               */
-              break;
-            }
+        for (const output of await transformFile(fileToSend, transform)) {
+          const outputFile = output.file;
+          const metadata = await metadataFor(outputFile, entry);
 
-            default:
-              throw new FileSaveError(`Unsupported provider: '${provider}'.`, 400);
+          const key = outputName(chosenKey, output);
+          let uploadResult;
+          try {
+            uploadResult = await registered.provider.upload(outputFile, {
+              key,
+              options,
+              metadata,
+              createReadStream: (range) => openFile(outputFile, range),
+            });
+          } catch (err) {
+            throw err instanceof FileSaveError
+              ? err
+              : new FileSaveError(err.message, err.status || 500, { code: ERROR_CODES.PROVIDER_ERROR, field: fileToSend.fieldname, filename: key });
           }
-
-          sentFilesInfo.push(uploadResult);
+          uploadedObjectsForRollback.push({ registered, options, result: uploadResult });
+
+          sentFilesInfo.push({
+            provider: registered.name,
+            fieldname: fileToSend.fieldname,
+            ...(output.variant && { variant: output.variant }),
+            ...(outputFile === fileToSend && fileToSend.checksums && { checksums: fileToSend.checksums }),
+            ...uploadResult,
+            ...metadata,
+          });
         }
       }
     } catch (err) {
       console.error("File send operation failed. Initiating rollback...", err);
-      
-      const cleanupPromises = uploadedObjectsForRollback.map(async (item) => {
-        try {
-          if (item.provider === 's3') {
-            console.log(`Rolling back S3 object: ${item.key} from bucket ${item.bucket}`);
-            const s3Client = new S3Client({
-              region: item.url.split('.')[2], // Infer region from URL
-              credentials: config.find(c => c.provider === 's3')?.options.credentials,
-            });
-            const command = new DeleteObjectCommand({
-              Bucket: item.bucket,
-              Key: item.key,
-            });
-            await s3Client.send(command);
+
+      const cleanupPromises = uploadedObjectsForRollback
+        .filter(({ registered }) => typeof registered.provider.remove === "function")
+        .map(async ({ registered, options, result }) => {
+          try {
+            await registered.provider.remove(result, options);
+          } catch (cleanupErr) {
+            console.error(`Failed to delete sent file during rollback: ${result.key || result.url}`, cleanupErr);
           }
-        } catch (cleanupErr) {
-           console.error(`Failed to delete sent file during rollback: ${item.key || item.url}`, cleanupErr);
-        }
-      });
+        });
       await Promise.allSettled(cleanupPromises);
       console.log("Rollback completed.");
 
@@ -352,12 +670,57 @@ const files = {
       throw new FileSaveError(err.message, err.status || 500);
     }
 
+    if (journal) {
+      journal.push(...sentFileSteps(uploadedObjectsForRollback));
+    }
     return sentFilesInfo;
   },
-  
-  
-  
-  
+
+  /**
+   * Registers a custom destination for `send()`, or replaces an existing one (including the built-in `s3` and `customHttp`).
+   * Provider names are case-insensitive.
+   *
+   * @example
+   * Uxio.files.registerProvider('blob', {
+   *   validateOptions: (options) => { if (!options.container) throw new Error("'container' is required"); },
+   *   upload: async (file, { key, options, createReadStream }) => ({ key, etag: await blob.put(options.container, key, createReadStream()) }),
+   *   remove: async (result, options) => blob.delete(options.container, result.key),
+   * });
+   *
+   * @function
+   * @param {string} name The provider name used in send configs.
+   * @param {module:providers~Provider} provider The provider implementation with `upload` and optional `remove`/`validateOptions` hooks.
+   */
+  registerProvider,
+
+  /**
+   * Runs `callback` with a transaction object whose `save()` and `send()` work like `files.save()` and `files.send()`.
+   * If the callback throws, or one of its operations fails, every file saved or sent through it is deleted (newest first)
+   * and the steps registered with `tx.onRollback()` run, e.g. to undo the route's own database writes.
+   *
+   * @example
+   * const user = await Uxio.files.transaction(async (tx) => {
+   *   const [avatar] = await tx.save({ fieldname: 'avatar', path: './uploads' }, req.uxio);
+   *   const [cv] = await tx.send({ fieldname: 'cv', provider: 's3', options }, req.uxio);
+   *   const row = await db.users.insert({ avatar: avatar.path, cv: cv.key });
+   *   tx.onRollback('user row', () => db.users.delete(row.id));
+   *   return row;
+   * });
+   *
+   * @function
+   * @param {function(module:transaction~Transaction): Promise<*>} callback
+   * @returns {Promise<*>} What the callback resolved to.
+   * @throws {TransactionError} After the rollback. It has the message, status and code of the error that stopped the
+   * transaction (in `cause`), and the outcome of each undo step in `compensations` (`failedCompensations` lists the failures).
+   */
+  transaction: (callback) =>
+    runTransaction(
+      {
+        save: (config, uxioObject, options, journal) => files.save(config, uxioObject, { ...options, [JOURNAL]: journal }),
+        send: (config, uxioObject, options, journal) => files.send(config, uxioObject, { ...options, [JOURNAL]: journal }),
+      },
+      callback,
+    ),
 };
 
 module.exports = files;
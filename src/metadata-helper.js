@@ -1,26 +1,95 @@
-const { promisify: promisify } = require("util");
-const { exec: exec } = require("child_process");
-const { fileTypeFromBuffer: fileTypeFromBuffer } = require("file-type");
+const path = require("path");
+const { createReadStream } = require("fs");
+const { Readable } = require("stream");
+const zlib = require("zlib");
+const sharp = require("sharp");
 const { imageSize: imageSize } = require("image-size");
 const { readFileSync: readFileSync } = require("node:fs");
 const fs = require("fs/promises");
 const pdfParse = require("pdf-parse");
 const mammoth = require("mammoth");
 const XLSX = require("xlsx");
-const officeparser = require("officeparser");
-const execPromise = promisify(exec);
+const { SNIFF_BYTES, sniffMimeType, sniffFile } = require("./content-type");
+const { ProcessError, configureRunner, runProcess } = require("./process-runner");
+const { withReader } = require("./metadata/source");
+const { parseExif } = require("./metadata/exif");
+const { readAudioTags } = require("./metadata/audio-tags");
+const { listZip, readEntry } = require("./metadata/zip");
+const { listTar } = require("./metadata/tar");
+const { normalizeTextOptions, plainText, sectionedText, sheetText } = require("./metadata/text");
 
 /**
  * @module metadata-helper
- * @description Provides functions to get metadata for various file types.
+ * @description Provides functions to get metadata for various file types, and the registry of handlers behind `Uxio.metadata`.
  */
 
+/**
+ * How long a handler may run before its result is dropped, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Size cap of the built-in handlers that load the whole file in memory.
+ * @type {number}
+ */
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Archives list at most this many entries, the totals still cover all of them.
+ * @type {number}
+ */
+const MAX_LISTED_ENTRIES = 1000;
+
+/**
+ * The external tools used by the handlers, as binary names looked up in `PATH` or absolute paths.
+ * @type {{ffprobe: string, file: string}}
+ */
+const tools = { ffprobe: "ffprobe", file: "file" };
+
+/**
+ * Handlers accept the file either as a path on disk or as the Buffer of a file kept in memory.
+ * @typedef {string|Buffer} fileSource
+ */
+
+/**
+ * Returns the content of a file source.
+ * @param {fileSource} source - A path or a Buffer.
+ * @returns {Promise<Buffer>}
+ */
+const readSource = async (source) => (Buffer.isBuffer(source) ? source : fs.readFile(source));
+
+/**
+ * Returns the size of a file source in bytes.
+ * @param {fileSource} source - A path or a Buffer.
+ * @returns {Promise<number>}
+ */
+const sizeOfSource = async (source) => (Buffer.isBuffer(source) ? source.length : (await fs.stat(source)).size);
+
+/**
+ * Runs an external tool on a file source, without a shell. Buffers are written to the tool's
+ * stdin, where `input` takes the place of the path argument. Paths are made absolute so a name
+ * starting with `-` cannot be read as an option.
+ * @param {string} tool - The key of the tool in `tools`.
+ * @param {function(string): string[]} args - Builds the arguments from the path (or `input` for buffers).
+ * @param {fileSource} source - A path or a Buffer.
+ * @param {string} input - The argument that makes the tool read stdin.
+ * @param {AbortSignal} [signal] - Kills the tool when aborted.
+ * @returns {Promise<{stdout: string}>}
+ */
+const runOnSource = (tool, args, source, input, signal) =>
+  Buffer.isBuffer(source)
+    ? runProcess(tools[tool], args(input), { input: source, signal })
+    : runProcess(tools[tool], args(path.resolve(source)), { signal });
+
 /**
  * @typedef {object} imageData
  * @property {number} width - The width of the image in pixels.
  * @property {number} height - The height of the image in pixels.
  * @property {string} orientation - The image orientation ('portrait' or 'landscape').
  * @property {string} type - The file extension of the image (e.g., 'png', 'jpeg').
+ * @property {object} [exif] - Camera and capture fields of the EXIF block (make, model, orientation, dateTimeOriginal, iso...).
+ * @property {{latitude: number, longitude: number, altitude?: number}} [gps] - The GPS position in decimal degrees.
  */
 
 /**
@@ -36,27 +105,56 @@ const execPromise = promisify(exec);
  * @property {number|null} [audio.bit_rate] - The audio bitrate in bits per second, or null if unavailable.
  */
 
+/**
+ * @typedef {object} audioData
+ * @property {{title?: string, artist?: string, album?: string, albumArtist?: string, year?: string, track?: string, genre?: string}} tags - ID3 or Vorbis comment tags.
+ * @property {boolean} coverArt - True when the file embeds a picture.
+ * @property {string|null} tagFormat - 'ID3v2.3', 'ID3v1', 'Vorbis'... or null without tags.
+ */
+
+/**
+ * @typedef {object} archiveData
+ * @property {string} archiveFormat - 'zip', 'tar', 'tar.gz' or 'gzip' (a compressed file that is not a TAR archive).
+ * @property {number} entryCount - The number of entries, directories included.
+ * @property {number} fileCount - The number of entries that are not directories.
+ * @property {number} compressedSize - The sum of the compressed entry sizes for ZIP, the archive size for TAR.
+ * @property {number} uncompressedSize - The sum of the entry sizes.
+ * @property {{name: string, size: number, compressedSize?: number, directory: boolean}[]} entries - The first 1000 entries.
+ * @property {boolean} entriesTruncated - True when `entries` does not list every entry.
+ */
+
+/**
+ * @typedef {object} csvData
+ * @property {number} rows - The number of data rows, without the header row and blank lines.
+ * @property {number} columns - The number of columns of the widest row.
+ * @property {string[]} header - The fields of the first row.
+ */
+
 /**
  * @typedef {object} pdfData
  * @property {number} pages - The number of pages in the PDF.
  * @property {object} info - The PDF document's info dictionary (e.g., title, author).
+ * @property {module:metadata/text~extractedText} [text] - With `extractText`, the text of each page.
  */
 
 /**
  * @typedef {object} excelData
  * @property {number} sheets - The number of sheets in the Excel workbook.
  * @property {string[]} sheetNames - An array of the names of the worksheets.
+ * @property {module:metadata/text~extractedText} [text] - With `extractText`, the rows of each sheet.
  */
 
 /**
  * @typedef {object} powerPointData
- * @property {number|null} slidesCount - The number of slides in the presentation, or null if unable to parse.
+ * @property {number} slidesCount - The number of slides in the presentation.
+ * @property {module:metadata/text~extractedText} [text] - With `extractText`, the text of each slide.
  */
 
 /**
  * @typedef {object} wordData
  * @property {number} wordCount - The number of words in the document.
  * @property {number} charCount - The number of characters in the document.
+ * @property {module:metadata/text~extractedText} [text] - With `extractText`, the text of the document.
  */
 
 /**
@@ -64,6 +162,7 @@ const execPromise = promisify(exec);
  * @property {number} lines - The number of lines in the text file.
  * @property {number} charCount - The number of characters in the text file.
  * @property {string} firstLine - The first 100 characters of the first line of the file.
+ * @property {module:metadata/text~extractedText} [text] - With `extractText`, the content of the file.
  */
 
 /**
@@ -71,29 +170,56 @@ const execPromise = promisify(exec);
  * @property {string} platformInfo - A descriptive string about the file from the 'file' command.
  */
 
+const isToolNotFound = (error) => error instanceof ProcessError && error.code === "ENOENT";
+
+/**
+ * Describes a missing external tool for the `metadataError` property.
+ * @param {ProcessError} error
+ * @returns {{code: string, tool: string, message: string}}
+ */
+const toolNotFound = (error) => ({
+  code: "TOOL_NOT_FOUND",
+  tool: error.command,
+  message: `'${error.command}' was not found. Install it or set its path with Uxio.metadata.configure().`,
+});
+
 /**
- * Uses the `image-size` library to extract image properties.
- * @param {string} filepath - The path to the image file.
+ * Uses the `image-size` library to extract image properties, and sharp to read the EXIF block.
+ * @param {fileSource} source - The path to the image file, or its content.
  * @returns {Promise<imageData>} A promise that resolves to the image metadata.
  */
-const handleImage = async (filepath) => {
-  const size = imageSize(readFileSync(filepath));
-  return {
+const handleImage = async (source) => {
+  const size = imageSize(Buffer.isBuffer(source) ? source : readFileSync(source));
+  const result = {
     width: size.width,
     height: size.height,
     orientation: size.width > size.height ? "landscape" : "portrait",
     type: size.type,
   };
+  // Formats sharp cannot decode still get their dimensions
+  const { exif } = await sharp(source).metadata().catch(() => ({}));
+  const parsed = exif ? parseExif(exif) : null;
+  if (parsed) {
+    result.exif = parsed.exif;
+    if (parsed.gps) result.gps = parsed.gps;
+  }
+  return result;
 };
 
 /**
  * Uses `ffprobe` to extract metadata for video and audio files.
- * @param {string} filepath - The path to the media file.
+ * @param {fileSource} source - The path to the media file, or its content.
+ * @param {handlerContext} [context]
  * @returns {Promise<mediaData>} A promise that resolves to the media metadata.
  */
-const handleMedia = async (filepath) => {
-  const command = `ffprobe -v error -show_format -show_streams -of json "${filepath}"`;
-  const { stdout } = await execPromise(command);
+const handleMedia = async (source, { signal } = {}) => {
+  const { stdout } = await runOnSource(
+    "ffprobe",
+    (input) => ["-v", "error", "-show_format", "-show_streams", "-of", "json", input],
+    source,
+    "pipe:0",
+    signal,
+  );
   const data = JSON.parse(stdout);
   const format = data.format;
   const videoStream = data.streams.find((stream) => stream.codec_type === "video");
@@ -114,131 +240,642 @@ const handleMedia = async (filepath) => {
   return result;
 };
 
+/**
+ * Reads the tags and cover art of an audio file, then its stream properties with `ffprobe`.
+ * The tags are still returned when `ffprobe` is not installed.
+ * @param {fileSource} source - The path to the audio file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<audioData & mediaData>}
+ */
+const handleAudio = async (source, context) => {
+  const found = await withReader(source, readAudioTags);
+  const result = found
+    ? { tags: found.tags, coverArt: found.coverArt, tagFormat: found.tagFormat }
+    : { tags: {}, coverArt: false, tagFormat: null };
+  try {
+    return { ...result, ...(await handleMedia(source, context)) };
+  } catch (error) {
+    if (isToolNotFound(error)) {
+      return { ...result, metadataError: toolNotFound(error) };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Renders the text of a PDF page, one line per text baseline (like pdf-parse's own renderer).
+ * @param {object} page - The pdf.js page handed to pdf-parse's `pagerender`.
+ * @returns {Promise<string>}
+ */
+const renderPdfPage = async (page) => {
+  const { items } = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = "";
+  for (const item of items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
 /**
  * Parses a PDF file to extract page count and document info.
- * @param {string} filepath - The path to the PDF file.
+ * @param {fileSource} source - The path to the PDF file, or its content.
+ * @param {handlerContext} [context]
  * @returns {Promise<pdfData>} A promise that resolves to the PDF metadata.
  */
-const handlePdf = async (filepath) => {
-  const buffer = readFileSync(filepath);
-  const data = await pdfParse(buffer);
-  return { pages: data.numpages, info: data.info };
+const handlePdf = async (source, { extractText } = {}) => {
+  const buffer = Buffer.isBuffer(source) ? source : readFileSync(source);
+  const pages = [];
+  // pdf-parse renders the pages one after the other, in order
+  const options = {
+    pagerender: async (page) => {
+      const text = await renderPdfPage(page);
+      pages.push(text);
+      return text;
+    },
+  };
+  // pdf.js reads the whole underlying ArrayBuffer, so a Buffer sharing one (pooled, or sliced from the upload) is copied
+  const bytes = buffer.byteOffset === 0 && buffer.length === buffer.buffer.byteLength ? buffer : new Uint8Array(buffer);
+  const data = await pdfParse(bytes, extractText ? options : undefined);
+  const result = { pages: data.numpages, info: data.info };
+  if (extractText) {
+    result.text = sectionedText("pages", pages, extractText);
+  }
+  return result;
 };
 
+/**
+ * Reads the rows of every sheet of a workbook, as formatted cell strings.
+ * @param {object} workbook - An xlsx workbook.
+ * @param {{maxLength: number}} extractText
+ * @returns {module:metadata/text~extractedText}
+ */
+const workbookText = (workbook, extractText) =>
+  sheetText(
+    workbook.SheetNames.map((name) => ({
+      name,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, blankrows: false, defval: "" }),
+    })),
+    extractText,
+  );
+
 /**
  * Parses an Excel file to get the number of sheets and their names.
- * @param {string} filepath - The path to the Excel file.
+ * @param {fileSource} source - The path to the Excel file, or its content.
+ * @param {handlerContext} [context]
  * @returns {Promise<excelData>} A promise that resolves to the Excel metadata.
  */
-const handleExcel = async (filepath) => {
-  const workbook = XLSX.readFile(filepath);
-  return { sheets: workbook.SheetNames.length, sheetNames: workbook.SheetNames };
+const handleExcel = async (source, { extractText } = {}) => {
+  const workbook = Buffer.isBuffer(source) ? XLSX.read(source) : XLSX.readFile(source);
+  const result = { sheets: workbook.SheetNames.length, sheetNames: workbook.SheetNames };
+  if (extractText) {
+    result.text = workbookText(workbook, extractText);
+  }
+  return result;
 };
 
 /**
- * Parses a PowerPoint file to get the number of slides.
- * @param {string} filepath - The path to the PowerPoint file.
- * @returns {Promise<powerPointData>} A promise that resolves to the PowerPoint metadata.
+ * Returns the slide parts of a PowerPoint package in presentation order, as listed by
+ * `ppt/presentation.xml`, or by slide number when the package has no such list.
+ * @param {module:metadata/source~sourceReader} reader
+ * @param {module:metadata/zip~zipEntry[]} entries
+ * @returns {Promise<module:metadata/zip~zipEntry[]>}
  */
-const handlePowerPoint = async (filepath) => {
-  const { slides } = await officeparser.parse(filepath);
-  return { slidesCount: slides && slides.length > 0 ? slides.length : null };
+const orderedSlides = async (reader, entries) => {
+  const byName = new Map(entries.map((entry) => [entry.name, entry]));
+  const slideNumber = (entry) => Number(entry.name.match(/(\d+)\.xml$/)[1]);
+  const slides = entries
+    .filter((entry) => /^ppt\/slides\/slide\d+\.xml$/.test(entry.name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+  const presentation = byName.get("ppt/presentation.xml");
+  const relationships = byName.get("ppt/_rels/presentation.xml.rels");
+  if (!presentation || !relationships) {
+    return slides;
+  }
+  const targets = new Map();
+  const relationshipsXml = (await readEntry(reader, relationships, DEFAULT_MAX_SIZE)).toString("utf8");
+  for (const [tag] of relationshipsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = (tag.match(/\bId="([^"]+)"/) || [])[1];
+    const target = (tag.match(/\bTarget="([^"]+)"/) || [])[1];
+    if (id && target) {
+      targets.set(id, target.startsWith("/") ? target.slice(1) : path.posix.join("ppt", target));
+    }
+  }
+  const presentationXml = (await readEntry(reader, presentation, DEFAULT_MAX_SIZE)).toString("utf8");
+  const ordered = [...presentationXml.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map((match) => byName.get(targets.get(match[1])))
+    .filter(Boolean);
+  return ordered.length ? ordered : slides;
 };
 
+/**
+ * Extracts the text runs of a DrawingML part (a slide), one line per paragraph.
+ * @param {string} xml
+ * @returns {string}
+ */
+const drawingText = (xml) =>
+  [...xml.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<\/a:p>|<a:br\b[^>]*\/>/g)]
+    .map((match) => (match[1] !== undefined ? decodeXml(match[1]) : "\n"))
+    .join("");
+
+/**
+ * Counts the slide parts of a PowerPoint file.
+ * @param {fileSource} source - The path to the PowerPoint file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<powerPointData>} A promise that resolves to the PowerPoint metadata.
+ */
+const handlePowerPoint = async (source, { extractText } = {}) =>
+  withReader(source, async (reader) => {
+    const entries = await listZip(reader);
+    const result = { slidesCount: entries.filter((entry) => /^ppt\/slides\/slide\d+\.xml$/.test(entry.name)).length };
+    if (extractText) {
+      const slides = [];
+      for (const entry of await orderedSlides(reader, entries)) {
+        slides.push(drawingText((await readEntry(reader, entry, DEFAULT_MAX_SIZE)).toString("utf8")));
+      }
+      result.text = sectionedText("slides", slides, extractText);
+    }
+    return result;
+  });
+
 /**
  * Extracts raw text from a Word document to get word and character counts.
- * @param {string} filepath - The path to the Word file.
+ * @param {fileSource} source - The path to the Word file, or its content.
+ * @param {handlerContext} [context]
  * @returns {Promise<wordData>} A promise that resolves to the Word document metadata.
  */
-const handleWord = async (filepath) => {
-  const { value } = await mammoth.extractRawText({ path: filepath });
+const handleWord = async (source, { extractText } = {}) => {
+  const { value } = await mammoth.extractRawText(Buffer.isBuffer(source) ? { buffer: source } : { path: source });
   const wordCount = value.split(/\s+/).filter((word) => word.length > 0).length;
   const charCount = value.length;
-  return { wordCount, charCount };
+  return extractText ? { wordCount, charCount, text: plainText(value, extractText) } : { wordCount, charCount };
 };
 
 /**
  * Reads a text file and extracts basic statistics.
- * @param {string} filepath - The path to the text file.
+ * @param {fileSource} source - The path to the text file, or its content.
+ * @param {handlerContext} [context]
  * @returns {Promise<textData>} A promise that resolves to the text file metadata.
  */
-const handleText = async (filepath) => {
-  const content = await fs.readFile(filepath, "utf-8");
+const handleText = async (source, { extractText } = {}) => {
+  const content = (await readSource(source)).toString("utf-8");
   const lines = content.split("\n");
-  return {
+  const result = {
     lines: lines.length,
     charCount: content.length,
     firstLine: lines[0].substring(0, 100),
   };
+  if (extractText) {
+    result.text = plainText(content, extractText);
+  }
+  return result;
 };
 
 /**
- * A fallback handler that uses the system's 'file' command to get generic information.
- * @param {string} filepath - The path to the binary file.
- * @returns {Promise<binaryData>} A promise that resolves to the file's platform info.
+ * Counts the rows and columns of a CSV (or, for `text/tab-separated-values`, TSV) file.
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * @param {fileSource} source - The path to the file, or its content.
+ * @param {handlerContext} context
+ * @returns {Promise<csvData>}
+ */
+const handleCsv = async (source, { mimeType, extractText }) => {
+  const content = (await readSource(source)).toString("utf-8").replace(/^\uFEFF/, "");
+  const delimiter = mimeType === "text/tab-separated-values" ? "\t" : ",";
+  let header = null;
+  let rows = 0;
+  let columns = 0;
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let blank = true;
+
+  const endRow = () => {
+    if (!blank) {
+      fields.push(field);
+      columns = Math.max(columns, fields.length);
+      if (header) rows++;
+      else header = fields;
+    }
+    fields = [];
+    field = "";
+    blank = true;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (content[i + 1] === '"') field += content[++i];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+      blank = false;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+      blank = false;
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+      blank = false;
+    }
+  }
+  endRow();
+  const result = { rows, columns, header: header || [] };
+  if (extractText) {
+    result.text = plainText(content, extractText);
+  }
+  return result;
+};
+
+/**
+ * Keeps the totals of an archive listing and its first entries.
+ * @param {string} archiveFormat
+ * @returns {{add: function(object): void, summary: archiveData}}
+ */
+const archiveSummary = (archiveFormat) => {
+  const summary = {
+    archiveFormat,
+    entryCount: 0,
+    fileCount: 0,
+    compressedSize: 0,
+    uncompressedSize: 0,
+    entries: [],
+    entriesTruncated: false,
+  };
+  const add = ({ name, size, compressedSize, directory }) => {
+    summary.entryCount++;
+    if (!directory) summary.fileCount++;
+    summary.uncompressedSize += size;
+    if (compressedSize !== undefined) summary.compressedSize += compressedSize;
+    if (summary.entries.length < MAX_LISTED_ENTRIES) {
+      summary.entries.push(compressedSize === undefined ? { name, size, directory } : { name, size, compressedSize, directory });
+    } else {
+      summary.entriesTruncated = true;
+    }
+  };
+  return { add, summary };
+};
+
+/**
+ * Lists a ZIP, TAR or gzipped TAR archive. ZIP archives are listed from their central directory,
+ * TAR archives are read as a stream, skipping over the entry contents.
+ * @param {fileSource} source - The path to the archive, or its content.
+ * @param {handlerContext} context
+ * @returns {Promise<archiveData|{archiveFormat: string}>}
  */
-const handleBinary = async (filepath) => {
+const handleArchive = async (source, { mimeType, signal }) => {
+  const gzipped = mimeType.endsWith("gzip");
+  if (!gzipped && mimeType.includes("zip")) {
+    const { add, summary } = archiveSummary("zip");
+    (await withReader(source, listZip)).forEach(add);
+    return summary;
+  }
+
+  const { add, summary } = archiveSummary(gzipped ? "tar.gz" : "tar");
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : createReadStream(source);
+  const stream = gzipped ? input.pipe(zlib.createGunzip()) : input;
+  input.on("error", (err) => stream.destroy(err));
+  const onAbort = () => stream.destroy(new Error("Archive listing was aborted."));
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
   try {
-    const { stdout } = await execPromise(`file "${filepath}"`);
-    const platformInfo = stdout.split(": ")[1].trim();
-    return { platformInfo };
+    await listTar(stream, add);
   } catch (error) {
-    console.warn(
-      `'file' command failed to run. Check if it's installed and in your PATH.`,
-    );
-    return { platformInfo: "unknown" };
+    if (gzipped && error.code === "ENOTTAR") {
+      return { archiveFormat: "gzip" };
+    }
+    throw error;
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+    input.destroy();
+    stream.destroy();
+  }
+  summary.compressedSize = await sizeOfSource(source);
+  return summary;
+};
+
+/**
+ * Reads one XML part of an OpenDocument file (a ZIP package).
+ * @param {fileSource} source
+ * @param {string} name - The part name, e.g. 'content.xml'.
+ * @returns {Promise<string>}
+ */
+const readOdfPart = (source, name) =>
+  withReader(source, async (reader) => {
+    const entry = (await listZip(reader)).find((candidate) => candidate.name === name);
+    if (!entry) {
+      throw new Error(`OpenDocument file has no '${name}'.`);
+    }
+    return (await readEntry(reader, entry, DEFAULT_MAX_SIZE)).toString("utf8");
+  });
+
+const decodeXml = (text) =>
+  text.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    const named = { lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" }[entity.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+
+/**
+ * Extracts the text of OpenDocument XML, one line per paragraph or heading.
+ * @param {string} xml
+ * @returns {string}
+ */
+const odfText = (xml) =>
+  decodeXml(
+    xml
+      .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (match, count) => " ".repeat(Number(count || 1)))
+      .replace(/<text:(?:tab|line-break)\s*\/>/g, (match) => (match.includes("tab") ? "\t" : "\n"))
+      .replace(/<\/text:(?:p|h)>/g, "\n")
+      .replace(/<[^>]*>/g, ""),
+  ).trim();
+
+/**
+ * Counts the words and characters of an OpenDocument text (ODT), like the Word handler.
+ * @param {fileSource} source - The path to the file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<wordData>}
+ */
+const handleOdt = async (source, { extractText } = {}) => {
+  const xml = await readOdfPart(source, "content.xml");
+  const text = odfText(xml.slice(Math.max(0, xml.indexOf("<office:text"))));
+  const result = { wordCount: text.split(/\s+/).filter((word) => word.length > 0).length, charCount: text.length };
+  if (extractText) {
+    result.text = plainText(text, extractText);
+  }
+  return result;
+};
+
+/**
+ * Lists the sheets of an OpenDocument spreadsheet (ODS), like the Excel handler.
+ * @param {fileSource} source - The path to the file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<excelData>}
+ */
+const handleOds = async (source, { extractText } = {}) => {
+  if (extractText) {
+    // xlsx reads OpenDocument spreadsheets too
+    return handleExcel(source, { extractText });
+  }
+  const xml = await readOdfPart(source, "content.xml");
+  const sheetNames = [...xml.matchAll(/<table:table\s[^>]*?table:name="([^"]*)"/g)].map((match) => decodeXml(match[1]));
+  return { sheets: sheetNames.length, sheetNames };
+};
+
+/**
+ * Counts the slides of an OpenDocument presentation (ODP), like the PowerPoint handler.
+ * @param {fileSource} source - The path to the file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<powerPointData>}
+ */
+const handleOdp = async (source, { extractText } = {}) => {
+  const xml = await readOdfPart(source, "content.xml");
+  const pages = xml.match(/<draw:page(?=[\s>/])[^>]*?(?:\/>|>[\s\S]*?<\/draw:page>)/g) || [];
+  const result = { slidesCount: pages.length };
+  if (extractText) {
+    result.text = sectionedText("slides", pages.map(odfText), extractText);
   }
+  return result;
 };
 
 /**
- * A map of MIME type prefixes to their corresponding metadata handler functions.
- * @type {Object<string, Function>}
+ * A fallback handler that uses the system's 'file' command to get generic information.
+ * @param {fileSource} source - The path to the binary file, or its content.
+ * @param {handlerContext} [context]
+ * @returns {Promise<binaryData>} A promise that resolves to the file's platform info.
  */
-const handlers = {
-  "image/": handleImage,
-  "video/": handleMedia,
-  "audio/": handleMedia,
-  "application/pdf": handlePdf,
-  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": handleExcel,
-  "application/vnd.ms-excel": handleExcel,
-  "application/vnd.openxmlformats-officedocument.presentationml.presentation": handlePowerPoint,
-  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": handleWord,
-  "text/": handleText,
+const handleBinary = async (source, { signal } = {}) => {
+  const { stdout } = await runOnSource("file", (input) => ["-b", "--", input], source, "-", signal);
+  return { platformInfo: stdout.trim() };
+};
+
+/**
+ * Context handed to a handler next to the file source.
+ * @typedef {object} handlerContext
+ * @property {string} mimeType - The MIME type the handler was chosen for.
+ * @property {AbortSignal} signal - Aborted when the handler times out. Pass it to child processes and requests.
+ * @property {{maxLength: number}|null} extractText - Set when the caller asked for the text of the document, see {@link module:metadata/text}.
+ */
+
+/**
+ * @typedef {object} handlerOptions
+ * @property {string} [name] - The name used to select the handler, defaults to the MIME prefix.
+ * @property {number} [timeout=10000] - Milliseconds after which the handler's result is dropped.
+ * @property {number} [maxSize] - Files larger than this many bytes are skipped by the handler.
+ */
+
+/**
+ * @typedef {object} metadataOptions
+ * @property {boolean|string[]} [handlers=true] - `false` skips extraction, an array only runs the handlers with these names
+ * (built-in: 'image', 'media', 'pdf', 'excel', 'powerPoint', 'word', 'odt', 'ods', 'odp', 'csv', 'archive', 'text', 'binary').
+ * @property {string} [mimeType] - Overrides the MIME type used to choose the handler.
+ * @property {number} [timeout] - Overrides the handler's timeout.
+ * @property {number} [maxSize] - Overrides the handler's size cap.
+ * @property {boolean|module:metadata/text~textOptions} [extractText=false] - Adds the normalized plain `text` of documents
+ * and text files, capped to `maxLength` characters.
+ */
+
+/**
+ * Registered handlers. The longest matching MIME prefix wins, the latest registration on a tie.
+ * @type {{mimePrefix: string, name: string, extract: Function, timeout?: number, maxSize?: number}[]}
+ */
+const registry = [];
+
+/**
+ * Used when no registered prefix matches.
+ * @type {{name: string, extract: Function}}
+ */
+const fallbackHandler = { name: "binary", extract: handleBinary };
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Registers a metadata handler for a MIME type (`application/pdf`) or prefix (`image/`). A handler
+ * registered for the same prefix replaces the previous one, including the built-in ones.
+ * @param {string} mimePrefix - The MIME type or prefix the handler applies to.
+ * @param {function(fileSource, handlerContext): Promise<object>} handler - Resolves to the properties merged into the metadata.
+ * @param {handlerOptions} [options]
+ */
+const register = (mimePrefix, handler, options = {}) => {
+  if (typeof mimePrefix !== "string" || mimePrefix.trim() === "") {
+    throw new TypeError("The MIME prefix of a metadata handler must be a non-empty string.");
+  }
+  if (typeof handler !== "function") {
+    throw new TypeError(`The metadata handler for '${mimePrefix}' must be a function.`);
+  }
+  const { name = mimePrefix, timeout, maxSize } = options;
+  for (const [key, value] of [["timeout", timeout], ["maxSize", maxSize]]) {
+    if (value !== undefined && !isPositiveInteger(value)) {
+      throw new TypeError(`The ${key} of the '${name}' metadata handler must be a positive integer.`);
+    }
+  }
+  const prefix = mimePrefix.toLowerCase();
+  const existing = registry.findIndex((entry) => entry.mimePrefix === prefix);
+  if (existing !== -1) {
+    registry.splice(existing, 1);
+  }
+  registry.push({ mimePrefix: prefix, name, extract: handler, timeout, maxSize });
+};
+
+register("image/", handleImage, { name: "image", maxSize: DEFAULT_MAX_SIZE });
+register("video/", handleMedia, { name: "media" });
+register("audio/", handleAudio, { name: "media" });
+register("application/pdf", handlePdf, { name: "pdf", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", handleExcel, { name: "excel", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.ms-excel", handleExcel, { name: "excel", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.openxmlformats-officedocument.presentationml.presentation", handlePowerPoint, { name: "powerPoint", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.openxmlformats-officedocument.wordprocessingml.document", handleWord, { name: "word", maxSize: DEFAULT_MAX_SIZE });
+register("text/", handleText, { name: "text", maxSize: 10 * 1024 * 1024 });
+register("text/csv", handleCsv, { name: "csv", maxSize: 10 * 1024 * 1024 });
+register("application/csv", handleCsv, { name: "csv", maxSize: 10 * 1024 * 1024 });
+register("text/tab-separated-values", handleCsv, { name: "csv", maxSize: 10 * 1024 * 1024 });
+register("application/zip", handleArchive, { name: "archive" });
+register("application/x-zip-compressed", handleArchive, { name: "archive" });
+register("application/x-tar", handleArchive, { name: "archive" });
+register("application/gzip", handleArchive, { name: "archive" });
+register("application/x-gzip", handleArchive, { name: "archive" });
+register("application/vnd.oasis.opendocument.text", handleOdt, { name: "odt", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.oasis.opendocument.spreadsheet", handleOds, { name: "ods", maxSize: DEFAULT_MAX_SIZE });
+register("application/vnd.oasis.opendocument.presentation", handleOdp, { name: "odp", maxSize: DEFAULT_MAX_SIZE });
+
+/**
+ * Finds the handler for a MIME type.
+ * @param {string} mimeType
+ * @returns {object} The registered entry, or the fallback handler.
+ */
+const findHandler = (mimeType) => {
+  let best = null;
+  for (const entry of registry) {
+    if (mimeType.startsWith(entry.mimePrefix) && (!best || entry.mimePrefix.length >= best.mimePrefix.length)) {
+      best = entry;
+    }
+  }
+  return best || fallbackHandler;
+};
+
+/**
+ * Runs a handler, giving up after `timeout` milliseconds. The handler's signal is aborted so
+ * child processes it started are killed.
+ * @returns {Promise<object>}
+ */
+const runHandler = async (entry, source, mimeType, timeout, extractText) => {
+  const controller = new AbortController();
+  let timer;
+  try {
+    return await Promise.race([
+      entry.extract(source, { mimeType, signal: controller.signal, extractText }),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`'${entry.name}' handler timed out after ${timeout}ms`));
+        }, timeout);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
 };
 
 /**
  * Fetches metadata for a given file. It first tries to determine the file type and then
  * uses the appropriate handler. If no specific handler is found, it uses a fallback handler.
- * @param {string} filepath - The path to the file.
+ * A handler that fails, times out or is skipped leaves only the `mimeType`. A missing external tool
+ * is reported as `metadataError: { code: 'TOOL_NOT_FOUND', tool, message }`.
+ * @param {fileSource} source - The path to the file, or its content for files kept in memory.
  * @param {string} [mimeType] - Optional MIME type to bypass file type detection.
+ * @param {metadataOptions} [options]
  * @returns {Promise<object>} A promise that resolves to an object containing the file's metadata.
  */
-const getMetadata = async (filepath, mimeType) => {
+const getMetadata = async (source, mimeType, options = {}) => {
+  const { handlers: selected = true, timeout, maxSize } = options;
+  if (selected !== true && selected !== false && !Array.isArray(selected)) {
+    throw new TypeError("metadata handlers must be true, false or an array of handler names.");
+  }
+  const extractText = normalizeTextOptions(options.extractText);
   let metadata = { mimeType: mimeType || "application/octet-stream" };
+  if (selected === false) {
+    return metadata;
+  }
   try {
     if (metadata.mimeType === "application/octet-stream") {
-      const buffer = await fs.readFile(filepath);
-      const fileType = await fileTypeFromBuffer(buffer);
-      if (fileType) {
-        metadata.mimeType = fileType.mime;
+      // The magic bytes are enough to identify the type, large files are never read whole
+      const detected = Buffer.isBuffer(source)
+        ? await sniffMimeType(source.subarray(0, SNIFF_BYTES))
+        : await sniffFile(source);
+      if (detected) {
+        metadata.mimeType = detected;
       }
     }
-    const handlerKey = Object.keys(handlers).find(
-      (key) => metadata.mimeType === key || metadata.mimeType.startsWith(key),
-    );
-    const handler = handlers[handlerKey];
-    if (handler) {
-      const handlerMetadata = await handler(filepath);
-      metadata = { ...metadata, ...handlerMetadata };
-    } else {
-      const handlerMetadata = await handleBinary(filepath);
-      metadata = { ...metadata, ...handlerMetadata };
+    const entry = findHandler(metadata.mimeType);
+    if (Array.isArray(selected) && !selected.includes(entry.name)) {
+      return metadata;
+    }
+    const sizeCap = maxSize !== undefined ? maxSize : entry.maxSize;
+    if (sizeCap && (await sizeOfSource(source)) > sizeCap) {
+      return metadata;
     }
+    const handlerMetadata = await runHandler(
+      entry,
+      source,
+      metadata.mimeType,
+      timeout || entry.timeout || DEFAULT_TIMEOUT,
+      extractText,
+    );
+    metadata = { ...metadata, ...handlerMetadata };
   } catch (error) {
-    console.warn(`Error extracting metadata for file '${filepath}': ${error.message}`);
+    if (isToolNotFound(error)) {
+      return { ...metadata, metadataError: toolNotFound(error) };
+    }
+    const name = Buffer.isBuffer(source) ? `<${source.length} bytes in memory>` : source;
+    console.warn(`Error extracting metadata for file '${name}': ${error.message}`);
     return metadata;
   }
   return metadata;
 };
 
-module.exports = getMetadata;
+/**
+ * @typedef {object} metadataSettings
+ * @property {string} [ffprobePath] - The `ffprobe` binary used for audio and video, a name looked up in `PATH` or an absolute path.
+ * @property {string} [filePath] - The `file` binary used for unknown types.
+ * @property {number} [concurrency=4] - How many external tools may run at once.
+ * @property {number} [processTimeout=10000] - Milliseconds before an external tool is killed.
+ * @property {number} [maxOutput=1048576] - Bytes of output read from an external tool before it is killed.
+ */
+
+/**
+ * Configures the external tools behind the built-in handlers. Exposed as `Uxio.metadata.configure`.
+ * @param {metadataSettings} settings
+ */
+const configure = (settings = {}) => {
+  const { ffprobePath, filePath, concurrency, processTimeout, maxOutput } = settings;
+  for (const [key, value] of [["ffprobePath", ffprobePath], ["filePath", filePath]]) {
+    if (value !== undefined && (typeof value !== "string" || value.trim() === "")) {
+      throw new TypeError(`${key} must be a non-empty string.`);
+    }
+  }
+  configureRunner({ concurrency, timeout: processTimeout, maxOutput });
+  if (ffprobePath) tools.ffprobe = ffprobePath;
+  if (filePath) tools.file = filePath;
+};
+
+/**
+ * Extracts the metadata of an uploaded file, or of a path or Buffer. Exposed as `Uxio.metadata`.
+ * @example
+ * const info = await Uxio.metadata(req.uxio.files[0], { handlers: ['image'], timeout: 2000 });
+ * Uxio.metadata.register('application/x-sqlite3', async (source) => ({ tables: await countTables(source) }), { name: 'sqlite' });
+ * @param {object|fileSource} file - A `UxioFile`, a path or a Buffer.
+ * @param {metadataOptions} [options]
+ * @returns {Promise<object>}
+ */
+const metadata = (file, options = {}) => {
+  const isSource = typeof file === "string" || Buffer.isBuffer(file);
+  const source = isSource ? file : file.buffer || file.tempFilePath;
+  return getMetadata(source, options.mimeType || (isSource ? undefined : file.mimeType), options);
+};
+metadata.register = register;
+metadata.configure = configure;
+
+module.exports = { getMetadata, metadata };
@@ -0,0 +1,233 @@
+// src/metadata/audio-tags.js
+
+/**
+ * @module metadata/audio-tags
+ * @description Reads ID3 (MP3) and Vorbis comment (FLAC, Ogg Vorbis, Opus) tags, and whether cover art is embedded.
+ */
+
+/**
+ * ID3v2 tags larger than this are only partly read (cover art is detected from frame headers).
+ * @type {number}
+ */
+const MAX_TAG_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Bytes read from the start of Ogg streams to find the comment header.
+ * @type {number}
+ */
+const OGG_HEAD_BYTES = 256 * 1024;
+
+/**
+ * ID3v2 frame ids (v2.3/v2.4 and v2.2) of the reported tags.
+ * @type {Object<string, string>}
+ */
+const ID3_FRAMES = {
+  TIT2: "title", TT2: "title",
+  TPE1: "artist", TP1: "artist",
+  TPE2: "albumArtist", TP2: "albumArtist",
+  TALB: "album", TAL: "album",
+  TYER: "year", TYE: "year", TDRC: "year",
+  TRCK: "track", TRK: "track",
+  TCON: "genre", TCO: "genre",
+};
+
+/**
+ * Vorbis comment fields of the reported tags.
+ * @type {Object<string, string>}
+ */
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUMARTIST: "albumArtist",
+  ALBUM: "album",
+  DATE: "year",
+  TRACKNUMBER: "track",
+  GENRE: "genre",
+};
+
+const syncsafe = (buffer, at) => (buffer[at] << 21) | (buffer[at + 1] << 14) | (buffer[at + 2] << 7) | buffer[at + 3];
+
+// ID3 text frames start with an encoding byte: latin1, UTF-16 with BOM, UTF-16BE or UTF-8
+const decodeId3Text = (data) => {
+  const encoding = data[0];
+  let body = data.subarray(1);
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let bigEndian = encoding === 2;
+    if (body[0] === 0xfe && body[1] === 0xff) {
+      bigEndian = true;
+      body = body.subarray(2);
+    } else if (body[0] === 0xff && body[1] === 0xfe) {
+      body = body.subarray(2);
+    }
+    const le = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+    if (bigEndian) le.swap16();
+    text = le.toString("utf16le");
+  } else {
+    text = body.toString(encoding === 3 ? "utf8" : "latin1");
+  }
+  return text.replace(/\0[\s\S]*$/, "").trim();
+};
+
+/**
+ * Reads an ID3v2 tag at the start of the file.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{tags: object, coverArt: boolean, tagFormat: string}|null>}
+ */
+const readId3v2 = async (reader) => {
+  const header = await reader.read(0, 10);
+  if (header.length < 10 || header.toString("latin1", 0, 3) !== "ID3") return null;
+  const version = header[3];
+  const flags = header[5];
+  const tagSize = syncsafe(header, 6);
+  const tag = await reader.read(10, Math.min(tagSize, MAX_TAG_SIZE));
+
+  let position = 0;
+  if (flags & 0x40 && version >= 3) {
+    position = version === 4 ? syncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+  }
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const tags = {};
+  let coverArt = false;
+
+  while (position + headerLength <= tagSize) {
+    const frameHeader =
+      position + headerLength <= tag.length ? tag.subarray(position, position + headerLength) : await reader.read(10 + position, headerLength);
+    const id = frameHeader.toString("latin1", 0, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+    const size =
+      version === 2
+        ? frameHeader.readUIntBE(3, 3)
+        : version === 4
+          ? syncsafe(frameHeader, 4)
+          : frameHeader.readUInt32BE(4);
+    const start = position + headerLength;
+    if (id === "APIC" || id === "PIC") {
+      coverArt = true;
+    } else if (ID3_FRAMES[id] && start + size <= tag.length) {
+      const value = decodeId3Text(tag.subarray(start, start + size));
+      if (value) tags[ID3_FRAMES[id]] = value;
+    }
+    position = start + size;
+  }
+  return { tags, coverArt, tagFormat: `ID3v2.${version}` };
+};
+
+/**
+ * Reads an ID3v1 tag in the last 128 bytes of the file.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{tags: object, coverArt: boolean, tagFormat: string}|null>}
+ */
+const readId3v1 = async (reader) => {
+  if (reader.size < 128) return null;
+  const tag = await reader.read(reader.size - 128, 128);
+  if (tag.toString("latin1", 0, 3) !== "TAG") return null;
+  const field = (start, length) => tag.toString("latin1", start, start + length).replace(/\0[\s\S]*$/, "").trim();
+  const tags = {};
+  for (const [key, start, length] of [["title", 3, 30], ["artist", 33, 30], ["album", 63, 30], ["year", 93, 4]]) {
+    const value = field(start, length);
+    if (value) tags[key] = value;
+  }
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (tag[125] === 0 && tag[126] !== 0) tags.track = String(tag[126]);
+  return { tags, coverArt: false, tagFormat: "ID3v1" };
+};
+
+/**
+ * Parses a Vorbis comment block: a vendor string then `KEY=value` comments.
+ * @param {Buffer} block
+ * @returns {{tags: object, coverArt: boolean}}
+ */
+const parseVorbisComment = (block) => {
+  const tags = {};
+  let coverArt = false;
+  let position = 4 + block.readUInt32LE(0);
+  const count = block.readUInt32LE(position);
+  position += 4;
+  for (let i = 0; i < count && position + 4 <= block.length; i++) {
+    const length = block.readUInt32LE(position);
+    const comment = block.toString("utf8", position + 4, position + 4 + length);
+    position += 4 + length;
+    const separator = comment.indexOf("=");
+    const key = comment.slice(0, separator).toUpperCase();
+    if (key === "METADATA_BLOCK_PICTURE" || key === "COVERART") {
+      coverArt = true;
+    } else if (VORBIS_FIELDS[key] && !tags[VORBIS_FIELDS[key]]) {
+      tags[VORBIS_FIELDS[key]] = comment.slice(separator + 1).trim();
+    }
+  }
+  return { tags, coverArt };
+};
+
+/**
+ * Reads the metadata blocks of a FLAC file.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{tags: object, coverArt: boolean, tagFormat: string}|null>}
+ */
+const readFlac = async (reader) => {
+  if ((await reader.read(0, 4)).toString("latin1") !== "fLaC") return null;
+  const result = { tags: {}, coverArt: false, tagFormat: "Vorbis" };
+  let position = 4;
+  while (position + 4 <= reader.size) {
+    const header = await reader.read(position, 4);
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    if (type === 4) {
+      const comment = parseVorbisComment(await reader.read(position + 4, length));
+      result.tags = comment.tags;
+      result.coverArt = result.coverArt || comment.coverArt;
+    } else if (type === 6) {
+      result.coverArt = true;
+    }
+    position += 4 + length;
+    if (header[0] & 0x80) break;
+  }
+  return result;
+};
+
+/**
+ * Finds the comment header in the first packets of an Ogg Vorbis or Opus stream.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{tags: object, coverArt: boolean, tagFormat: string}|null>}
+ */
+const readOgg = async (reader) => {
+  const head = await reader.read(0, OGG_HEAD_BYTES);
+  if (head.toString("latin1", 0, 4) !== "OggS") return null;
+  const packets = [];
+  let packet = [];
+  let position = 0;
+  while (position + 27 <= head.length && head.toString("latin1", position, position + 4) === "OggS" && packets.length < 2) {
+    const segments = head[position + 26];
+    let data = position + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const lacing = head[position + 27 + i];
+      packet.push(head.subarray(data, data + lacing));
+      data += lacing;
+      if (lacing < 255) {
+        packets.push(Buffer.concat(packet));
+        packet = [];
+      }
+    }
+    position = data;
+  }
+  const comment = packets[1];
+  if (!comment) return null;
+  if (comment.toString("latin1", 0, 7) === "\x03vorbis") {
+    return { ...parseVorbisComment(comment.subarray(7)), tagFormat: "Vorbis" };
+  }
+  if (comment.toString("latin1", 0, 8) === "OpusTags") {
+    return { ...parseVorbisComment(comment.subarray(8)), tagFormat: "Vorbis" };
+  }
+  return null;
+};
+
+/**
+ * Reads the tags of an audio file, trying each supported container.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{tags: object, coverArt: boolean, tagFormat: string}|null>} Null when the file has no tags.
+ */
+const readAudioTags = async (reader) =>
+  (await readId3v2(reader)) || (await readFlac(reader)) || (await readOgg(reader)) || (await readId3v1(reader));
+
+module.exports = { readAudioTags };
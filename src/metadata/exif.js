@@ -0,0 +1,129 @@
+// src/metadata/exif.js
+
+/**
+ * @module metadata/exif
+ * @description Reads the camera, capture and GPS fields of an EXIF block (a TIFF structure).
+ */
+
+/**
+ * Byte size of each TIFF field type, by type id.
+ * @type {Object<number, number>}
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * IFD0 and Exif sub-IFD tags that are reported, by tag id.
+ * @type {Object<number, string>}
+ */
+const TAGS = {
+  0x010f: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+  0x0131: "software",
+  0x0132: "dateTime",
+  0x829a: "exposureTime",
+  0x829d: "fNumber",
+  0x8827: "iso",
+  0x9003: "dateTimeOriginal",
+  0x920a: "focalLength",
+  0xa434: "lensModel",
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+/**
+ * Reads the entries of one IFD.
+ * @returns {Map<number, *>} Values keyed by tag id. Single values are unwrapped, rationals become numbers.
+ */
+const readIfd = (tiff, offset, little) => {
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const s32 = (at) => (little ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+  const values = new Map();
+  if (offset + 2 > tiff.length) return values;
+
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const length = u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+    const dataOffset = size * length > 4 ? u32(entry + 8) : entry + 8;
+    if (dataOffset + size * length > tiff.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = tiff.toString("latin1", dataOffset, dataOffset + length).replace(/\0[\s\S]*$/, "").trim();
+    } else {
+      const items = [];
+      for (let n = 0; n < Math.min(length, 16); n++) {
+        const at = dataOffset + n * size;
+        if (type === 1 || type === 7) items.push(tiff[at]);
+        else if (type === 3) items.push(u16(at));
+        else if (type === 4) items.push(u32(at));
+        else if (type === 9) items.push(s32(at));
+        else if (type === 5) items.push(u32(at + 4) ? u32(at) / u32(at + 4) : null);
+        else if (type === 10) items.push(s32(at + 4) ? s32(at) / s32(at + 4) : null);
+      }
+      value = items.length === 1 ? items[0] : items;
+    }
+    values.set(tag, value);
+  }
+  return values;
+};
+
+// EXIF dates are 'YYYY:MM:DD HH:MM:SS' without a time zone
+const toIsoDate = (value) => {
+  const match = typeof value === "string" && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : value;
+};
+
+// Degrees, minutes and seconds to signed decimal degrees
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some((part) => part === null)) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === "S" || ref === "W" ? -degrees : degrees) * 1e6) / 1e6;
+};
+
+/**
+ * Parses an EXIF block, with or without its `Exif\0\0` prefix.
+ * @param {Buffer} buffer
+ * @returns {{exif: object, gps: object|null}|null} The known fields, or null when the block is not valid TIFF.
+ */
+const parseExif = (buffer) => {
+  const tiff = buffer.subarray(0, 6).toString("latin1") === "Exif\0\0" ? buffer.subarray(6) : buffer;
+  if (tiff.length < 8) return null;
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return null;
+  const little = order === "II";
+  const ifd0Offset = little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+  const ifd0 = readIfd(tiff, ifd0Offset, little);
+  const exifIfd = typeof ifd0.get(EXIF_IFD_POINTER) === "number" ? readIfd(tiff, ifd0.get(EXIF_IFD_POINTER), little) : new Map();
+  const exif = {};
+  for (const [tag, value] of [...ifd0, ...exifIfd]) {
+    if (TAGS[tag] && value !== "" && value !== null) {
+      exif[TAGS[tag]] = tag === 0x0132 || tag === 0x9003 ? toIsoDate(value) : Array.isArray(value) ? value[0] : value;
+    }
+  }
+
+  let gps = null;
+  if (typeof ifd0.get(GPS_IFD_POINTER) === "number") {
+    const gpsIfd = readIfd(tiff, ifd0.get(GPS_IFD_POINTER), little);
+    const latitude = toDegrees(gpsIfd.get(2), gpsIfd.get(1));
+    const longitude = toDegrees(gpsIfd.get(4), gpsIfd.get(3));
+    if (latitude !== null && longitude !== null) {
+      gps = { latitude, longitude };
+      if (typeof gpsIfd.get(6) === "number") {
+        gps.altitude = gpsIfd.get(5) === 1 ? -gpsIfd.get(6) : gpsIfd.get(6);
+      }
+    }
+  }
+  return { exif, gps };
+};
+
+module.exports = { parseExif };
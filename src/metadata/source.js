@@ -0,0 +1,44 @@
+// src/metadata/source.js
+const fs = require("fs");
+
+/**
+ * @module metadata/source
+ * @description Random access to a file source, so parsers read only the parts they need.
+ */
+
+/**
+ * @typedef {object} sourceReader
+ * @property {number} size - The size of the source in bytes.
+ * @property {function(number, number): Promise<Buffer>} read - Reads `length` bytes at `position` (fewer at the end).
+ */
+
+/**
+ * Runs `fn` with a reader over a path or a Buffer, closing the file afterwards.
+ * @param {string|Buffer} source
+ * @param {function(sourceReader): Promise<*>} fn
+ * @returns {Promise<*>} What `fn` resolves to.
+ */
+const withReader = async (source, fn) => {
+  if (Buffer.isBuffer(source)) {
+    return fn({
+      size: source.length,
+      read: async (position, length) => source.subarray(position, position + length),
+    });
+  }
+  const handle = await fs.promises.open(source, "r");
+  try {
+    const { size } = await handle.stat();
+    return await fn({
+      size,
+      read: async (position, length) => {
+        const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+        return buffer.subarray(0, bytesRead);
+      },
+    });
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { withReader };
@@ -0,0 +1,112 @@
+// src/metadata/tar.js
+
+/**
+ * @module metadata/tar
+ * @description Lists TAR archives (ustar, GNU and pax) from a stream, skipping over the file contents.
+ */
+
+const BLOCK = 512;
+
+/**
+ * Long names (GNU 'L' entries, pax 'path' records) longer than this are refused.
+ * @type {number}
+ */
+const MAX_NAME_RECORD = 1024 * 1024;
+
+// Sizes are octal text, or base-256 when the high bit of the first byte is set
+const readSize = (header) => {
+  if (header[124] & 0x80) {
+    let size = 0;
+    for (let i = 125; i < 136; i++) size = size * 256 + header[i];
+    return size;
+  }
+  return parseInt(header.toString("latin1", 124, 136).replace(/\0.*$/s, "").trim() || "0", 8);
+};
+
+const readString = (header, start, end) => header.toString("utf8", start, end).replace(/\0.*$/s, "");
+
+// The checksum is the byte sum of the header with its own field read as spaces
+const validChecksum = (header) => {
+  const expected = parseInt(header.toString("latin1", 148, 156).replace(/\0.*$/s, "").trim(), 8);
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 32 : header[i];
+  return sum === expected;
+};
+
+/**
+ * @typedef {object} tarEntry
+ * @property {string} name - The path of the entry inside the archive.
+ * @property {number} size - The size of the entry's content in bytes.
+ * @property {boolean} directory - True for directory entries.
+ */
+
+const notTar = () => Object.assign(new Error("Not a TAR archive."), { code: "ENOTTAR" });
+
+/**
+ * Lists the entries of a TAR stream. Reading stops at the end-of-archive marker.
+ * @param {AsyncIterable<Buffer>} stream
+ * @param {function(tarEntry): void} onEntry - Called for each regular entry, directory or link.
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'ENOTTAR' when the stream does not start with a TAR header.
+ */
+const listTar = async (stream, onEntry) => {
+  let pending = Buffer.alloc(0);
+  let skip = 0;
+  let record = null; // collects the content of a long name entry
+  let longName = null;
+  let first = true;
+
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    while (true) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, pending.length);
+        if (record) {
+          const kept = Math.min(skipped, record.remaining);
+          record.data.push(pending.subarray(0, kept));
+          record.remaining -= kept;
+        }
+        pending = pending.subarray(skipped);
+        skip -= skipped;
+        if (skip > 0) break;
+      }
+      if (record) {
+        const content = Buffer.concat(record.data).toString("utf8");
+        longName = record.type === "x"
+          ? (content.match(/(?:^|\n)\d+ path=([^\n]*)\n/) || [])[1] || null
+          : content.replace(/\0.*$/s, "");
+        record = null;
+      }
+      if (pending.length < BLOCK) break;
+      const header = pending.subarray(0, BLOCK);
+      pending = pending.subarray(BLOCK);
+      if (header.every((byte) => byte === 0)) {
+        return;
+      }
+      if (!validChecksum(header)) {
+        if (first) throw notTar();
+        throw new Error("Corrupted TAR header.");
+      }
+      first = false;
+
+      const size = readSize(header);
+      const type = String.fromCharCode(header[156] || 48);
+      skip = Math.ceil(size / BLOCK) * BLOCK;
+      if (type === "L" || type === "x") {
+        if (size > MAX_NAME_RECORD) throw new Error("TAR long name record is too large.");
+        record = { type, data: [], remaining: size };
+        continue;
+      }
+      if (type === "g") {
+        continue;
+      }
+      const prefix = header.toString("latin1", 257, 262) === "ustar" ? readString(header, 345, 500) : "";
+      const name = longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+      longName = null;
+      onEntry({ name, size: type === "0" || type === "\0" || type === "7" ? size : 0, directory: type === "5" });
+    }
+  }
+  if (first) throw notTar();
+};
+
+module.exports = { listTar };
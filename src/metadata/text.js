@@ -0,0 +1,135 @@
+// src/metadata/text.js
+
+/**
+ * @module metadata/text
+ * @description Normalizes extracted document text and caps its length, for the `extractText` option.
+ */
+
+/**
+ * Characters of text returned when `extractText` does not set `maxLength`.
+ * @type {number}
+ */
+const DEFAULT_MAX_LENGTH = 1000000;
+
+/**
+ * @typedef {object} textOptions
+ * @property {number} [maxLength=1000000] - The maximum number of characters of `text.content`.
+ */
+
+/**
+ * @typedef {object} extractedText
+ * @property {string} content - The whole text, with sections separated by a blank line.
+ * @property {boolean} truncated - True when text was dropped to stay within `maxLength`.
+ * @property {string[]} [pages] - The text of each PDF page.
+ * @property {string[]} [slides] - The text of each slide.
+ * @property {{name: string, rows: string[][]}[]} [sheets] - The non-empty rows of each sheet, as cell strings.
+ */
+
+/**
+ * Validates an `extractText` option.
+ * @param {boolean|textOptions} [extractText]
+ * @returns {{maxLength: number}|null} Null when text is not wanted.
+ * @throws {TypeError}
+ */
+const normalizeTextOptions = (extractText) => {
+  if (extractText === undefined || extractText === false) return null;
+  if (extractText === true) return { maxLength: DEFAULT_MAX_LENGTH };
+  if (extractText && typeof extractText === "object" && !Array.isArray(extractText)) {
+    const { maxLength = DEFAULT_MAX_LENGTH } = extractText;
+    if (Number.isInteger(maxLength) && maxLength > 0) {
+      return { maxLength };
+    }
+  }
+  throw new TypeError("extractText must be true, false or { maxLength } with a positive integer.");
+};
+
+/**
+ * Turns extracted text into plain text: NFC, `\n` line breaks, no control characters, single
+ * spaces, trimmed lines and at most one blank line in a row.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) =>
+  String(text)
+    .normalize("NFC")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, "")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Builds the `text` of a document without sections.
+ * @param {string} text
+ * @param {{maxLength: number}} options
+ * @returns {extractedText}
+ */
+const plainText = (text, { maxLength }) => {
+  const content = normalizeText(text);
+  return { content: content.slice(0, maxLength), truncated: content.length > maxLength };
+};
+
+/**
+ * Builds the `text` of a document made of pages or slides. Sections after the cap are dropped
+ * and the last kept one is cut.
+ * @param {string} key - 'pages' or 'slides'.
+ * @param {string[]} sections
+ * @param {{maxLength: number}} options
+ * @returns {extractedText}
+ */
+const sectionedText = (key, sections, { maxLength }) => {
+  const kept = [];
+  let length = 0;
+  let truncated = false;
+  for (const section of sections) {
+    const text = normalizeText(section);
+    const separator = length > 0 && text ? 2 : 0;
+    if (length + separator + text.length > maxLength) {
+      kept.push(text.slice(0, Math.max(0, maxLength - length - separator)));
+      truncated = true;
+      break;
+    }
+    kept.push(text);
+    length += separator + text.length;
+  }
+  return { content: kept.filter(Boolean).join("\n\n"), truncated, [key]: kept };
+};
+
+/**
+ * Builds the `text` of a spreadsheet: one line per row with tab separated cells, one section per
+ * sheet. Rows after the cap are dropped.
+ * @param {{name: string, rows: Array<Array<*>>}[]} sheets
+ * @param {{maxLength: number}} options
+ * @returns {extractedText}
+ */
+const sheetText = (sheets, { maxLength }) => {
+  const kept = [];
+  const sections = [];
+  let length = 0;
+  let truncated = false;
+  for (const { name, rows } of sheets) {
+    const sheet = { name, rows: [] };
+    const lines = [];
+    kept.push(sheet);
+    for (const row of rows) {
+      const cells = row.map((cell) => normalizeText(cell === null || cell === undefined ? "" : cell).replace(/\s+/g, " "));
+      const line = cells.join("\t");
+      if (!line.trim()) continue;
+      // A new sheet is separated by a blank line, a new row by a line break
+      const separator = length === 0 ? 0 : lines.length === 0 ? 2 : 1;
+      if (length + separator + line.length > maxLength) {
+        truncated = true;
+        break;
+      }
+      sheet.rows.push(cells);
+      lines.push(line);
+      length += separator + line.length;
+    }
+    if (lines.length) sections.push(lines.join("\n"));
+    if (truncated) break;
+  }
+  return { content: sections.join("\n\n"), truncated, sheets: kept };
+};
+
+module.exports = { DEFAULT_MAX_LENGTH, normalizeTextOptions, normalizeText, plainText, sectionedText, sheetText };
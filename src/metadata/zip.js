@@ -0,0 +1,142 @@
+// src/metadata/zip.js
+const zlib = require("zlib");
+
+/**
+ * @module metadata/zip
+ * @description Lists ZIP archives from their central directory and reads single entries. Used for
+ * archive listings and for the ZIP based office formats.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+
+/**
+ * Central directories larger than this are refused rather than loaded in memory.
+ * @type {number}
+ */
+const MAX_DIRECTORY_SIZE = 32 * 1024 * 1024;
+
+/**
+ * @typedef {object} zipEntry
+ * @property {string} name - The path of the entry inside the archive.
+ * @property {number} size - The uncompressed size in bytes.
+ * @property {number} compressedSize - The stored size in bytes.
+ * @property {number} method - The compression method (0 stored, 8 deflate).
+ * @property {number} offset - Where the entry's local header starts.
+ * @property {boolean} directory - True for directory entries.
+ */
+
+/**
+ * Locates the central directory, following the ZIP64 records when the classic fields are saturated.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<{offset: number, size: number}>}
+ */
+const findDirectory = async (reader) => {
+  const tailLength = Math.min(reader.size, 22 + 0xffff);
+  const tailStart = reader.size - tailLength;
+  const tail = await reader.read(tailStart, tailLength);
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error("Not a ZIP archive (no end of central directory record).");
+  }
+  let size = tail.readUInt32LE(end + 12);
+  let offset = tail.readUInt32LE(end + 16);
+  if ((offset === 0xffffffff || size === 0xffffffff) && end >= 20 && tail.readUInt32LE(end - 20) === ZIP64_LOCATOR) {
+    const record = await reader.read(Number(tail.readBigUInt64LE(end - 12)), 56);
+    if (record.length === 56 && record.readUInt32LE(0) === ZIP64_END_OF_DIRECTORY) {
+      size = Number(record.readBigUInt64LE(40));
+      offset = Number(record.readBigUInt64LE(48));
+    }
+  }
+  return { offset, size };
+};
+
+/**
+ * Lists the entries of a ZIP archive without decompressing anything.
+ * @param {module:metadata/source~sourceReader} reader
+ * @returns {Promise<zipEntry[]>}
+ */
+const listZip = async (reader) => {
+  const { offset, size } = await findDirectory(reader);
+  if (size > MAX_DIRECTORY_SIZE) {
+    throw new Error(`ZIP central directory of ${size} bytes is too large.`);
+  }
+  const directory = await reader.read(offset, size);
+  const entries = [];
+  let position = 0;
+  while (position + 46 <= directory.length && directory.readUInt32LE(position) === CENTRAL_HEADER) {
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameStart = position + 46;
+    // Bit 11 marks UTF-8 names, older archives use code page 437 (read as latin1)
+    const name = directory.toString(flags & 0x800 ? "utf8" : "latin1", nameStart, nameStart + nameLength);
+    const entry = {
+      name,
+      size: directory.readUInt32LE(position + 24),
+      compressedSize: directory.readUInt32LE(position + 20),
+      method: directory.readUInt16LE(position + 10),
+      offset: directory.readUInt32LE(position + 42),
+      directory: name.endsWith("/"),
+    };
+
+    // ZIP64 extra field: the saturated values follow in a fixed order
+    let extra = nameStart + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        for (const key of ["size", "compressedSize", "offset"]) {
+          if (entry[key] === 0xffffffff && field + 8 <= extra + 4 + length) {
+            entry[key] = Number(directory.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+      }
+      extra += 4 + length;
+    }
+
+    entries.push(entry);
+    position = extraEnd + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * Reads and decompresses one entry.
+ * @param {module:metadata/source~sourceReader} reader
+ * @param {zipEntry} entry
+ * @param {number} maxSize - Entries declaring or inflating to more bytes fail.
+ * @returns {Promise<Buffer>}
+ */
+const readEntry = async (reader, entry, maxSize) => {
+  if (entry.size > maxSize) {
+    throw new Error(`'${entry.name}' is larger than ${maxSize} bytes.`);
+  }
+  const header = await reader.read(entry.offset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER) {
+    throw new Error(`Invalid local header for '${entry.name}'.`);
+  }
+  const data = await reader.read(entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28), entry.compressedSize);
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+  }
+  throw new Error(`Unsupported compression method ${entry.method} for '${entry.name}'.`);
+};
+
+module.exports = { listZip, readEntry };
@@ -0,0 +1,727 @@
+// src/parser.js
+
+const busboy = require("busboy");
+const crypto = require("crypto");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+const { ERROR_CODES, FileSaveError, UploadLimitError, UploadFieldError } = require("./errors");
+const { SNIFF_BYTES, sniffMimeType } = require("./content-type");
+const { sanitizeFilename, safeExtension } = require("./sanitize");
+const { createDigest, normalizeAlgorithms, parseContentDigest, matchesDigest } = require("./checksums");
+const { UPLOAD_ID, uploadIdOf, trackUpload } = require("./progress");
+const { normalizeBodyOptions, decodeField, assignField } = require("./body");
+const { normalizeStreamConfigs, createStreamingSend } = require("./streaming");
+const { normalizeScanOptions, scanFile } = require("./scan");
+
+/**
+ * @module parser
+ * @description The framework-agnostic core of Uxio: parses the `multipart/form-data` body of a Node
+ * `IncomingMessage` into a {@link UxioObject}. The Express middleware and the Koa, Fastify and
+ * `node:http` adapters are thin wrappers around it.
+ */
+
+/**
+ * Uxio captures file(s) for a specific route, creates file object(s), places them in the uxio.files array
+ * (`req.uxio.files` in Express)
+ * 
+ * @typedef {object} UxioFile 
+ * @property {string} fieldname - The name of the form field.
+ * @property {string} filename - The name of the file sent by the client, sanitized to a single safe path segment.
+ * @property {string} originalFilename - The name exactly as sent by the client. Never use it to build paths.
+ * @property {string} encoding - The encoding of the file.
+ * @property {string} mimeType - The MIME type of the file.
+ * @property {string} claimedMimeType - The MIME type declared by the client in the multipart headers.
+ * @property {string|null} detectedMimeType - The MIME type detected from the file's magic bytes, or null if it has no known signature.
+ * @property {string|null} tempFilePath - The full path to the temporary file on the disk, or null for files kept in memory.
+ * @property {Buffer|null} [buffer] - The content of files kept in memory ('memory' and 'hybrid' storage), null once spilled to disk.
+ * @property {number} size - The size of the file in bytes.
+ * @property {boolean} truncated - True when the file was cut at `limits.fileSize` (the request is then rejected).
+ * @property {boolean} complete - True once every byte of the file is flushed to the temp cache (or, for streamed files, accepted by every provider).
+ * @property {boolean} [streamed] - True for files piped straight to a provider by `options.send`. They have no `tempFilePath` nor `buffer`.
+ * @property {Object<string, string>} [checksums] - Hex digests of the file keyed by algorithm, when `options.checksums` is set.
+ */
+
+/**
+ * This is the uxio file object passed in the req.uxio (`ctx.uxio` in Koa, `request.uxio` in Fastify), It give yiu control of the uploaded file in the tempCache.
+ * It is an `EventEmitter` reporting the upload as it streams in:
+ * - `fileStart` (file: UxioFile) - a file part began.
+ * - `progress` ({bytesReceived, bytesExpected, percent}) - more of the request body was received. `bytesExpected`
+ *   is the `Content-Length` (null for chunked bodies) and `percent` is null when it is unknown.
+ * - `fileEnd` (file: UxioFile) - a file was fully written to the temp cache, or fully uploaded when it is streamed.
+ * - `finish` (files: UxioFile[]) - the whole body was parsed, right before `next()` (the parse resolves).
+ * - `abort` (err: Error) - parsing stopped on an error, right before `next(err)` (the parse rejects).
+ * 
+ * @typedef {EventEmitter} UxioObject
+ * @property {function(): boolean} hasFile - Checks if any file was uploaded in the request.
+ *
+ * @property {function} hasFiles - Checks if files with specific field names exist.
+ * @param {string|string[]} fieldNames - The name(s) of the file field(s) to check for.
+ * @returns {boolean} True if any of the specified file fields exist, otherwise false.
+ *
+ * @property {UxioFile[]} files - An array of objects, each representing an uploaded file.
+ * @property {{fieldname: string, valueTruncated: boolean, nameTruncated: boolean, encoding: string, mimeType: string}[]} fields -
+ * The non-file fields in order, with busboy's truncation flags.
+ * @property {object[]} sent - The results of the files streamed by `options.send`, shaped like the results of `files.send()`.
+ * @property {object} body - The non-file fields, decoded as described by `options.body`. The adapters expose it as the request body.
+ * @property {function(): void} cleanup - Manually cleans up the temporary cache directory.
+ */
+
+/**
+ * Limits enforced while the request is being parsed. Every limit is optional; when one is
+ * exceeded, writing to the temp cache stops immediately, the partial files are removed and an
+ * `UploadLimitError` (status 413) is passed to `next(err)`.
+ *
+ * @typedef {object} UxioLimits
+ * @property {number} [fileSize] - Maximum size of a single file in bytes.
+ * @property {number} [files] - Maximum number of files in a request.
+ * @property {number} [fields] - Maximum number of non-file fields in a request.
+ * @property {number} [fieldSize] - Maximum size of a single field value in bytes.
+ * @property {number} [totalSize] - Maximum size of the whole request body in bytes.
+ */
+
+/**
+ * The expected shape of one file field. Parts that do not match are discarded before anything is
+ * written to the temp cache and an `UploadFieldError` is passed to `next(err)`.
+ *
+ * @typedef {object} UxioFieldSchema
+ * @property {number} [maxCount] - Maximum number of files in the field.
+ * @property {boolean} [required=false] - Fail when the request has no file in the field.
+ * @property {string|string[]} [mimeType] - Allowed MIME types, as declared by the client (e.g. `['image/png']` or `'image/png,image/jpeg'`).
+ * @property {number} [maxSize] - Maximum size of each file in the field, in bytes.
+ */
+
+/**
+ * Where uploaded files are kept while the route runs.
+ * @type {string[]}
+ * @private
+ */
+const STORAGE_MODES = ["disk", "memory", "hybrid"];
+
+/**
+ * Validates the `fields` option and normalizes the allowed MIME types to arrays.
+ * @param {Object<string, UxioFieldSchema>} fields
+ * @returns {Object<string, UxioFieldSchema>}
+ * @private
+ */
+const normalizeFields = (fields) => {
+  if (typeof fields !== "object" || Array.isArray(fields)) {
+    throw new TypeError("The 'fields' option must be an object keyed by field name.");
+  }
+  // Field names come from the client, so lookups must not reach Object.prototype
+  const schema = Object.create(null);
+  for (const [fieldname, rules] of Object.entries(fields)) {
+    const { maxCount, required = false, mimeType, maxSize } = rules || {};
+    for (const [name, value] of [["maxCount", maxCount], ["maxSize", maxSize]]) {
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new TypeError(`fields.${fieldname}.${name} must be a positive integer.`);
+      }
+    }
+    schema[fieldname] = {
+      maxCount,
+      required: Boolean(required),
+      mimeType: mimeType
+        ? Array.isArray(mimeType) ? mimeType : String(mimeType).split(",").map((m) => m.trim())
+        : null,
+      maxSize,
+    };
+  }
+  return schema;
+};
+
+/**
+ * Checks a file part against the schema of its field before anything is written.
+ * @param {UxioFieldSchema|undefined} rules The schema of the field, undefined for unexpected fields.
+ * @param {string} fieldname The field of the part.
+ * @param {number} count How many files the field had so far, this one included.
+ * @param {string} mimeType The MIME type declared for the part.
+ * @param {string} filename The sanitized file name.
+ * @returns {UploadFieldError|null}
+ * @private
+ */
+const schemaViolation = (rules, fieldname, count, mimeType, filename) => {
+  if (!rules) {
+    return new UploadFieldError(`Unexpected file field '${fieldname}'.`, fieldname, "unexpectedField", 400, { filename });
+  }
+  if (rules.maxCount && count > rules.maxCount) {
+    return new UploadFieldError(`Too many files in field '${fieldname}', the limit is ${rules.maxCount}.`, fieldname, "maxCount", 400, {
+      filename,
+      limit: rules.maxCount,
+    });
+  }
+  if (rules.mimeType && !rules.mimeType.includes(mimeType)) {
+    return new UploadFieldError(
+      `Invalid file type '${mimeType}' for '${filename}' in field '${fieldname}'. Only ${rules.mimeType.join(", ")} are allowed.`,
+      fieldname,
+      "mimeType",
+      415,
+      { filename, limit: rules.mimeType },
+    );
+  }
+  return null;
+};
+
+/**
+ * The options shared by the Express middleware, the adapters and {@link createParser}.
+ *
+ * @typedef {object} UxioOptions
+ * @property {UxioLimits} [limits] - Streaming limits applied while parsing.
+ * @property {boolean|module:body~bodyOptions} [body] - How non-file fields are turned into `req.body`: repeated keys
+ * as arrays, bracket/dot notation as nested objects and JSON parts decoded. `true` enables arrays and nesting.
+ * @property {string} [storage='disk'] - Where files are kept: 'disk' (temp cache), 'memory' (a Buffer on `file.buffer`)
+ * or 'hybrid' (in memory up to `memoryThreshold`, then spilled to disk).
+ * @property {number} [memoryThreshold=1048576] - In 'hybrid' mode, files larger than this many bytes are written to disk.
+ * @property {Object<string, UxioFieldSchema>} [fields] - The file fields the route expects. When set, file parts in any
+ * other field are rejected. Non-file fields are not affected.
+ * @property {string|string[]} [checksums] - Digests computed while each file streams ('sha256', 'md5', 'crc32', 'sha1', 'sha512').
+ * A form field named `<fieldname>.<algorithm>` (hex or base64) is verified against the file(s) of that field, in order.
+ * A `Content-Digest` (sha-256, sha-512) or `Content-MD5` request header is always verified against the request body.
+ * @property {boolean|{ttl: number}} [progress] - Record the progress of requests carrying an `X-Upload-Id` header
+ * (or `uploadId` query parameter) so `Uxio.progress()` can serve it. `ttl` (default 60000) is how long, in milliseconds,
+ * finished uploads stay readable.
+ * @property {module:streaming~streamConfig|module:streaming~streamConfig[]} [send] - Pipe the files of these fields straight
+ * to a provider while the request is received, skipping storage. The route runs once every upload succeeded; when one fails,
+ * the others are stopped and the finished ones removed again.
+ * @property {module:scan~Scanner|module:scan~scanOptions} [scan] - Scan every file for malware before the route runs
+ * (streamed files while they upload). An infected file passes an `InfectedFileError` (422) to `next(err)` and is moved to
+ * `scan.quarantine` when set; a failing scanner passes a `FileSaveError` (503).
+ */
+
+/**
+ * What a parse is given besides the request.
+ *
+ * @typedef {object} parseOptions
+ * @property {import('http').ServerResponse} [response] - The response of the request. Needed to record the progress of the upload.
+ * @property {object} [body] - An object the non-file fields are assigned to instead of a new one, e.g. a body another parser filled.
+ * @property {function(UxioObject): void} [onStart] - Called with the uxio object as soon as it is created, before any byte is
+ * parsed, e.g. to expose it on the request or subscribe to its events.
+ */
+
+/**
+ * Whether a request carries a body Uxio parses: a `multipart/form-data` POST.
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+const isMultipart = (req) =>
+  req.method === "POST" &&
+  Boolean(req.headers["content-type"]) &&
+  req.headers["content-type"].startsWith("multipart/form-data");
+
+/**
+ * Creates an empty {@link UxioObject}. The multipart parser and `Uxio.tus()` fill it the same way, so
+ * routes see the same object whichever way the files arrived.
+ * @param {function(): void} cleanup Removes the files of the request.
+ * @param {object} [body] The object the non-file fields are assigned to.
+ * @returns {UxioObject}
+ */
+const createUxioObject = (cleanup, body = {}) =>
+  // Property descriptors keep the getter live on the emitter
+  Object.defineProperties(new EventEmitter(), Object.getOwnPropertyDescriptors({
+    get hasFile() {
+      return this.files.length > 0;
+    },
+    hasFiles(fieldNames) {
+      if (Array.isArray(fieldNames)) {
+        return this.files.some((file) => fieldNames.includes(file.fieldname));
+      } else if (typeof fieldNames === "string") {
+        return this.files.some((file) => file.fieldname === fieldNames);
+      }
+      return false;
+    },
+    files: [],
+    fields: [],
+    sent: [],
+    body,
+    cleanup,
+  }));
+
+/**
+ * Removes the temp cache of a uxio object once the response is finished or closed.
+ * @param {UxioObject} uxio
+ * @param {import('http').ServerResponse} response
+ * @returns {void}
+ */
+const cleanupOnResponse = (uxio, response) => {
+  response.on("finish", () => {
+    uxio.cleanup();
+  });
+  response.on("close", () => {
+    uxio.cleanup();
+  });
+};
+
+/**
+ * Creates the parser used by every adapter. The options are checked once, here; the returned
+ * function parses one request. It does not touch the request object nor the response, so cleaning
+ * up the temp cache once the response is done (see {@link cleanupOnResponse}) is left to the caller.
+ *
+ * @example
+ * const parse = Uxio.createParser({ limits: { fileSize: 5 * 1024 * 1024 } });
+ * http.createServer(async (req, res) => {
+ *   const uxio = await parse(req, { response: res });
+ *   // uxio is null when the request is not a multipart POST
+ * });
+ *
+ * @param {UxioOptions} [options]
+ * @returns {function(import('http').IncomingMessage, parseOptions=): Promise<UxioObject|null>} Resolves once the whole body
+ * was parsed, every file flushed, streamed and scanned, and rejects with the error that stopped parsing. Requests that are
+ * not a multipart POST resolve to null and are left unread.
+ */
+const createParser = (options = {}) => {
+  const limits = options.limits || {};
+  const checksumAlgorithms = normalizeAlgorithms(options.checksums);
+  const progressOptions = options.progress === true ? {} : options.progress || null;
+  const fieldSchema = options.fields ? normalizeFields(options.fields) : null;
+  const bodyOptions = normalizeBodyOptions(options.body);
+  const streamConfigs = options.send ? normalizeStreamConfigs(options.send) : null;
+  const scanOptions = options.scan ? normalizeScanOptions(options.scan) : null;
+  const { storage = "disk", memoryThreshold = 1024 * 1024 } = options;
+  if (!STORAGE_MODES.includes(storage)) {
+    throw new TypeError(`Unsupported storage '${storage}'. Expected one of: ${STORAGE_MODES.join(", ")}.`);
+  }
+  if (!(Number.isInteger(memoryThreshold) && memoryThreshold >= 0)) {
+    throw new TypeError("memoryThreshold must be a non-negative integer.");
+  }
+
+  // busboy reports a limit as soon as the counter *reaches* it, so give it one extra byte
+  // to only flag content that is actually over the configured size.
+  const busboyLimits = {};
+  for (const key of ["fileSize", "files", "fields", "fieldSize", "parts", "fieldNameSize", "headerPairs"]) {
+    if (typeof limits[key] === "number") {
+      busboyLimits[key] = key === "fileSize" || key === "fieldSize" ? limits[key] + 1 : limits[key];
+    }
+  }
+
+  return (req, { response, body, onStart } = {}) => {
+    if (!isMultipart(req)) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const contentLength = parseInt(req.headers["content-length"], 10);
+      if (limits.totalSize && contentLength > limits.totalSize) {
+        reject(
+          new UploadLimitError(`Request body exceeds the limit of ${limits.totalSize} bytes.`, "totalSize", 413, { max: limits.totalSize }),
+        );
+        return;
+      }
+
+      const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+
+      const tempCacheDir = path.join(os.tmpdir(), `.uxio-cache-${requestId}`);
+      // Created on the first write, so requests kept in memory never touch the filesystem
+      const ensureTempCacheDir = () => fs.mkdirSync(tempCacheDir, { recursive: true });
+
+      const uxio = createUxioObject(() => {
+        if (fs.existsSync(tempCacheDir)) {
+          fs.rmSync(tempCacheDir, { recursive: true, force: true });
+          console.log(`Cleaned up temp directory: ${tempCacheDir}`);
+        }
+      }, body || {});
+
+      const bytesExpected = Number.isNaN(contentLength) ? null : contentLength;
+      const uploadId = progressOptions && uploadIdOf(req);
+      if (uploadId && UPLOAD_ID.test(uploadId) && response) {
+        trackUpload(uploadId, uxio, response, { bytesExpected, ttl: progressOptions.ttl });
+      }
+      if (onStart) {
+        onStart(uxio);
+      }
+
+      let bb;
+      try {
+        bb = busboy({ headers: req.headers, limits: busboyLimits });
+      } catch (err) {
+        uxio.cleanup();
+        reject(new FileSaveError(`Invalid multipart request: ${err.message}`, 400, { code: ERROR_CODES.MALFORMED_REQUEST }));
+        return;
+      }
+      const streaming = streamConfigs && createStreamingSend(streamConfigs);
+      const writeStreams = new Set();
+      const scanStreams = new Set();
+      const pendingSniffs = [];
+      const pendingWrites = [];
+      let aborted = false;
+      let parsed = false;
+
+      // Stops parsing at the first violated limit or failure: no more bytes reach the temp cache,
+      // partially written files are dropped and the parse rejects with the error.
+      const abort = (err) => {
+        if (aborted || parsed) return;
+        aborted = true;
+        req.unpipe(bb);
+        req.resume();
+        for (const writeStream of writeStreams) {
+          writeStream.destroy();
+        }
+        for (const scanStream of scanStreams) {
+          scanStream.destroy();
+        }
+        if (streaming) {
+          streaming.abort(err);
+        }
+        uxio.cleanup();
+        uxio.emit("abort", err);
+        reject(err);
+      };
+
+      // Digests the client declared for the whole body
+      const expectedBodyDigests = parseContentDigest(req.headers["content-digest"]);
+      if (req.headers["content-md5"]) {
+        expectedBodyDigests.md5 = Buffer.from(req.headers["content-md5"], "base64").toString("hex");
+      }
+      const bodyDigests = Object.keys(expectedBodyDigests).map((algorithm) => [algorithm, createDigest(algorithm)]);
+      const expectedFileDigests = [];
+      const fileCounts = Object.create(null);
+
+      let receivedBytes = 0;
+      req.on("data", (chunk) => {
+        for (const [, digest] of bodyDigests) {
+          digest.update(chunk);
+        }
+        receivedBytes += chunk.length;
+        if (limits.totalSize && receivedBytes > limits.totalSize) {
+          abort(new UploadLimitError(`Request body exceeds the limit of ${limits.totalSize} bytes.`, "totalSize", 413, { max: limits.totalSize }));
+          return;
+        }
+        if (!aborted) {
+          uxio.emit("progress", {
+            bytesReceived: receivedBytes,
+            bytesExpected,
+            percent: bytesExpected ? Math.min(100, Math.floor((receivedBytes / bytesExpected) * 100)) : null,
+          });
+        }
+      });
+
+      // Returns an error for the first declared digest that does not match the received bytes
+      const verifyDigests = () => {
+        for (const [algorithm, digest] of bodyDigests) {
+          if (!matchesDigest(expectedBodyDigests[algorithm], digest.digest())) {
+            return new FileSaveError(`Request body does not match its ${algorithm} digest.`, 400, { code: ERROR_CODES.DIGEST_MISMATCH });
+          }
+        }
+        for (const { fieldname, algorithm, value, index } of expectedFileDigests) {
+          const file = uxio.files.filter((f) => f.fieldname === fieldname)[index];
+          if (!file) {
+            return new FileSaveError(`A ${algorithm} digest was sent for a missing file in field '${fieldname}'.`, 400, {
+              code: ERROR_CODES.DIGEST_MISMATCH,
+              field: fieldname,
+            });
+          }
+          if (!matchesDigest(value, file.checksums[algorithm])) {
+            return new FileSaveError(`File '${file.filename}' in field '${fieldname}' does not match its ${algorithm} digest.`, 400, {
+              code: ERROR_CODES.DIGEST_MISMATCH,
+              field: fieldname,
+              filename: file.filename,
+            });
+          }
+        }
+        return null;
+      };
+
+      bb.on("filesLimit", () => {
+        abort(new UploadLimitError(`Too many files, the limit is ${limits.files}.`, "files", 413, { max: limits.files }));
+      });
+
+      bb.on("fieldsLimit", () => {
+        abort(new UploadLimitError(`Too many fields, the limit is ${limits.fields}.`, "fields", 413, { max: limits.fields }));
+      });
+
+      bb.on("partsLimit", () => {
+        abort(new UploadLimitError(`Too many parts, the limit is ${limits.parts}.`, "parts", 413, { max: limits.parts }));
+      });
+
+      bb.on("file", (fieldname, file, info) => {
+        if (aborted) {
+          file.resume();
+          return;
+        }
+        const { filename: originalFilename, encoding, mimeType } = info;
+        const filename = sanitizeFilename(originalFilename);
+
+        // Parts that break the schema are drained without touching the temp cache
+        const rules = fieldSchema && fieldSchema[fieldname];
+        fileCounts[fieldname] = (fileCounts[fieldname] || 0) + 1;
+        const violation = fieldSchema && schemaViolation(rules, fieldname, fileCounts[fieldname], mimeType, filename);
+        if (violation) {
+          file.resume();
+          abort(violation);
+          return;
+        }
+
+        file.on("error", (err) => abort(new FileSaveError(`Failed to read '${filename}' from the request: ${err.message}`, 400, { code: ERROR_CODES.MALFORMED_REQUEST, field: fieldname, filename })));
+
+        const uxioFile = {
+          fieldname,
+          filename,
+          originalFilename,
+          encoding,
+          mimeType,
+          claimedMimeType: mimeType,
+          detectedMimeType: null,
+          tempFilePath: null,
+          ...(storage !== "disk" && { buffer: null }),
+          size: 0,
+          truncated: false,
+          complete: false,
+        };
+        const destinations = streaming ? streaming.match(fieldname) : [];
+        if (destinations.length > 0) {
+          uxioFile.streamed = true;
+        }
+        uxio.files.push(uxioFile);
+        uxio.emit("fileStart", uxioFile);
+
+        const markComplete = () => {
+          if (aborted) return;
+          uxioFile.complete = true;
+          uxio.emit("fileEnd", uxioFile);
+        };
+
+        // Chunks of a file kept in memory, null once the file is on disk
+        let chunks = storage === "disk" || uxioFile.streamed ? null : [];
+        let writeStream = null;
+
+        // Streams the file to the temp cache: from the first byte on disk, past the threshold in hybrid mode
+        const spill = () => {
+          try {
+            ensureTempCacheDir();
+          } catch (err) {
+            chunks = null;
+            file.resume();
+            abort(new FileSaveError(`Failed to create the temp cache for '${filename}': ${err.message}`, 500));
+            return;
+          }
+          // Temp names are generated, only a plain extension is kept for tools that rely on it
+          uxioFile.tempFilePath = path.join(
+            tempCacheDir,
+            `${crypto.randomUUID()}${safeExtension(filename)}`,
+          );
+          const stream = fs.createWriteStream(uxioFile.tempFilePath);
+          writeStream = stream;
+          writeStreams.add(stream);
+          pendingWrites.push(
+            new Promise((resolve) => {
+              stream.on("close", () => {
+                writeStreams.delete(stream);
+                resolve();
+              });
+            }),
+          );
+          stream.on("error", (err) => abort(new FileSaveError(`Failed to write '${filename}' to the temp cache: ${err.message}`, 500)));
+          stream.on("finish", markComplete);
+          for (const chunk of chunks || []) {
+            stream.write(chunk);
+          }
+          chunks = null;
+          file.pipe(stream);
+        };
+
+        // Drops whatever was received when the file breaks a limit
+        const discard = () => {
+          chunks = null;
+          if (writeStream) {
+            file.unpipe(writeStream);
+            writeStream.destroy();
+          }
+          file.resume();
+        };
+
+        file.on("limit", () => {
+          uxioFile.truncated = true;
+          discard();
+          abort(
+            new UploadLimitError(
+              `File '${filename}' in field '${fieldname}' exceeds the limit of ${limits.fileSize} bytes.`,
+              "fileSize",
+              413,
+              { max: limits.fileSize, field: fieldname, filename },
+            ),
+          );
+        });
+
+        // Keep only the leading bytes needed to identify the real content type
+        const head = [];
+        let headLength = 0;
+        let sniffed = false;
+        const sniff = () => {
+          if (sniffed) return;
+          sniffed = true;
+          pendingSniffs.push(
+            sniffMimeType(Buffer.concat(head, headLength))
+              .then((detected) => {
+                uxioFile.detectedMimeType = detected;
+              })
+              .catch(() => {}),
+          );
+        };
+        file.on("end", sniff);
+
+        const digests = checksumAlgorithms.map((algorithm) => [algorithm, createDigest(algorithm)]);
+        if (digests.length > 0) {
+          file.on("end", () => {
+            uxioFile.checksums = Object.fromEntries(digests.map(([algorithm, digest]) => [algorithm, digest.digest()]));
+          });
+        }
+
+        file.on("end", () => {
+          if (chunks) {
+            uxioFile.buffer = Buffer.concat(chunks, uxioFile.size);
+            chunks = null;
+            markComplete();
+          }
+        });
+
+        file.on("data", (data) => {
+          if (rules && rules.maxSize && uxioFile.size + data.length > rules.maxSize) {
+            discard();
+            abort(
+              new UploadFieldError(
+                `File '${filename}' in field '${fieldname}' exceeds the limit of ${rules.maxSize} bytes.`,
+                fieldname,
+                "maxSize",
+                413,
+                { filename, limit: rules.maxSize },
+              ),
+            );
+            return;
+          }
+          for (const [, digest] of digests) {
+            digest.update(data);
+          }
+          if (!sniffed) {
+            head.push(data);
+            headLength += data.length;
+            if (headLength >= SNIFF_BYTES) sniff();
+          }
+          uxioFile.size += data.length;
+          if (chunks) {
+            chunks.push(data);
+            if (storage === "hybrid" && uxioFile.size > memoryThreshold) {
+              spill();
+            }
+          }
+        });
+
+        if (uxioFile.streamed) {
+          const tasks = [streaming.start(uxioFile, file, destinations)];
+          // Streamed files are scanned on the fly, a detection removes the uploads that already finished
+          if (scanOptions) {
+            const scanStream = new PassThrough();
+            scanStreams.add(scanStream);
+            scanStream.on("close", () => scanStreams.delete(scanStream));
+            file.pipe(scanStream);
+            tasks.push(scanFile(uxioFile, scanOptions, scanStream));
+          }
+          pendingWrites.push(
+            Promise.all(tasks).then(
+              ([results]) => {
+                uxio.sent.push(...results);
+                markComplete();
+              },
+              (err) => {
+                file.resume();
+                abort(err);
+              },
+            ),
+          );
+        } else if (storage === "disk") {
+          spill();
+        }
+      });
+
+      bb.on("field", (fieldname, val, info) => {
+        if (aborted) return;
+        uxio.fields.push({
+          fieldname,
+          valueTruncated: info.valueTruncated,
+          nameTruncated: info.nameTruncated,
+          encoding: info.encoding,
+          mimeType: info.mimeType,
+        });
+        if (limits.fieldSize && info.valueTruncated) {
+          abort(
+            new UploadLimitError(`Field '${fieldname}' exceeds the limit of ${limits.fieldSize} bytes.`, "fieldSize", 413, {
+              max: limits.fieldSize,
+              field: fieldname,
+            }),
+          );
+          return;
+        }
+        const [digestField, digestAlgorithm] = fieldname.split(/\.(?=[^.]+$)/);
+        if (digestAlgorithm && checksumAlgorithms.includes(digestAlgorithm.toLowerCase())) {
+          const index = expectedFileDigests.filter(
+            (d) => d.fieldname === digestField && d.algorithm === digestAlgorithm.toLowerCase(),
+          ).length;
+          expectedFileDigests.push({ fieldname: digestField, algorithm: digestAlgorithm.toLowerCase(), value: val, index });
+        }
+        let value;
+        try {
+          value = decodeField(fieldname, val, info, bodyOptions);
+        } catch (err) {
+          abort(err);
+          return;
+        }
+        assignField(uxio.body, fieldname, value, bodyOptions);
+      });
+
+      bb.on("close", () => {
+        if (aborted) return;
+        const missing = fieldSchema && Object.keys(fieldSchema).find((f) => fieldSchema[f].required && !fileCounts[f]);
+        if (missing) {
+          abort(new UploadFieldError(`Field '${missing}' requires a file.`, missing, "required"));
+          return;
+        }
+        const missingStreams = streaming ? streaming.missing(uxio.files) : [];
+        if (missingStreams.length > 0) {
+          abort(
+            new FileSaveError(`Required files not found for fields: ${missingStreams.join(", ")}.`, 404, {
+              code: ERROR_CODES.REQUIRED_MISSING,
+              field: missingStreams.length === 1 ? missingStreams[0] : missingStreams,
+              rule: "required",
+            }),
+          );
+          return;
+        }
+        const digestError = verifyDigests();
+        if (digestError) {
+          abort(digestError);
+          return;
+        }
+        // The route only runs once every temp file is flushed and closed, and every streamed upload settled
+        Promise.all([...pendingSniffs, ...pendingWrites]).then(async () => {
+          if (aborted) return;
+          if (scanOptions) {
+            try {
+              for (const file of uxio.files.filter((f) => !f.streamed)) {
+                await scanFile(file, scanOptions);
+              }
+            } catch (err) {
+              abort(err);
+              return;
+            }
+          }
+          if (aborted) return;
+          parsed = true;
+          uxio.emit("finish", uxio.files);
+          resolve(uxio);
+        });
+      });
+
+      bb.on("error", (err) => abort(new FileSaveError(`Malformed multipart body: ${err.message}`, 400, { code: ERROR_CODES.MALFORMED_REQUEST })));
+      req.on("error", (err) => abort(new FileSaveError(`Failed to read the request: ${err.message}`, 400, { code: ERROR_CODES.MALFORMED_REQUEST })));
+      req.on("close", () => {
+        if (!req.complete) {
+          abort(new FileSaveError("The client aborted the upload.", 400, { code: ERROR_CODES.UPLOAD_ABORTED }));
+        }
+      });
+
+      req.pipe(bb);
+    });
+  };
+};
+
+module.exports = { isMultipart, createUxioObject, cleanupOnResponse, createParser };
+
@@ -0,0 +1,167 @@
+// src/process-runner.js
+const { spawn } = require("child_process");
+
+/**
+ * @module process-runner
+ * @description Runs external tools without a shell: arguments are passed as an array, so file
+ * names can never be interpreted as shell syntax. Every run has a timeout and an output cap, and
+ * only a limited number of processes run at once.
+ */
+
+/**
+ * @typedef {object} runnerOptions
+ * @property {number} [concurrency=4] How many processes may run at the same time. Later runs wait in line.
+ * @property {number} [timeout=10000] Milliseconds before a process is killed.
+ * @property {number} [maxOutput=1048576] Bytes of stdout (and of stderr) kept before a process is killed.
+ */
+
+/**
+ * @typedef {object} runOptions
+ * @property {Buffer} [input] Written to the process's stdin.
+ * @property {number} [timeout] Overrides the runner's timeout.
+ * @property {number} [maxOutput] Overrides the runner's output cap.
+ * @property {AbortSignal} [signal] Kills the process when aborted.
+ */
+
+/**
+ * Raised when a process cannot be started, fails, times out or writes too much.
+ * `code` is 'ENOENT' (the binary was not found), 'ETIMEDOUT', 'EMAXOUTPUT', 'ABORT_ERR' or 'EEXIT'.
+ */
+class ProcessError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code
+   * @param {string} command The binary that was run.
+   */
+  constructor(message, code, command) {
+    super(message);
+    this.name = "ProcessError";
+    this.code = code;
+    this.command = command;
+  }
+}
+
+const settings = { concurrency: 4, timeout: 10000, maxOutput: 1024 * 1024 };
+let running = 0;
+const waiting = [];
+
+/**
+ * Changes the runner settings. Runs already started keep their limits.
+ * @param {runnerOptions} options
+ */
+const configureRunner = (options = {}) => {
+  for (const key of ["concurrency", "timeout", "maxOutput"]) {
+    if (options[key] === undefined) continue;
+    if (!(Number.isInteger(options[key]) && options[key] > 0)) {
+      throw new TypeError(`${key} must be a positive integer.`);
+    }
+    settings[key] = options[key];
+  }
+  drain();
+};
+
+// Starts queued runs while there are free slots
+const drain = () => {
+  while (running < settings.concurrency && waiting.length > 0) {
+    running++;
+    waiting.shift()();
+  }
+};
+
+const acquire = () =>
+  new Promise((resolve) => {
+    waiting.push(resolve);
+    drain();
+  });
+
+const release = () => {
+  running--;
+  drain();
+};
+
+/**
+ * Runs a binary with an argument array and collects its output.
+ * @param {string} command The binary, looked up in `PATH` unless it is a path.
+ * @param {string[]} args The arguments, passed as is.
+ * @param {runOptions} [options]
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ * @throws {ProcessError}
+ */
+const runProcess = async (command, args, options = {}) => {
+  const { input, signal } = options;
+  const timeout = options.timeout || settings.timeout;
+  const maxOutput = options.maxOutput || settings.maxOutput;
+  if (signal && signal.aborted) {
+    throw new ProcessError(`'${command}' was aborted.`, "ABORT_ERR", command);
+  }
+
+  await acquire();
+  // The signal may have fired while the run waited for a slot
+  if (signal && signal.aborted) {
+    release();
+    throw new ProcessError(`'${command}' was aborted.`, "ABORT_ERR", command);
+  }
+  try {
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        shell: false,
+        windowsHide: true,
+        stdio: [input ? "pipe" : "ignore", "pipe", "pipe"],
+      });
+      const output = { stdout: [], stderr: [] };
+      const lengths = { stdout: 0, stderr: 0 };
+      let failure = null;
+
+      const fail = (err) => {
+        if (failure) return;
+        failure = err;
+        child.kill("SIGKILL");
+      };
+      const timer = setTimeout(() => fail(new ProcessError(`'${command}' timed out after ${timeout}ms.`, "ETIMEDOUT", command)), timeout);
+      const onAbort = () => fail(new ProcessError(`'${command}' was aborted.`, "ABORT_ERR", command));
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+      for (const stream of ["stdout", "stderr"]) {
+        child[stream].on("data", (chunk) => {
+          lengths[stream] += chunk.length;
+          if (lengths[stream] > maxOutput) {
+            fail(new ProcessError(`'${command}' wrote more than ${maxOutput} bytes to ${stream}.`, "EMAXOUTPUT", command));
+            return;
+          }
+          output[stream].push(chunk);
+        });
+      }
+
+      if (input) {
+        // The tool may exit before reading everything, e.g. once it identified the content
+        child.stdin.on("error", () => {});
+        child.stdin.end(input);
+      }
+
+      child.on("error", (err) => {
+        fail(
+          err.code === "ENOENT"
+            ? new ProcessError(`'${command}' was not found.`, "ENOENT", command)
+            : new ProcessError(`'${command}' could not be started: ${err.message}`, err.code || "EEXIT", command),
+        );
+      });
+      child.on("close", (exitCode) => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+        const stdout = Buffer.concat(output.stdout).toString("utf8");
+        const stderr = Buffer.concat(output.stderr).toString("utf8");
+        if (failure) {
+          reject(failure);
+        } else if (exitCode !== 0) {
+          reject(new ProcessError(`'${command}' exited with code ${exitCode}: ${stderr.trim()}`, "EEXIT", command));
+        } else {
+          resolve({ stdout, stderr });
+        }
+      });
+    });
+  } finally {
+    release();
+  }
+};
+
+module.exports = { ProcessError, configureRunner, runProcess };
@@ -0,0 +1,198 @@
+// src/progress.js
+const { EventEmitter } = require("events");
+const { ERROR_CODES, FileSaveError } = require("./errors");
+
+/**
+ * @module progress
+ * @description Keeps the progress of uploads by id and serves it to browsers over Server-Sent Events or JSON polling.
+ * The registry lives in memory, so the endpoint must be served by the same process that receives the upload.
+ */
+
+/**
+ * The progress of one upload as served by {@link progressMiddleware}.
+ * @typedef {object} UploadProgress
+ * @property {string} id The upload id chosen by the client.
+ * @property {string} state 'pending' (not started yet), 'uploading', 'complete' or 'failed'.
+ * @property {number} bytesReceived Bytes of the request body received so far.
+ * @property {number|null} bytesExpected The request `Content-Length`, or null when the body is chunked.
+ * @property {number|null} percent 0-100, or null when `bytesExpected` is unknown.
+ * @property {{fieldname: string, filename: string, size: number, complete: boolean}[]} files The files seen so far.
+ * @property {string} [error] Why the upload failed.
+ */
+
+/**
+ * Upload ids are client supplied, keep them short and inert.
+ * @type {RegExp}
+ */
+const UPLOAD_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+const uploads = new Map();
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+/**
+ * Reads the upload id of a request from the `X-Upload-Id` header or the `uploadId` query parameter.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null} The id, or null when none was sent.
+ */
+const uploadIdOf = (req) => {
+  const header = req.headers["x-upload-id"];
+  if (header) return String(header);
+  const query = req.query ? req.query.uploadId : new URL(req.url, "http://localhost").searchParams.get("uploadId");
+  return query ? String(query) : null;
+};
+
+const percentOf = (bytesReceived, bytesExpected) =>
+  bytesExpected ? Math.min(100, Math.floor((bytesReceived / bytesExpected) * 100)) : null;
+
+/**
+ * Returns a JSON-safe copy of a tracked upload.
+ * @param {string} id
+ * @returns {UploadProgress}
+ */
+const snapshot = (id) => {
+  const upload = uploads.get(id);
+  if (!upload) {
+    return { id, state: "pending", bytesReceived: 0, bytesExpected: null, percent: null, files: [] };
+  }
+  return {
+    id,
+    state: upload.state,
+    bytesReceived: upload.bytesReceived,
+    bytesExpected: upload.bytesExpected,
+    percent: upload.state === "complete" ? 100 : percentOf(upload.bytesReceived, upload.bytesExpected),
+    files: upload.files.map(({ file, complete }) => ({
+      fieldname: file.fieldname,
+      filename: file.filename,
+      size: file.size,
+      complete,
+    })),
+    ...(upload.error && { error: upload.error }),
+  };
+};
+
+/**
+ * Records the progress of an upload from the events of its `req.uxio`. Finished uploads are kept
+ * for `ttl` milliseconds so a last poll can still read their final state.
+ * @param {string} id The upload id.
+ * @param {EventEmitter} uxio The `req.uxio` object of the upload.
+ * @param {import('http').ServerResponse} res The response of the upload request.
+ * @param {object} options
+ * @param {number|null} options.bytesExpected The request `Content-Length`.
+ * @param {number} [options.ttl=60000] How long finished uploads stay readable.
+ */
+const trackUpload = (id, uxio, res, { bytesExpected, ttl = 60000 }) => {
+  const upload = { state: "uploading", bytesReceived: 0, bytesExpected, files: [] };
+  uploads.set(id, upload);
+  const changed = () => updates.emit(id);
+
+  const settle = (state, error) => {
+    if (upload.state !== "uploading") return;
+    upload.state = state;
+    if (error) upload.error = error;
+    changed();
+    setTimeout(() => {
+      if (uploads.get(id) === upload) uploads.delete(id);
+    }, ttl).unref();
+  };
+
+  uxio.on("fileStart", (file) => {
+    upload.files.push({ file, complete: false });
+    changed();
+  });
+  uxio.on("progress", ({ bytesReceived }) => {
+    upload.bytesReceived = bytesReceived;
+    changed();
+  });
+  uxio.on("fileEnd", (file) => {
+    const entry = upload.files.find((f) => f.file === file);
+    if (entry) entry.complete = true;
+    changed();
+  });
+  uxio.on("finish", () => settle("complete"));
+  uxio.on("abort", (err) => settle("failed", err.message));
+  res.on("close", () => settle("failed", "The upload was interrupted."));
+  changed();
+};
+
+/**
+ * Creates an endpoint serving the progress of an upload. The id is read from `req.params.uploadId`,
+ * the `uploadId` query parameter or the `X-Upload-Id` header. Requests accepting `text/event-stream`
+ * get a stream of {@link UploadProgress} messages that ends once the upload completes or fails;
+ * other requests get the current progress as JSON (unknown ids are a `404`).
+ *
+ * @param {object} [options]
+ * @param {number} [options.interval=250] Minimum delay in milliseconds between two Server-Sent Events.
+ * @param {number} [options.heartbeat=15000] Delay between keep-alive comments, so proxies do not close idle streams.
+ * @returns {Function} Express/Connect-compatible middleware function.
+ *
+ * @example
+ * app.use(Uxio({ progress: true }));
+ * app.get('/uploads/:uploadId/progress', Uxio.progress());
+ *
+ * // browser
+ * const source = new EventSource(`/uploads/${id}/progress`);
+ * source.onmessage = ({ data }) => {
+ *   const progress = JSON.parse(data);
+ *   bar.value = progress.percent;
+ *   if (progress.state === 'complete' || progress.state === 'failed') source.close();
+ * };
+ * fetch('/upload', { method: 'POST', headers: { 'X-Upload-Id': id }, body: form });
+ */
+const progressMiddleware = ({ interval = 250, heartbeat = 15000 } = {}) => (req, res, next) => {
+  const id = (req.params && req.params.uploadId) || uploadIdOf(req);
+  if (!id || !UPLOAD_ID.test(id)) {
+    return next(new FileSaveError("A valid upload id is required (letters, digits, '-' and '_', at most 128 characters).", 400));
+  }
+
+  if (!String(req.headers.accept || "").includes("text/event-stream")) {
+    if (!uploads.has(id)) {
+      return next(new FileSaveError(`No upload in progress with id '${id}'.`, 404, { code: ERROR_CODES.UPLOAD_NOT_FOUND }));
+    }
+    res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    return res.end(JSON.stringify(snapshot(id)));
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+
+  let lastSent = 0;
+  let timer = null;
+  const send = () => {
+    clearTimeout(timer);
+    timer = null;
+    lastSent = Date.now();
+    const progress = snapshot(id);
+    res.write(`data: ${JSON.stringify(progress)}\n\n`);
+    if (progress.state === "complete" || progress.state === "failed") {
+      stop();
+      res.end();
+    }
+  };
+  const onUpdate = () => {
+    const upload = uploads.get(id);
+    const settled = upload && upload.state !== "uploading";
+    if (settled || Date.now() - lastSent >= interval) {
+      send();
+    } else if (!timer) {
+      timer = setTimeout(send, interval - (Date.now() - lastSent));
+    }
+  };
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), heartbeat);
+  const stop = () => {
+    clearTimeout(timer);
+    clearInterval(keepAlive);
+    updates.off(id, onUpdate);
+  };
+
+  updates.on(id, onUpdate);
+  res.on("close", stop);
+  send();
+};
+
+module.exports = { UPLOAD_ID, uploadIdOf, trackUpload, progressMiddleware };
@@ -0,0 +1,190 @@
+// src/providers/custom-http.js
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const axios = require("axios");
+const { ERROR_CODES, FileSaveError } = require("../errors");
+
+/**
+ * @module providers/custom-http
+ * @description Built-in provider that POSTs files to an HTTP endpoint, as a raw body or as `multipart/form-data`.
+ */
+
+/**
+ * @typedef {object} retryOptions
+ * @property {number} [attempts=3] Total number of attempts, including the first one.
+ * @property {number} [minDelay=200] Delay in ms before the first retry.
+ * @property {number} [maxDelay=5000] Upper bound for the delay between retries.
+ * @property {number} [factor=2] Multiplier applied to the delay after each retry.
+ */
+
+/**
+ * @typedef {object} rollbackOptions
+ * @property {string} [method='DELETE'] The HTTP method of the delete request.
+ * @property {string|function(object): string} url The delete URL, or a function building it from the upload result.
+ * @property {object} [axiosConfig] Extra axios request config for the delete request.
+ */
+
+/**
+ * @typedef {object} multipartOptions
+ * @property {string} [fieldName='file'] The form field the file is sent under.
+ * @property {object|function(object): object} [fields] Extra form fields, or a function building them from the file.
+ */
+
+/**
+ * @typedef {object} customHttpOptions
+ * @property {string} url The destination endpoint.
+ * @property {object} [axiosConfig] Extra axios request config merged into the request.
+ * @property {number|retryOptions} [retries] Retries for network errors and 5xx responses. A number is the total attempts.
+ * @property {boolean|multipartOptions} [multipart] Send the file as `multipart/form-data` instead of a raw body.
+ * @property {rollbackOptions|function(object): Promise<void>} [rollback] How to delete an uploaded file during rollback.
+ */
+
+/**
+ * Only failures that may succeed on a second try are retried: no response at all, or a 5xx.
+ * @param {Error} err The axios error.
+ * @returns {boolean}
+ */
+const isTransient = (err) => (err.response ? err.response.status >= 500 : Boolean(err.request));
+
+/**
+ * Runs a request, retrying transient failures with exponential backoff.
+ * @param {function(): Promise<any>} request Performs one attempt. Must build a fresh body every time.
+ * @param {number|retryOptions} [retries] The retry configuration.
+ * @returns {Promise<any>} The result of the first successful attempt.
+ */
+const withRetries = async (request, retries) => {
+  const { attempts = 3, minDelay = 200, maxDelay = 5000, factor = 2 } =
+    typeof retries === "number" ? { attempts: retries } : retries || { attempts: 1 };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      if (attempt >= attempts || !isTransient(err)) {
+        throw err;
+      }
+      const delay = Math.min(minDelay * factor ** (attempt - 1), maxDelay);
+      console.warn(`customHttp request failed (${err.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${attempts})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// Quotes and line breaks are percent-encoded in multipart header values, as browsers do
+const escapeHeaderValue = (value) =>
+  String(value).replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+
+/**
+ * Builds a streaming `multipart/form-data` body around the file. `contentLength` relies on
+ * `file.size`, so it is only meaningful for files that were fully received.
+ * @returns {{body: Readable, contentType: string, contentLength: number}}
+ */
+const buildMultipartBody = (file, key, createReadStream, multipart) => {
+  const { fieldName = "file", fields = {} } = multipart === true ? {} : multipart;
+  const boundary = `----UxioBoundary${crypto.randomBytes(12).toString("hex")}`;
+  const extraFields = typeof fields === "function" ? fields(file) : fields;
+
+  let head = "";
+  for (const [name, value] of Object.entries(extraFields || {})) {
+    head +=
+      `--${boundary}\r\nContent-Disposition: form-data; name="${escapeHeaderValue(name)}"\r\n\r\n` +
+      `${typeof value === "object" ? JSON.stringify(value) : value}\r\n`;
+  }
+  head +=
+    `--${boundary}\r\nContent-Disposition: form-data; name="${escapeHeaderValue(fieldName)}"; ` +
+    `filename="${escapeHeaderValue(key)}"\r\nContent-Type: ${file.mimeType}\r\n\r\n`;
+  const tail = `\r\n--${boundary}--\r\n`;
+
+  const headBuffer = Buffer.from(head);
+  const tailBuffer = Buffer.from(tail);
+  return {
+    body: Readable.from(
+      (async function* () {
+        yield headBuffer;
+        yield* createReadStream();
+        yield tailBuffer;
+      })(),
+    ),
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    contentLength: headBuffer.length + file.size + tailBuffer.length,
+  };
+};
+
+/**
+ * @type {module:providers~Provider}
+ */
+const customHttp = {
+  /**
+   * @param {customHttpOptions} options
+   */
+  validateOptions: (options) => {
+    if (!options || !options.url) {
+      throw new FileSaveError("customHttp provider requires a 'url' in options.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+    }
+    const { rollback } = options;
+    if (rollback && typeof rollback !== "function" && !rollback.url) {
+      throw new FileSaveError("customHttp 'rollback' must be a function or an object with a 'url'.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+    }
+  },
+
+  upload: async (file, { key, options, createReadStream }) => {
+    const response = await withRetries(() => {
+      if (options.multipart) {
+        const { body, contentType, contentLength } = buildMultipartBody(file, key, createReadStream, options.multipart);
+        return axios.post(options.url, body, {
+          headers: {
+            'Content-Type': contentType,
+            'Content-Length': contentLength,
+          },
+          ...options.axiosConfig,
+        });
+      }
+      return axios.post(options.url, createReadStream(), {
+        headers: {
+          'Content-Type': file.mimeType,
+          'Content-Length': file.size,
+          'X-Original-Filename': encodeURIComponent(file.filename),
+        },
+        ...options.axiosConfig,
+      });
+    }, options.retries);
+
+    return { key, ...response.data };
+  },
+
+  // A live stream cannot be replayed, so streamed uploads are never retried and are sent chunked
+  uploadStream: async (stream, { key, options, file }) => {
+    let body = stream;
+    let headers = {
+      'Content-Type': file.mimeType,
+      'X-Original-Filename': encodeURIComponent(file.filename),
+    };
+    if (options.multipart) {
+      const multipart = buildMultipartBody(file, key, () => stream, options.multipart);
+      body = multipart.body;
+      headers = { 'Content-Type': multipart.contentType };
+    }
+    const response = await axios.post(options.url, body, { headers, ...options.axiosConfig });
+    return { key, ...response.data };
+  },
+
+  remove: async (result, options) => {
+    const { rollback } = options;
+    // Reported as a failed removal, so rollbacks and transactions do not count the file as deleted
+    if (!rollback) {
+      throw new Error(`No 'rollback' configured for customHttp, '${result.key}' was left on ${options.url}`);
+    }
+    if (typeof rollback === "function") {
+      await rollback(result);
+      return;
+    }
+    const url = typeof rollback.url === "function" ? rollback.url(result) : rollback.url;
+    console.log(`Rolling back customHttp upload: ${rollback.method || "DELETE"} ${url}`);
+    await withRetries(
+      () => axios.request({ method: rollback.method || "DELETE", url, ...rollback.axiosConfig }),
+      options.retries,
+    );
+  },
+};
+
+module.exports = customHttp;
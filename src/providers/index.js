@@ -0,0 +1,76 @@
+// src/providers/index.js
+const s3 = require("./s3");
+const customHttp = require("./custom-http");
+
+/**
+ * @module providers
+ * @description Registry of the destinations `files.send()` can upload to.
+ */
+
+/**
+ * Context handed to a provider's `upload` for each file.
+ *
+ * @typedef {object} UploadContext
+ * @property {string} key The destination name of the file (after `rename`).
+ * @property {object} options The provider options from the send config.
+ * @property {object} metadata The metadata extracted for the file.
+ * @property {function({start: number, end: number}=): import('stream').Readable} createReadStream Opens a new stream over the file contents, optionally limited to an inclusive byte range.
+ */
+
+/**
+ * Context handed to a provider's `uploadStream`. The file's `size` and `checksums` are only
+ * final once the stream has ended.
+ *
+ * @typedef {object} StreamContext
+ * @property {string} key The destination name of the file (after `rename`).
+ * @property {object} options The provider options from the send config.
+ * @property {object} file The `UxioFile` being received.
+ */
+
+/**
+ * A destination for `files.send()`.
+ *
+ * @typedef {object} Provider
+ * @property {function(object, UploadContext): Promise<object>} upload Uploads one file and resolves to a result object describing it.
+ * @property {function(import('stream').Readable, StreamContext): Promise<object>} [uploadStream] Uploads a file while it is still being received, for the middleware's `send` option. Resolves to the same kind of result as `upload`.
+ * @property {function(object, object): Promise<void>} [remove] Deletes a previously uploaded file during rollback. Receives the result of `upload` and the provider options.
+ * @property {function(object): void} [validateOptions] Throws if the provider options are invalid.
+ */
+
+/**
+ * Registered providers keyed by their lower-cased name.
+ * @type {Map<string, {name: string, provider: Provider}>}
+ */
+const registry = new Map();
+
+/**
+ * Registers (or replaces) a provider under the given name. Names are case-insensitive.
+ * @param {string} name The provider name used in send configs (e.g. 's3').
+ * @param {Provider} provider The provider implementation.
+ */
+const registerProvider = (name, provider) => {
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new TypeError("Provider name must be a non-empty string.");
+  }
+  if (!provider || typeof provider.upload !== "function") {
+    throw new TypeError(`Provider '${name}' must implement an 'upload' function.`);
+  }
+  for (const hook of ["uploadStream", "remove", "validateOptions"]) {
+    if (provider[hook] !== undefined && typeof provider[hook] !== "function") {
+      throw new TypeError(`Provider '${name}' has a non-function '${hook}'.`);
+    }
+  }
+  registry.set(name.toLowerCase(), { name, provider });
+};
+
+/**
+ * Looks up a registered provider.
+ * @param {string} name The provider name, case-insensitive.
+ * @returns {{name: string, provider: Provider}|undefined} The registered entry, if any.
+ */
+const getProvider = (name) => registry.get(String(name).toLowerCase());
+
+registerProvider("s3", s3);
+registerProvider("customHttp", customHttp);
+
+module.exports = { registerProvider, getProvider };
@@ -0,0 +1,320 @@
+// src/providers/s3.js
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
+const { ERROR_CODES, FileSaveError } = require("../errors");
+const { hexToBase64 } = require("../checksums");
+
+/**
+ * @module providers/s3
+ * @description Built-in provider that uploads files to an AWS S3 bucket or any S3-compatible store (MinIO, Ceph, R2...).
+ */
+
+/**
+ * S3 only accepts multipart parts of at least 5 MiB (except for the last one).
+ * @type {number}
+ */
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * S3 refuses multipart uploads with more parts than this.
+ * @type {number}
+ */
+const MAX_PARTS = 10000;
+
+/**
+ * @typedef {object} s3Options
+ * @property {string} bucket The destination bucket.
+ * @property {string} [region] The bucket region. Required unless `endpoint` is set (defaults to 'us-east-1' then).
+ * @property {object} credentials Credentials compatible with the AWS SDK v3.
+ * @property {string} [endpoint] A custom S3-compatible endpoint, e.g. 'http://minio.local:9000'.
+ * @property {boolean} [forcePathStyle=false] Address objects as `endpoint/bucket/key` instead of `bucket.endpoint/key`.
+ * @property {number} [multipartThreshold=16777216] Files larger than this many bytes are sent with a multipart upload.
+ * @property {number} [partSize=8388608] The size of each multipart part in bytes (at least 5 MiB).
+ * @property {number} [queueSize=4] How many parts are uploaded concurrently.
+ */
+
+const resolveRegion = (options) => options.region || "us-east-1";
+
+const createClient = (options) =>
+  new S3Client({
+    region: resolveRegion(options),
+    credentials: options.credentials,
+    ...(options.endpoint && { endpoint: options.endpoint }),
+    ...(options.forcePathStyle && { forcePathStyle: true }),
+  });
+
+/**
+ * Builds the URL of an uploaded object for AWS or a custom endpoint.
+ * @param {s3Options} options The provider options.
+ * @param {string} key The object key.
+ * @returns {string} The object URL.
+ */
+const objectUrl = (options, key) => {
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  if (options.endpoint) {
+    const endpoint = new URL(options.endpoint);
+    const basePath = endpoint.pathname.replace(/\/$/, "");
+    return options.forcePathStyle
+      ? `${endpoint.protocol}//${endpoint.host}${basePath}/${options.bucket}/${encodedKey}`
+      : `${endpoint.protocol}//${options.bucket}.${endpoint.host}${basePath}/${encodedKey}`;
+  }
+  return options.forcePathStyle
+    ? `https://s3.${resolveRegion(options)}.amazonaws.com/${options.bucket}/${encodedKey}`
+    : `https://${options.bucket}.s3.${resolveRegion(options)}.amazonaws.com/${encodedKey}`;
+};
+
+/**
+ * Integrity parameters for a single-request upload, taken from the digests the middleware computed.
+ * S3 rejects the object if the received bytes do not match.
+ * @param {object} file The `UxioFile`.
+ * @returns {object} `ChecksumSHA256`, `ChecksumCRC32` and/or `ContentMD5` (base64).
+ */
+const integrityParams = (file) => {
+  const { sha256, crc32, md5 } = file.checksums || {};
+  return {
+    ...(sha256 ? { ChecksumSHA256: hexToBase64(sha256) } : crc32 ? { ChecksumCRC32: hexToBase64(crc32) } : {}),
+    ...(md5 && { ContentMD5: hexToBase64(md5) }),
+  };
+};
+
+/**
+ * Uploads a file in parts. The multipart upload is aborted on any failure so no orphaned
+ * parts are left (and billed) in the bucket.
+ * @returns {Promise<void>}
+ */
+const multipartUpload = async (client, file, { key, options, createReadStream }) => {
+  const partSize = Math.max(
+    options.partSize || 8 * 1024 * 1024,
+    MIN_PART_SIZE,
+    Math.ceil(file.size / MAX_PARTS),
+  );
+  const partCount = Math.ceil(file.size / partSize);
+  const queueSize = Math.max(1, options.queueSize || 4);
+
+  const { UploadId } = await client.send(
+    new CreateMultipartUploadCommand({
+      Bucket: options.bucket,
+      Key: key,
+      ContentType: file.mimeType,
+    }),
+  );
+
+  try {
+    const parts = new Array(partCount);
+    let nextPart = 0;
+    const worker = async () => {
+      while (nextPart < partCount) {
+        const index = nextPart++;
+        const start = index * partSize;
+        const end = Math.min(start + partSize, file.size);
+        const { ETag } = await client.send(
+          new UploadPartCommand({
+            Bucket: options.bucket,
+            Key: key,
+            UploadId,
+            PartNumber: index + 1,
+            Body: createReadStream({ start, end: end - 1 }),
+            ContentLength: end - start,
+          }),
+        );
+        parts[index] = { ETag, PartNumber: index + 1 };
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(queueSize, partCount) }, worker));
+
+    await client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: options.bucket,
+        Key: key,
+        UploadId,
+        MultipartUpload: { Parts: parts },
+      }),
+    );
+  } catch (err) {
+    console.error(`Aborting multipart upload of '${key}' to bucket ${options.bucket}`);
+    await client
+      .send(new AbortMultipartUploadCommand({ Bucket: options.bucket, Key: key, UploadId }))
+      .catch((abortErr) => {
+        console.error(`Failed to abort multipart upload of '${key}'`, abortErr);
+      });
+    throw err;
+  }
+};
+
+/**
+ * Uploads a stream whose length is not known in advance. Bytes are collected into parts of
+ * `partSize` and uploaded `queueSize` at a time while the stream keeps flowing; a stream that ends
+ * before the first part is full is sent with a single PutObject instead.
+ * @returns {Promise<number>} The number of bytes uploaded.
+ */
+const streamUpload = async (client, stream, { key, options, file }) => {
+  const partSize = Math.max(options.partSize || 8 * 1024 * 1024, MIN_PART_SIZE);
+  const queueSize = Math.max(1, options.queueSize || 4);
+  const parts = [];
+  const inFlight = new Set();
+  let UploadId = null;
+  let failure = null;
+  let chunks = [];
+  let buffered = 0;
+  let size = 0;
+
+  const sendPart = (body) => {
+    const PartNumber = parts.push(null);
+    const request = client
+      .send(new UploadPartCommand({ Bucket: options.bucket, Key: key, UploadId, PartNumber, Body: body, ContentLength: body.length }))
+      .then(
+        ({ ETag }) => {
+          parts[PartNumber - 1] = { ETag, PartNumber };
+        },
+        (err) => {
+          failure = failure || err;
+        },
+      )
+      .finally(() => inFlight.delete(request));
+    inFlight.add(request);
+  };
+
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      buffered += chunk.length;
+      size += chunk.length;
+      while (buffered >= partSize) {
+        const data = Buffer.concat(chunks, buffered);
+        chunks = [data.subarray(partSize)];
+        buffered -= partSize;
+        if (parts.length >= MAX_PARTS) {
+          throw new FileSaveError(`'${key}' needs more than ${MAX_PARTS} parts, increase 'partSize'.`, 413, { code: ERROR_CODES.FILE_TOO_LARGE, filename: key });
+        }
+        if (!UploadId) {
+          ({ UploadId } = await client.send(
+            new CreateMultipartUploadCommand({ Bucket: options.bucket, Key: key, ContentType: file.mimeType }),
+          ));
+        }
+        sendPart(data.subarray(0, partSize));
+        while (inFlight.size >= queueSize) {
+          await Promise.race(inFlight);
+        }
+        if (failure) throw failure;
+      }
+    }
+
+    const rest = Buffer.concat(chunks, buffered);
+    if (!UploadId) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: options.bucket,
+          Key: key,
+          Body: rest,
+          ContentType: file.mimeType,
+          ContentLength: rest.length,
+        }),
+      );
+      return size;
+    }
+    if (rest.length > 0) {
+      sendPart(rest);
+    }
+    await Promise.all(inFlight);
+    if (failure) throw failure;
+    await client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: options.bucket,
+        Key: key,
+        UploadId,
+        MultipartUpload: { Parts: parts },
+      }),
+    );
+    return size;
+  } catch (err) {
+    await Promise.all(inFlight);
+    if (UploadId) {
+      console.error(`Aborting multipart upload of '${key}' to bucket ${options.bucket}`);
+      await client
+        .send(new AbortMultipartUploadCommand({ Bucket: options.bucket, Key: key, UploadId }))
+        .catch((abortErr) => {
+          console.error(`Failed to abort multipart upload of '${key}'`, abortErr);
+        });
+    }
+    throw err;
+  }
+};
+
+/**
+ * @type {module:providers~Provider}
+ */
+const s3 = {
+  /**
+   * @param {s3Options} options
+   */
+  validateOptions: (options) => {
+    if (!options || !options.bucket || !(options.region || options.endpoint) || !options.credentials) {
+      throw new FileSaveError("S3 provider requires 'bucket', 'region', and 'credentials' in options.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+    }
+    if (options.endpoint) {
+      try {
+        new URL(options.endpoint);
+      } catch {
+        throw new FileSaveError(`S3 provider 'endpoint' is not a valid URL: ${options.endpoint}`, 400, { code: ERROR_CODES.INVALID_CONFIG });
+      }
+    }
+  },
+
+  upload: async (file, context) => {
+    const { key, options, createReadStream } = context;
+    const client = createClient(options);
+
+    if (file.size > (options.multipartThreshold || 16 * 1024 * 1024)) {
+      await multipartUpload(client, file, context);
+    } else {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: options.bucket,
+          Key: key,
+          Body: createReadStream(),
+          ContentType: file.mimeType,
+          ContentLength: file.size,
+          ...integrityParams(file),
+        }),
+      );
+    }
+
+    return {
+      bucket: options.bucket,
+      key,
+      url: objectUrl(options, key),
+      size: file.size,
+      mimeType: file.mimeType,
+    };
+  },
+
+  uploadStream: async (stream, context) => {
+    const { key, options, file } = context;
+    const size = await streamUpload(createClient(options), stream, context);
+    return {
+      bucket: options.bucket,
+      key,
+      url: objectUrl(options, key),
+      size,
+      mimeType: file.mimeType,
+    };
+  },
+
+  remove: async (result, options) => {
+    console.log(`Rolling back S3 object: ${result.key} from bucket ${result.bucket}`);
+    const command = new DeleteObjectCommand({
+      Bucket: result.bucket,
+      Key: result.key,
+    });
+    await createClient(options).send(command);
+  },
+};
+
+module.exports = s3;
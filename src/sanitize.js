@@ -0,0 +1,107 @@
+// src/sanitize.js
+const path = require("path");
+const { ERROR_CODES, FileSaveError } = require("./errors");
+
+/**
+ * @module sanitize
+ * @description Makes client supplied filenames safe to use on disk.
+ */
+
+/**
+ * Device names Windows reserves in every directory, with or without an extension.
+ * @type {RegExp}
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])(\..*)?$/i;
+
+/**
+ * Control characters plus the characters that are path separators or invalid on common filesystems.
+ * @type {RegExp}
+ */
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f/\\<>:"|?*]/g;
+
+/**
+ * Trims a string to a maximum number of UTF-8 bytes without splitting a character.
+ * @param {string} value The string to trim.
+ * @param {number} maxBytes The byte budget.
+ * @returns {string}
+ */
+const truncateBytes = (value, maxBytes) => {
+  let result = "";
+  let bytes = 0;
+  for (const char of value) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > maxBytes) break;
+    result += char;
+    bytes += size;
+  }
+  return result;
+};
+
+/**
+ * Turns any client supplied name into a single, safe path segment: Unicode is normalized (NFC),
+ * separators and control characters are replaced, Windows reserved names are prefixed, leading
+ * dots and trailing dots/spaces are removed and the length is capped (keeping the extension).
+ *
+ * @param {string} name The name to clean.
+ * @param {object} [options]
+ * @param {number} [options.maxLength=255] Maximum length in UTF-8 bytes.
+ * @param {string} [options.replacement='_'] What unsafe characters are replaced with.
+ * @param {string} [options.fallback='file'] The name used when nothing usable is left.
+ * @returns {string} A name that cannot point outside of the directory it is joined with.
+ */
+const sanitizeFilename = (name, { maxLength = 255, replacement = "_", fallback = "file" } = {}) => {
+  let clean = String(name == null ? "" : name)
+    .normalize("NFC")
+    .replace(UNSAFE_CHARACTERS, replacement)
+    .replace(/^[.\s]+/, "")
+    .replace(/[.\s]+$/, "");
+
+  if (RESERVED_NAMES.test(clean)) {
+    clean = `${replacement}${clean}`;
+  }
+  if (clean === "") {
+    clean = fallback;
+  }
+
+  if (Buffer.byteLength(clean) > maxLength) {
+    const ext = path.extname(clean);
+    const extBytes = Buffer.byteLength(ext);
+    clean = extBytes < maxLength / 2
+      ? truncateBytes(clean.slice(0, clean.length - ext.length), maxLength - extBytes) + ext
+      : truncateBytes(clean, maxLength);
+  }
+  return clean;
+};
+
+/**
+ * Returns a short extension taken from a client supplied name, or an empty string when it does
+ * not look like a plain extension. Used to keep temp files recognizable by tools that rely on it.
+ * @param {string} name The client supplied name.
+ * @returns {string} e.g. '.pptx'
+ */
+const safeExtension = (name) => {
+  const ext = path.extname(String(name || "")).toLowerCase();
+  return /^\.[a-z0-9]{1,10}$/.test(ext) ? ext : "";
+};
+
+/**
+ * Joins a directory and a file name and guarantees the result stays inside that directory.
+ * @param {string} directory The base directory.
+ * @param {string} name The (already sanitized) file name.
+ * @returns {string} The joined path.
+ * @throws {FileSaveError} With status 400 if the name resolves outside of `directory`.
+ */
+const resolveInside = (directory, name) => {
+  const base = path.resolve(directory);
+  const target = path.resolve(base, name);
+  const relative = path.relative(base, target);
+  if (relative === "" || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new FileSaveError(`Invalid file name '${name}': it resolves outside of the destination directory.`, 400, {
+      code: ERROR_CODES.INVALID_FILENAME,
+      filename: name,
+    });
+  }
+  return path.join(directory, relative);
+};
+
+module.exports = { sanitizeFilename, safeExtension, resolveInside };
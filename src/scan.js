@@ -0,0 +1,223 @@
+// src/scan.js
+const net = require("net");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const { Readable } = require("stream");
+const { ERROR_CODES, FileSaveError, InfectedFileError } = require("./errors");
+
+/**
+ * @module scan
+ * @description Malware scanning of uploaded files, with a built-in ClamAV (clamd) client and quarantine.
+ */
+
+/**
+ * @typedef {object} scanResult
+ * @property {boolean} infected True when the scanner found something.
+ * @property {string[]} [viruses] The signatures found.
+ */
+
+/**
+ * A malware scanner. `scan` receives the file contents as a stream and must read it to the end
+ * (or stop early once it has a verdict). Rejecting means the file could not be scanned.
+ *
+ * @typedef {object} Scanner
+ * @property {string} [name] Shown in logs and errors.
+ * @property {function(import('stream').Readable, object): Promise<scanResult>} scan Scans one file; also receives the `UxioFile`.
+ */
+
+/**
+ * @typedef {object} scanOptions
+ * @property {Scanner|function(import('stream').Readable, object): Promise<scanResult>} scanner The scanner, or just its `scan` function.
+ * @property {string} [quarantine] A directory infected files are moved to instead of being deleted.
+ */
+
+/**
+ * @typedef {object} clamavOptions
+ * @property {string} [socket] Path of clamd's Unix socket. Takes precedence over `host`/`port`.
+ * @property {string} [host='127.0.0.1'] clamd's TCP host.
+ * @property {number} [port=3310] clamd's TCP port.
+ * @property {number} [timeout=30000] Milliseconds of socket inactivity before the scan fails.
+ */
+
+/**
+ * Validates a `scan` option. A bare scanner (or scan function) is accepted in place of `{ scanner }`.
+ * @param {Scanner|function|scanOptions} scan
+ * @returns {{scanner: Scanner, quarantine: string|null}}
+ * @throws {TypeError} When no usable scanner is given.
+ */
+const normalizeScanOptions = (scan) => {
+  const { scanner, quarantine = null } =
+    typeof scan === "function" || (scan && typeof scan.scan === "function") ? { scanner: scan } : scan || {};
+  const normalized = typeof scanner === "function" ? { name: scanner.name || "custom", scan: scanner } : scanner;
+  if (!normalized || typeof normalized.scan !== "function") {
+    throw new TypeError("The 'scan' option needs a scanner with a 'scan' function.");
+  }
+  if (quarantine !== null && typeof quarantine !== "string") {
+    throw new TypeError("scan.quarantine must be a directory path.");
+  }
+  return { scanner: normalized, quarantine };
+};
+
+/**
+ * Reads clamd's reply to INSTREAM: `stream: OK`, `stream: <signature> FOUND` or `<reason> ERROR`.
+ * @param {string} reply
+ * @returns {scanResult}
+ */
+const parseClamdReply = (reply) => {
+  const text = reply.replace(/\0[\s\S]*$/, "").trim();
+  if (/^stream: OK$/.test(text)) {
+    return { infected: false, viruses: [] };
+  }
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, viruses: [found[1]] };
+  }
+  throw new Error(`clamd replied '${text}'`);
+};
+
+/**
+ * Creates a scanner backed by a clamd daemon. Each file is streamed with the INSTREAM command:
+ * chunks prefixed with their length as a 4-byte big-endian integer, then a zero-length chunk.
+ * clamd refuses streams over its `StreamMaxLength`, which fails the scan.
+ * @param {clamavOptions} [options]
+ * @returns {Scanner}
+ */
+const clamav = (options = {}) => {
+  const { socket: socketPath, host = "127.0.0.1", port = 3310, timeout = 30000 } = options;
+  return {
+    name: "clamav",
+    scan: (stream) =>
+      new Promise((resolve, reject) => {
+        const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+        let reply = "";
+        let settled = false;
+        const settle = (err, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (err) reject(err);
+          else resolve(result);
+        };
+
+        socket.setTimeout(timeout, () => settle(new Error(`clamd did not answer within ${timeout}ms`)));
+        socket.on("error", (err) => settle(err));
+        // clamd may answer (and hang up) before the whole stream was sent, e.g. over its size limit
+        socket.on("data", (data) => {
+          reply += data.toString("utf8");
+          if (reply.includes("\0")) {
+            try {
+              settle(null, parseClamdReply(reply));
+            } catch (err) {
+              settle(err);
+            }
+          }
+        });
+        socket.on("end", () => settle(new Error(`clamd closed the connection${reply ? ` after '${reply.trim()}'` : ""}`)));
+
+        socket.on("connect", async () => {
+          const send = async (data) => {
+            if (!socket.write(data)) await once(socket, "drain");
+          };
+          try {
+            await send("zINSTREAM\0");
+            for await (const chunk of stream) {
+              if (settled) return;
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              await send(Buffer.concat([length, chunk]));
+            }
+            await send(Buffer.alloc(4));
+          } catch (err) {
+            settle(err);
+          }
+        });
+      }),
+  };
+};
+
+/**
+ * Moves an infected file out of the temp cache into the quarantine directory, under a generated
+ * name without its extension, next to a JSON record describing the detection.
+ * @param {object} file The `UxioFile`.
+ * @param {string} directory The quarantine directory.
+ * @param {string[]} viruses
+ * @returns {Promise<string>} The quarantined path.
+ */
+const quarantineFile = async (file, directory, viruses) => {
+  await fs.promises.mkdir(directory, { recursive: true });
+  const id = crypto.randomUUID();
+  const target = path.join(directory, `${id}.quarantine`);
+  if (file.buffer) {
+    await fs.promises.writeFile(target, file.buffer, { mode: 0o600 });
+  } else {
+    try {
+      await fs.promises.rename(file.tempFilePath, target);
+    } catch (err) {
+      if (err.code !== "EXDEV") throw err;
+      await fs.promises.copyFile(file.tempFilePath, target);
+      await fs.promises.unlink(file.tempFilePath);
+    }
+    await fs.promises.chmod(target, 0o600);
+  }
+  await fs.promises.writeFile(
+    path.join(directory, `${id}.json`),
+    JSON.stringify({
+      fieldname: file.fieldname,
+      filename: file.filename,
+      originalFilename: file.originalFilename,
+      mimeType: file.mimeType,
+      size: file.size,
+      viruses,
+      quarantinedAt: new Date().toISOString(),
+    }),
+  );
+  return target;
+};
+
+/**
+ * Scans one file. Infected files are quarantined when a directory is configured.
+ * @param {object} file The `UxioFile`.
+ * @param {{scanner: Scanner, quarantine: string|null}} options From {@link normalizeScanOptions}.
+ * @param {import('stream').Readable} [stream] The contents to scan. Defaults to the file's buffer or temp file.
+ * @returns {Promise<void>}
+ * @throws {InfectedFileError} With status 422 when the file is infected.
+ * @throws {FileSaveError} With status 503 when the scanner fails, so unscanned files are never accepted.
+ */
+const scanFile = async (file, { scanner, quarantine }, stream) => {
+  const source = stream || (file.buffer ? Readable.from([file.buffer]) : fs.createReadStream(file.tempFilePath));
+  let result;
+  try {
+    result = await scanner.scan(source, file);
+  } catch (err) {
+    throw new FileSaveError(`Malware scan of '${file.filename}' failed: ${err.message}`, 503, {
+      code: ERROR_CODES.SCAN_FAILED,
+      field: file.fieldname,
+      filename: file.filename,
+    });
+  } finally {
+    source.destroy();
+  }
+  if (!result || !result.infected) {
+    return;
+  }
+
+  const viruses = result.viruses || [];
+  console.warn(`${scanner.name || "Scanner"} found ${viruses.join(", ") || "malware"} in '${file.filename}'`);
+  const error = new InfectedFileError(
+    `File '${file.filename}' is infected${viruses.length ? ` (${viruses.join(", ")})` : ""}.`,
+    file.filename,
+    viruses,
+  );
+  if (quarantine && !stream) {
+    try {
+      error.quarantinePath = await quarantineFile(file, quarantine, viruses);
+    } catch (err) {
+      console.error(`Failed to quarantine '${file.filename}'`, err);
+    }
+  }
+  throw error;
+};
+
+module.exports = { normalizeScanOptions, clamav, scanFile };
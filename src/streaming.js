@@ -0,0 +1,231 @@
+// src/streaming.js
+const { Transform } = require("stream");
+const { ERROR_CODES, FileSaveError } = require("./errors");
+const { SNIFF_BYTES, sniffMimeType } = require("./content-type");
+const { METADATA_RULES, violationReporter, checkSize, checkDeclaredType, checkContent } = require("./validations");
+const { getProvider } = require("./providers");
+
+/**
+ * @module streaming
+ * @description Sends file parts straight from the request to a provider, without going through the temp cache.
+ */
+
+/**
+ * A send config declared on the middleware. Same shape as a `files.send()` config, without `transform`.
+ * @typedef {object} streamConfig
+ * @property {string|string[]} fieldname The field name(s) streamed with this config.
+ * @property {string} provider A registered provider implementing `uploadStream`.
+ * @property {object} options The provider options.
+ * @property {module:files~validations} [validations] Checked while the bytes flow.
+ * @property {function(object): string} [rename] Builds the destination key from the file (its `size` is not known yet).
+ * @property {boolean} [required=false] Fail when the request has no file for the field(s).
+ */
+
+/**
+ * Validations that read the file's metadata, which is only known once the upload is complete.
+ * @type {string[]}
+ */
+const WHOLE_FILE_RULES = [...METADATA_RULES, "custom"];
+
+/**
+ * Validates the `send` middleware option once, when the middleware is created.
+ * @param {streamConfig|streamConfig[]} config
+ * @returns {object[]} The configs with their provider resolved.
+ * @throws {TypeError} When a config cannot be streamed.
+ */
+const normalizeStreamConfigs = (config) =>
+  (Array.isArray(config) ? config : [config]).map((current) => {
+    const { fieldname, provider, options, validations, rename, required = false, transform } = current || {};
+    if (!fieldname) {
+      throw new TypeError("Each 'send' config needs a 'fieldname'.");
+    }
+    if (transform) {
+      throw new TypeError("'transform' cannot be applied to streamed files, use files.send() instead.");
+    }
+    const needsWholeFile = Object.keys(validations || {}).filter((rule) => WHOLE_FILE_RULES.includes(rule));
+    if (needsWholeFile.length > 0) {
+      throw new TypeError(`Validations ${needsWholeFile.join(", ")} need the whole file and cannot be applied to streamed files, use files.send() instead.`);
+    }
+    const registered = getProvider(provider);
+    if (!registered) {
+      throw new TypeError(`Unsupported provider: '${provider}'.`);
+    }
+    if (typeof registered.provider.uploadStream !== "function") {
+      throw new TypeError(`Provider '${registered.name}' does not support streaming (no 'uploadStream').`);
+    }
+    if (registered.provider.validateOptions) {
+      try {
+        registered.provider.validateOptions(options);
+      } catch (err) {
+        throw new TypeError(err.message);
+      }
+    }
+    return {
+      fieldnames: Array.isArray(fieldname) ? fieldname : [fieldname],
+      registered,
+      options,
+      validations,
+      rename,
+      required: Boolean(required),
+    };
+  });
+
+/**
+ * Creates the stream a file passes through on its way to a provider. The MIME type and extension
+ * allow-lists are checked up front, `maxSize` as bytes flow, `minSize` at the end, and with
+ * `verifyContent` the first bytes are held back until the real content type is known. A violation
+ * errors the stream, which aborts the upload.
+ * @param {object} file The `UxioFile` being streamed.
+ * @param {module:files~validations} [validations]
+ * @returns {Transform}
+ * @throws {FileSaveError} When the declared MIME type or the extension is not allowed.
+ */
+const createGate = (file, validations = {}) => {
+  const reject = violationReporter(file, null);
+  checkDeclaredType(file, validations, reject);
+
+  let received = 0;
+  let held = validations.verifyContent ? [] : null;
+  let heldLength = 0;
+
+  const release = async (gate) => {
+    const head = Buffer.concat(held, heldLength);
+    held = null;
+    checkContent(file, await sniffMimeType(head.subarray(0, SNIFF_BYTES)), validations, reject);
+    gate.push(head);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      try {
+        checkSize(file, received, validations, reject, { min: false });
+      } catch (err) {
+        return callback(err);
+      }
+      if (!held) {
+        return callback(null, chunk);
+      }
+      held.push(chunk);
+      heldLength += chunk.length;
+      if (heldLength < SNIFF_BYTES) {
+        return callback();
+      }
+      release(this).then(() => callback(), callback);
+    },
+    flush(callback) {
+      try {
+        checkSize(file, received, validations, reject, { max: false });
+      } catch (err) {
+        return callback(err);
+      }
+      if (!held) {
+        return callback();
+      }
+      release(this).then(() => callback(), callback);
+    },
+  });
+};
+
+/**
+ * Tracks the streamed uploads of one request: starts them, collects their results and removes
+ * the finished ones again when the request fails.
+ * @param {object[]} configs Configs from {@link normalizeStreamConfigs}.
+ */
+const createStreamingSend = (configs) => {
+  const gates = new Set();
+  const completed = [];
+  let aborted = false;
+
+  const rollback = async (entry) => {
+    const { registered, options, result } = entry;
+    if (typeof registered.provider.remove !== "function") return;
+    try {
+      await registered.provider.remove(result, options);
+    } catch (err) {
+      console.error(`Failed to delete streamed file during rollback: ${result.key || result.url}`, err);
+    }
+  };
+
+  return {
+    /**
+     * @param {string} fieldname
+     * @returns {object[]} The configs streaming this field.
+     */
+    match: (fieldname) => configs.filter((config) => config.fieldnames.includes(fieldname)),
+
+    /**
+     * @param {object[]} files The files of the request.
+     * @returns {string[]} The fields of `required` configs that did not receive a file.
+     */
+    missing: (files) =>
+      configs
+        .filter((config) => config.required && !files.some((file) => config.fieldnames.includes(file.fieldname)))
+        .flatMap((config) => config.fieldnames),
+
+    /**
+     * Pipes a file part to each matching provider.
+     * @param {object} file The `UxioFile`.
+     * @param {import('stream').Readable} stream The busboy file stream.
+     * @param {object[]} matches The configs returned by `match`.
+     * @returns {Promise<object[]>} The send results, in the same shape as `files.send()`.
+     */
+    start: (file, stream, matches) =>
+      Promise.all(
+        matches.map(async (config) => {
+          const { registered, options, validations, rename } = config;
+          const gate = createGate(file, validations);
+          gates.add(gate);
+          stream.pipe(gate);
+          try {
+            const result = await registered.provider.uploadStream(gate, {
+              key: typeof rename === "function" ? rename(file) : file.filename,
+              options,
+              file,
+            });
+            const entry = { registered, options, result };
+            if (aborted) {
+              await rollback(entry);
+              throw new FileSaveError("The upload was aborted.", 400, { code: ERROR_CODES.UPLOAD_ABORTED });
+            }
+            completed.push(entry);
+            return {
+              provider: registered.name,
+              fieldname: file.fieldname,
+              ...(file.checksums && { checksums: file.checksums }),
+              ...result,
+            };
+          } catch (err) {
+            // Provider failures usually stop reading, keep the shared file stream flowing for the other destinations
+            stream.unpipe(gate);
+            gate.destroy();
+            if (err instanceof FileSaveError || aborted) {
+              throw err;
+            }
+            throw new FileSaveError(err.message, err.status || 500, {
+              code: ERROR_CODES.PROVIDER_ERROR,
+              field: file.fieldname,
+              filename: file.filename,
+            });
+          } finally {
+            gates.delete(gate);
+          }
+        }),
+      ),
+
+    /**
+     * Stops the uploads still in flight and removes the finished ones.
+     * @param {Error} err The reason, passed to the providers through their stream.
+     * @returns {Promise<void>}
+     */
+    abort: async (err) => {
+      aborted = true;
+      for (const gate of gates) {
+        gate.destroy(err);
+      }
+      await Promise.all(completed.splice(0).map(rollback));
+    },
+  };
+};
+
+module.exports = { normalizeStreamConfigs, createGate, createStreamingSend };
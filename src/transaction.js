@@ -0,0 +1,160 @@
+// src/transaction.js
+const { TransactionError } = require("./errors");
+
+/**
+ * @module transaction
+ * @description Groups several `save()`/`send()` calls and the route's own work, so that they are
+ * all undone when one of them fails.
+ */
+
+/**
+ * How to undo one stored file or one step of the route's own work.
+ *
+ * @typedef {object} undoStep
+ * @property {'save'|'send'|'custom'} type
+ * @property {string} [path] The saved file (`save`).
+ * @property {string} [provider] The provider the file was sent to (`send`).
+ * @property {string} [key] The key the file was sent under (`send`).
+ * @property {string} [name] The name given to `tx.onRollback()` (`custom`).
+ * @property {function(): Promise<void>} undo
+ * @property {function(): Promise<void>} [release] Runs once the transaction succeeded, e.g. to delete the copy of an overwritten file.
+ */
+
+/**
+ * The outcome of an undo step, as listed in `TransactionError.compensations`.
+ *
+ * @typedef {object} compensation
+ * @property {'save'|'send'|'custom'} type
+ * @property {string} [path]
+ * @property {string} [provider]
+ * @property {string} [key]
+ * @property {string} [name]
+ * @property {boolean} undone True when the step was undone.
+ * @property {Error} [error] Why it could not be undone.
+ */
+
+/**
+ * The object handed to the transaction callback.
+ *
+ * @typedef {object} Transaction
+ * @property {function(object|object[], object, object=): Promise<object[]>} save Same as `files.save()`. The saved files are
+ * deleted if the transaction fails.
+ * @property {function(object|object[], object, object=): Promise<object[]>} send Same as `files.send()`. The sent files are
+ * removed through their provider's `remove` hook if the transaction fails.
+ * @property {function((string|function), function=): void} onRollback Registers `async () => {}` (optionally preceded by a
+ * name) to undo the route's own work, e.g. delete a database row, if the transaction fails.
+ */
+
+/**
+ * Undo steps for the files a `send()` call uploaded.
+ * @param {Array<{registered: {name: string, provider: object}, options: object, result: object}>} uploads
+ * @returns {undoStep[]}
+ */
+const sentFileSteps = (uploads) =>
+  uploads.map(({ registered, options, result }) => ({
+    type: "send",
+    provider: registered.name,
+    key: result.key,
+    undo: async () => {
+      if (typeof registered.provider.remove !== "function") {
+        throw new Error(`Provider '${registered.name}' has no 'remove' hook, '${result.key}' was left in place.`);
+      }
+      await registered.provider.remove(result, options);
+    },
+  }));
+
+/**
+ * Runs the undo steps, newest first, and reports the outcome of each one.
+ * @param {undoStep[]} steps
+ * @returns {Promise<compensation[]>}
+ * @private
+ */
+const compensate = async (steps) => {
+  const compensations = [];
+  for (const { undo, release, ...target } of [...steps].reverse()) {
+    try {
+      await undo();
+      compensations.push({ ...target, undone: true });
+    } catch (error) {
+      console.error(`Failed to undo ${target.type} ${target.path || target.key || target.name || ""} during transaction rollback`, error);
+      compensations.push({ ...target, undone: false, error });
+    }
+  }
+  return compensations;
+};
+
+/**
+ * Runs a transaction callback. Every file stored through `tx` and every `tx.onRollback()` step is
+ * undone when the callback throws or one of its operations fails, whether the callback awaited it or not.
+ * @param {{save: function, send: function}} operations `files.save` and `files.send`, taking the undo journal as 4th argument.
+ * @param {function(Transaction): Promise<*>} callback
+ * @returns {Promise<*>} What the callback resolved to.
+ * @throws {TransactionError} Once everything was rolled back.
+ */
+const runTransaction = async ({ save, send }, callback) => {
+  if (typeof callback !== "function") {
+    throw new TypeError("transaction() needs a callback.");
+  }
+
+  const steps = [];
+  // Every operation is settled before the transaction commits or rolls back, awaited by the callback or not
+  const operations = [];
+  let finished = false;
+  const ensureOpen = () => {
+    if (finished) {
+      throw new Error("The transaction is already finished.");
+    }
+  };
+  const track = (operation) => {
+    operations.push(operation);
+    // A failure the callback did not await is reported by the transaction, not as an unhandled rejection
+    operation.catch(() => {});
+    return operation;
+  };
+
+  /** @type {Transaction} */
+  const tx = {
+    save: (config, uxioObject, options) =>
+      track(
+        (async () => {
+          ensureOpen();
+          return save(config, uxioObject, options, steps);
+        })(),
+      ),
+    send: (config, uxioObject, options) =>
+      track(
+        (async () => {
+          ensureOpen();
+          return send(config, uxioObject, options, steps);
+        })(),
+      ),
+    onRollback: (name, undo) => {
+      ensureOpen();
+      if (typeof name === "function") {
+        [name, undo] = [undefined, name];
+      }
+      if (typeof undo !== "function") {
+        throw new TypeError("onRollback() needs a function.");
+      }
+      steps.push({ type: "custom", ...(name !== undefined && { name: String(name) }), undo });
+    },
+  };
+
+  try {
+    const value = await callback(tx);
+    finished = true;
+    // Operations the callback did not await may still add steps, or fail
+    const failed = (await Promise.allSettled(operations)).find(({ status }) => status === "rejected");
+    if (failed) {
+      throw failed.reason;
+    }
+    await Promise.all(steps.filter((step) => step.release).map((step) => step.release()));
+    return value;
+  } catch (err) {
+    finished = true;
+    await Promise.allSettled(operations);
+    throw new TransactionError(err, await compensate(steps));
+  }
+};
+
+module.exports = { runTransaction, sentFileSteps };
@@ -0,0 +1,149 @@
+// src/transform.js
+const path = require("path");
+const sharp = require("sharp");
+const { ERROR_CODES, FileSaveError } = require("./errors");
+
+/**
+ * @module transform
+ * @description Image transformations and named variants applied by `files.save()` and `files.send()`.
+ */
+
+/**
+ * @typedef {object} transformSteps
+ * @property {object} [resize] Options for sharp's `resize()` (`width`, `height`, `fit`...). Images are never enlarged unless `withoutEnlargement: false`.
+ * @property {object} [crop] A region to extract before resizing: `{ left, top, width, height }`.
+ * @property {string} [format] Output format: 'jpeg', 'png', 'webp', 'avif', 'gif' or 'tiff'. Defaults to the input format.
+ * @property {number} [quality] Output quality (1-100) for lossy formats.
+ * @property {boolean} [autoRotate=true] Rotate according to the EXIF orientation.
+ * @property {boolean} [stripMetadata=true] Drop EXIF (including GPS), ICC and XMP metadata.
+ */
+
+/**
+ * @typedef {transformSteps} transformOptions
+ * @property {boolean} [keepOriginal=false] Store the uploaded file untouched instead of applying the top-level steps to it.
+ * @property {Object<string, transformSteps>} [variants] Extra named renditions (e.g. `thumb`, `medium`) stored alongside the main file.
+ */
+
+/**
+ * Output formats sharp can write, with their MIME type and extension.
+ * @type {Object<string, {mimeType: string, ext: string}>}
+ */
+const FORMATS = {
+  jpeg: { mimeType: "image/jpeg", ext: ".jpg" },
+  png: { mimeType: "image/png", ext: ".png" },
+  webp: { mimeType: "image/webp", ext: ".webp" },
+  avif: { mimeType: "image/avif", ext: ".avif" },
+  gif: { mimeType: "image/gif", ext: ".gif" },
+  tiff: { mimeType: "image/tiff", ext: ".tiff" },
+};
+
+/**
+ * Input types that are decoded and transformed; anything else passes through unchanged.
+ * @type {RegExp}
+ */
+const TRANSFORMABLE = /^image\/(jpeg|png|webp|avif|gif|tiff|heic|heif)$/;
+
+const formatOf = (mimeType) =>
+  Object.keys(FORMATS).find((format) => FORMATS[format].mimeType === mimeType) || "jpeg";
+
+/**
+ * Writes one rendition of an image next to its temp file.
+ * @param {object} file The source `UxioFile`.
+ * @param {transformSteps} steps The steps to apply.
+ * @param {string} suffix A suffix making the output temp path unique.
+ * @returns {Promise<{file: object, ext: (string|undefined)}>} A `UxioFile`-like object describing the output, and the extension its name should use.
+ */
+const render = async (file, steps, suffix) => {
+  const format = (steps.format || formatOf(file.mimeType)).toLowerCase().replace(/^jpg$/, "jpeg");
+  if (!FORMATS[format]) {
+    throw new FileSaveError(`Unsupported transform format '${steps.format}'. Expected one of: ${Object.keys(FORMATS).join(", ")}.`, 400, {
+      code: ERROR_CODES.INVALID_CONFIG,
+    });
+  }
+
+  let pipeline = sharp(file.buffer || file.tempFilePath);
+  if (steps.autoRotate !== false) {
+    pipeline = pipeline.rotate();
+  }
+  if (steps.crop) {
+    pipeline = pipeline.extract(steps.crop);
+  }
+  if (steps.resize) {
+    pipeline = pipeline.resize({ withoutEnlargement: true, ...steps.resize });
+  }
+  pipeline = pipeline.toFormat(format, steps.quality ? { quality: steps.quality } : {});
+  if (steps.stripMetadata === false) {
+    pipeline = pipeline.keepMetadata();
+  }
+
+  const mimeType = FORMATS[format].mimeType;
+  // The checksums describe the uploaded bytes, not the re-encoded ones
+  const { checksums, ...source } = file;
+  let output;
+  if (file.buffer) {
+    // Files kept in memory stay in memory
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    output = { ...source, buffer: data, size: info.size, mimeType };
+  } else {
+    const tempFilePath = `${file.tempFilePath}-${suffix}${FORMATS[format].ext}`;
+    const info = await pipeline.toFile(tempFilePath);
+    output = { ...source, tempFilePath, size: info.size, mimeType };
+  }
+
+  return {
+    file: output,
+    // Names only change extension when the format was explicitly converted
+    ext: steps.format ? FORMATS[format].ext : undefined,
+  };
+};
+
+/**
+ * Applies a `transform` config to an uploaded file.
+ * @param {object} file The uploaded `UxioFile`.
+ * @param {transformOptions} [transform] The transform config.
+ * @returns {Promise<{file: object, variant: (string|undefined), ext: (string|undefined)}[]>} The main output first, then one entry per variant.
+ * Files that are not transformable images come back as a single untouched output.
+ */
+const transformFile = async (file, transform) => {
+  if (!transform || !TRANSFORMABLE.test(file.mimeType)) {
+    return [{ file, ext: undefined }];
+  }
+
+  const { keepOriginal = false, variants = {}, ...steps } = transform;
+  try {
+    const outputs = [
+      keepOriginal ? { file, ext: undefined } : await render(file, steps, "main"),
+    ];
+    for (const [variant, variantSteps] of Object.entries(variants)) {
+      outputs.push({
+        ...(await render(file, variantSteps || {}, variant.replace(/[^a-z0-9_-]/gi, "_"))),
+        variant,
+      });
+    }
+    return outputs;
+  } catch (err) {
+    if (err instanceof FileSaveError) {
+      throw err;
+    }
+    throw new FileSaveError(`Failed to transform image '${file.filename}': ${err.message}`, 422, {
+      code: ERROR_CODES.TRANSFORM_FAILED,
+      field: file.fieldname,
+      filename: file.filename,
+    });
+  }
+};
+
+/**
+ * Derives the name of an output from the name chosen for the upload: the extension follows the
+ * output format and variants get a `-<variant>` suffix (e.g. `photo.jpg` -> `photo-thumb.webp`).
+ * @param {string} name The name (or key) chosen for the upload.
+ * @param {{variant: (string|undefined), ext: (string|undefined)}} output An output from {@link transformFile}.
+ * @returns {string}
+ */
+const outputName = (name, { variant, ext }) => {
+  const parsed = path.posix.parse(name);
+  const base = parsed.dir ? `${parsed.dir}/${parsed.name}` : parsed.name;
+  return `${base}${variant ? `-${variant}` : ""}${ext || parsed.ext}`;
+};
+
+module.exports = { transformFile, outputName };
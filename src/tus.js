@@ -0,0 +1,364 @@
+// src/tus.js
+const crypto = require("crypto");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const { ERROR_CODES, FileSaveError, UploadLimitError } = require("./errors");
+const { sniffFile } = require("./content-type");
+const { sanitizeFilename, safeExtension } = require("./sanitize");
+const { createUxioObject } = require("./parser");
+
+/**
+ * @module tus
+ * @description Resumable uploads implementing the tus 1.0.0 core protocol with the creation,
+ * termination and expiration extensions (https://tus.io/protocols/resumable-upload).
+ */
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+
+/**
+ * Upload ids are generated UUIDs, anything else in the URL cannot name a stored upload.
+ * @type {RegExp}
+ */
+const UPLOAD_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * What is stored next to the data of an upload, as `<id>.json`.
+ * @typedef {object} TusUploadInfo
+ * @property {string} id The upload id.
+ * @property {number} length The declared `Upload-Length`.
+ * @property {string} dataFile The name of the data file in the storage directory.
+ * @property {Object<string, string>} metadata The decoded `Upload-Metadata` pairs.
+ * @property {string} [rawMetadata] The `Upload-Metadata` header as sent.
+ * @property {number} expiresAt When the upload expires, in milliseconds since the epoch.
+ */
+
+/**
+ * Parses an `Upload-Metadata` header: comma separated `key base64value` pairs, the value being optional.
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ * @throws {FileSaveError} With status 400 when the header is malformed.
+ */
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+  for (const pair of String(header).split(",")) {
+    const [key, value, ...rest] = pair.trim().split(" ");
+    if (!key || rest.length > 0 || Object.prototype.hasOwnProperty.call(metadata, key) ||
+      (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) {
+      throw new FileSaveError("Invalid Upload-Metadata header.", 400, { code: ERROR_CODES.MALFORMED_REQUEST });
+    }
+    metadata[key] = value === undefined ? "" : Buffer.from(value, "base64").toString("utf8");
+  }
+  return metadata;
+};
+
+const parseLength = (value) => (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+
+/**
+ * Resumable upload middleware implementing the tus protocol. Mount it on a path with `app.use()`:
+ * `POST` on that path creates an upload, and `HEAD`, `PATCH` and `DELETE` on `<path>/<id>` read the
+ * offset, append bytes and terminate it. Partial uploads are kept on disk between requests.
+ *
+ * When a request completes an upload, `req.uxio` is set with the finished file as a regular
+ * `UxioFile` and `next()` is called, so the route that follows can use `files.save()` or
+ * `files.send()`. The status and tus headers are already set: end the response with `res.end()`
+ * (or pass an error to `next(err)`). The stored upload is removed once that response is done.
+ *
+ * @param {object} [options]
+ * @param {string} [options.directory] Where partial uploads are stored. Defaults to `<os tmpdir>/uxio-tus`.
+ * @param {number} [options.maxSize] The largest `Upload-Length` accepted, in bytes.
+ * @param {number} [options.expiration=86400000] Milliseconds an upload may stay idle before it expires and is removed.
+ * @param {string} [options.fieldname='file'] The `fieldname` of completed files, unless the client sends a `fieldname` metadata.
+ * @param {string} [options.basePath] The public path the middleware is mounted on, used in `Location`. Defaults to `req.baseUrl`.
+ * @returns {Function} Express/Connect-compatible middleware function.
+ *
+ * @example
+ * app.use('/files', Uxio.tus({ maxSize: 5 * 1024 ** 3 }), async (req, res, next) => {
+ *   try {
+ *     await Uxio.files.save({ fieldname: 'file', path: './uploads', makedir: true }, req.uxio);
+ *     res.end();
+ *   } catch (err) {
+ *     next(err);
+ *   }
+ * });
+ */
+function tus(options = {}) {
+  const {
+    directory = path.join(os.tmpdir(), "uxio-tus"),
+    maxSize,
+    expiration = 24 * 60 * 60 * 1000,
+    fieldname: defaultFieldname = "file",
+    basePath,
+  } = options;
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Uploads being appended to, a second PATCH would race on the offset
+  const locked = new Set();
+
+  const infoPath = (id) => path.join(directory, `${id}.json`);
+
+  const readInfo = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(infoPath(id), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  // Also removes what was derived from the data file in place, such as the outputs of `transform`
+  const removeUpload = async (info) => {
+    const derived = (await fs.promises.readdir(directory).catch(() => [])).filter((name) => name.startsWith(`${info.dataFile}-`));
+    for (const name of [info.dataFile, ...derived]) {
+      await fs.promises.rm(path.join(directory, name), { force: true });
+    }
+    await fs.promises.rm(infoPath(info.id), { force: true });
+  };
+
+  // The offset is what actually reached the disk, so it survives crashes and dropped connections
+  const offsetOf = async (info) => {
+    try {
+      return (await fs.promises.stat(path.join(directory, info.dataFile))).size;
+    } catch (err) {
+      if (err.code === "ENOENT") return 0;
+      throw err;
+    }
+  };
+
+  const loadUpload = async (id) => {
+    const info = UPLOAD_ID.test(id) ? await readInfo(id) : null;
+    if (!info) {
+      throw new FileSaveError(`Upload '${id}' not found.`, 404, { code: ERROR_CODES.UPLOAD_NOT_FOUND });
+    }
+    if (info.expiresAt <= Date.now() && !locked.has(id)) {
+      await removeUpload(info);
+      throw new FileSaveError(`Upload '${id}' has expired.`, 410, { code: ERROR_CODES.UPLOAD_EXPIRED });
+    }
+    return info;
+  };
+
+  const setExpires = (res, info) => {
+    res.setHeader("Upload-Expires", new Date(info.expiresAt).toUTCString());
+  };
+
+  // Removes expired uploads that clients never came back for
+  const sweep = async () => {
+    const names = await fs.promises.readdir(directory).catch(() => []);
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const info = await readInfo(path.basename(name, ".json")).catch(() => null);
+      if (info && info.expiresAt <= Date.now() && !locked.has(info.id)) {
+        await removeUpload(info).catch(() => {});
+      }
+    }
+  };
+  setInterval(sweep, Math.min(expiration, 60 * 60 * 1000)).unref();
+
+  // Exposes a finished upload the same way the multipart middleware exposes its files
+  const completeUpload = async (req, res, next, info) => {
+    const tempFilePath = path.join(directory, info.dataFile);
+    const claimedMimeType = info.metadata.filetype || info.metadata.type || null;
+    const detectedMimeType = await sniffFile(tempFilePath).catch(() => null);
+    const originalFilename = info.metadata.filename || info.metadata.name || info.id;
+    const uxioFile = {
+      fieldname: info.metadata.fieldname || defaultFieldname,
+      filename: sanitizeFilename(originalFilename),
+      originalFilename,
+      encoding: "7bit",
+      mimeType: claimedMimeType || detectedMimeType || "application/octet-stream",
+      claimedMimeType,
+      detectedMimeType,
+      tempFilePath,
+      size: info.length,
+      tusId: info.id,
+      metadata: info.metadata,
+    };
+
+    const cleanup = () => {
+      removeUpload(info).catch((err) => {
+        console.error(`Failed to remove tus upload ${info.id}`, err);
+      });
+    };
+    req.uxio = createUxioObject(cleanup);
+    req.uxio.files.push(uxioFile);
+    // Settles once the route is done with the response, so a PATCH keeps its lock until then
+    return new Promise((resolve) => {
+      const done = () => {
+        cleanup();
+        resolve();
+      };
+      res.on("finish", done);
+      res.on("close", done);
+      next();
+    });
+  };
+
+  const create = async (req, res, next) => {
+    if (req.headers["upload-defer-length"] !== undefined) {
+      throw new FileSaveError("Upload-Defer-Length is not supported, send Upload-Length.", 400, { code: ERROR_CODES.MALFORMED_REQUEST });
+    }
+    const length = parseLength(req.headers["upload-length"]);
+    if (Number.isNaN(length)) {
+      throw new FileSaveError("A valid Upload-Length header is required.", 400, { code: ERROR_CODES.MALFORMED_REQUEST });
+    }
+    if (maxSize && length > maxSize) {
+      throw new UploadLimitError(`Upload-Length exceeds the limit of ${maxSize} bytes.`, "maxSize", 413, { max: maxSize });
+    }
+    const metadata = parseMetadata(req.headers["upload-metadata"]);
+
+    const id = crypto.randomUUID();
+    const info = {
+      id,
+      length,
+      dataFile: `${id}${safeExtension(sanitizeFilename(metadata.filename || metadata.name))}`,
+      metadata,
+      ...(req.headers["upload-metadata"] && { rawMetadata: req.headers["upload-metadata"] }),
+      expiresAt: Date.now() + expiration,
+    };
+    await fs.promises.writeFile(path.join(directory, info.dataFile), "");
+    await fs.promises.writeFile(infoPath(id), JSON.stringify(info));
+
+    const base = basePath !== undefined ? basePath : req.baseUrl || "";
+    res.statusCode = 201;
+    res.setHeader("Location", `${base.replace(/\/$/, "")}/${id}`);
+    setExpires(res, info);
+    if (length === 0) {
+      return completeUpload(req, res, next, info);
+    }
+    res.end();
+  };
+
+  const head = async (req, res, id) => {
+    const info = await loadUpload(id);
+    res.statusCode = 200;
+    res.setHeader("Upload-Offset", String(await offsetOf(info)));
+    res.setHeader("Upload-Length", String(info.length));
+    if (info.rawMetadata) res.setHeader("Upload-Metadata", info.rawMetadata);
+    res.setHeader("Cache-Control", "no-store");
+    setExpires(res, info);
+    res.end();
+  };
+
+  const patch = async (req, res, next, id) => {
+    if (String(req.headers["content-type"] || "").split(";")[0].trim() !== "application/offset+octet-stream") {
+      throw new FileSaveError("PATCH requests must use Content-Type: application/offset+octet-stream.", 415, {
+        code: ERROR_CODES.MALFORMED_REQUEST,
+      });
+    }
+    const info = await loadUpload(id);
+    const requestedOffset = parseLength(req.headers["upload-offset"]);
+    // The request that completed the upload already ran the route (or still does), a retry only learns the final offset
+    const answerComplete = () => {
+      req.resume();
+      res.statusCode = 204;
+      res.setHeader("Upload-Offset", String(info.length));
+      setExpires(res, info);
+      res.end();
+    };
+    if (requestedOffset === info.length && (await offsetOf(info)) === info.length) {
+      return answerComplete();
+    }
+    if (locked.has(id)) {
+      throw new FileSaveError(`Upload '${id}' is already being written to.`, 409, { code: ERROR_CODES.UPLOAD_LOCKED });
+    }
+    locked.add(id);
+    try {
+      const offset = await offsetOf(info);
+      if (requestedOffset !== offset) {
+        throw new FileSaveError(`Upload-Offset ${req.headers["upload-offset"]} does not match the current offset ${offset}.`, 409, {
+          code: ERROR_CODES.OFFSET_MISMATCH,
+        });
+      }
+      if (offset === info.length) {
+        return answerComplete();
+      }
+
+      let written = offset;
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          if (written > info.length) {
+            callback(new FileSaveError(`The upload exceeds its Upload-Length of ${info.length} bytes.`, 413, { code: ERROR_CODES.FILE_TOO_LARGE, limit: info.length }));
+          } else {
+            callback(null, chunk);
+          }
+        },
+      });
+      try {
+        await pipeline(req, guard, fs.createWriteStream(path.join(directory, info.dataFile), { flags: "a" }));
+      } catch (err) {
+        // Bytes written before a dropped connection are kept, the client resumes from the new offset
+        if (err instanceof FileSaveError) throw err;
+        if (!req.complete) return;
+        throw new FileSaveError(err.message, 500);
+      }
+
+      info.expiresAt = Date.now() + expiration;
+      await fs.promises.writeFile(infoPath(id), JSON.stringify(info));
+
+      const newOffset = await offsetOf(info);
+      res.statusCode = 204;
+      res.setHeader("Upload-Offset", String(newOffset));
+      setExpires(res, info);
+      if (newOffset === info.length) {
+        return await completeUpload(req, res, next, info);
+      }
+      res.end();
+    } finally {
+      locked.delete(id);
+    }
+  };
+
+  const terminate = async (req, res, id) => {
+    const info = await loadUpload(id);
+    if (locked.has(id)) {
+      throw new FileSaveError(`Upload '${id}' is already being written to.`, 409, { code: ERROR_CODES.UPLOAD_LOCKED });
+    }
+    await removeUpload(info);
+    res.statusCode = 204;
+    res.end();
+  };
+
+  return (req, res, next) => {
+    const method = String(req.headers["x-http-method-override"] || req.method).toUpperCase();
+    const pathname = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "");
+    const id = pathname.replace(/^\//, "");
+    const onCollection = pathname === "";
+
+    if (method === "OPTIONS" && (onCollection || !id.includes("/"))) {
+      res.statusCode = 204;
+      res.setHeader("Tus-Resumable", TUS_VERSION);
+      res.setHeader("Tus-Version", TUS_VERSION);
+      res.setHeader("Tus-Extension", TUS_EXTENSIONS);
+      if (maxSize) res.setHeader("Tus-Max-Size", String(maxSize));
+      return res.end();
+    }
+
+    const handled = onCollection ? method === "POST" : !id.includes("/") && ["HEAD", "PATCH", "DELETE"].includes(method);
+    if (!handled) {
+      return next();
+    }
+
+    res.setHeader("Tus-Resumable", TUS_VERSION);
+    if (req.headers["tus-resumable"] !== TUS_VERSION) {
+      res.setHeader("Tus-Version", TUS_VERSION);
+      return next(new FileSaveError(`Unsupported Tus-Resumable version, this server supports ${TUS_VERSION}.`, 412, { code: ERROR_CODES.UNSUPPORTED_VERSION }));
+    }
+
+    const handle =
+      method === "POST" ? create(req, res, next)
+        : method === "HEAD" ? head(req, res, id)
+          : method === "PATCH" ? patch(req, res, next, id)
+            : terminate(req, res, id);
+    handle.catch((err) => {
+      // Unread request bodies would otherwise keep the connection busy
+      req.resume();
+      next(err instanceof FileSaveError || err instanceof UploadLimitError ? err : new FileSaveError(err.message, 500));
+    });
+  };
+}
+
+module.exports = { tus, parseMetadata };
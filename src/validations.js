@@ -0,0 +1,266 @@
+// src/validations.js
+const path = require("path");
+const { metadata: extractMetadata } = require("./metadata-helper.js");
+const { ERROR_CODES, FileSaveError } = require("./errors.js");
+const { SNIFF_BYTES, sniffMimeType, sniffFile, isContentCompatible } = require("./content-type.js");
+
+/**
+ * @module validations
+ * @description The rules of `validations` (see {@link module:files~validations}), shared by `save()`/`send()`
+ * and the files streamed by the middleware's `send` option.
+ */
+
+/**
+ * Normalizes an `extensions` allow-list to lower-case extensions with their dot.
+ * @param {string|string[]} [extensions] An array, or a comma separated list.
+ * @returns {string[]|null}
+ */
+const allowedExtensionsOf = (extensions) => {
+  if (!extensions) return null;
+  return (Array.isArray(extensions) ? extensions : extensions.split(','))
+    .map((extension) => extension.trim().toLowerCase())
+    .map((extension) => (extension.startsWith('.') ? extension : `.${extension}`));
+};
+
+/**
+ * Rules checked against the file's metadata. Files whose metadata lacks the measured value fail them.
+ * @type {string[]}
+ */
+const METADATA_RULES = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'aspectRatio', 'maxDuration', 'maxPages'];
+
+/**
+ * Reads an `aspectRatio` rule as a number.
+ * @param {number|string} aspectRatio A ratio or `'width:height'`.
+ * @returns {number}
+ * @private
+ */
+const parseAspectRatio = (aspectRatio) => {
+  const [width, height = 1] = typeof aspectRatio === 'string' ? aspectRatio.split(':').map(Number) : [aspectRatio];
+  const ratio = width / height;
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    throw new FileSaveError(`Invalid aspectRatio '${aspectRatio}'. Use a number or 'width:height'.`, 400, { code: ERROR_CODES.INVALID_CONFIG });
+  }
+  return ratio;
+};
+
+/**
+ * Returns a function reporting a rule violation of a file: it throws the error, or adds it to
+ * `violations` when the call collects every violation.
+ * @param {object} file The `UxioFile`.
+ * @param {FileSaveError[]|null} violations
+ * @returns {function(string, string, string, *): void} `(message, code, rule, limit)`
+ */
+const violationReporter = (file, violations) => (message, code, rule, limit) => {
+  const err = new FileSaveError(message, 400, { code, field: file.fieldname, filename: file.filename, rule, limit });
+  if (!violations) {
+    throw err;
+  }
+  violations.push(err);
+};
+
+/**
+ * Applies the rules that need the file's metadata.
+ * @param {object} file The `UxioFile`.
+ * @param {module:files~validations} validations
+ * @param {object} metadata
+ * @param {function} reject The file's violation reporter.
+ * @private
+ */
+const validateMetadata = (file, validations, metadata, reject) => {
+  const { minWidth, maxWidth, minHeight, maxHeight, aspectRatio, aspectRatioTolerance = 0.01, maxDuration, maxPages } = validations;
+  const { width, height, duration, pages } = metadata;
+  const dimensionRules = Object.entries({ minWidth, maxWidth, minHeight, maxHeight, aspectRatio }).filter(([, rule]) => rule !== undefined);
+
+  if (dimensionRules.length > 0) {
+    const expected = aspectRatio === undefined ? null : parseAspectRatio(aspectRatio);
+    if (!Number.isFinite(width) || !Number.isFinite(height)) {
+      const [rule, limit] = dimensionRules[0];
+      reject(`Could not read the dimensions of '${file.filename}'.`, ERROR_CODES.METADATA_UNREADABLE, rule, limit);
+    } else {
+      if (minWidth !== undefined && width < minWidth) {
+        reject(`Image '${file.filename}' is ${width}px wide, the minimum is ${minWidth}px.`, ERROR_CODES.DIMENSIONS_OUT_OF_RANGE, 'minWidth', minWidth);
+      }
+      if (maxWidth !== undefined && width > maxWidth) {
+        reject(`Image '${file.filename}' is ${width}px wide, the maximum is ${maxWidth}px.`, ERROR_CODES.DIMENSIONS_OUT_OF_RANGE, 'maxWidth', maxWidth);
+      }
+      if (minHeight !== undefined && height < minHeight) {
+        reject(`Image '${file.filename}' is ${height}px high, the minimum is ${minHeight}px.`, ERROR_CODES.DIMENSIONS_OUT_OF_RANGE, 'minHeight', minHeight);
+      }
+      if (maxHeight !== undefined && height > maxHeight) {
+        reject(`Image '${file.filename}' is ${height}px high, the maximum is ${maxHeight}px.`, ERROR_CODES.DIMENSIONS_OUT_OF_RANGE, 'maxHeight', maxHeight);
+      }
+      if (expected !== null && Math.abs(width / height - expected) / expected > aspectRatioTolerance) {
+        reject(
+          `Image '${file.filename}' is ${width}x${height}, the required aspect ratio is ${aspectRatio}.`,
+          ERROR_CODES.ASPECT_RATIO_MISMATCH,
+          'aspectRatio',
+          aspectRatio,
+        );
+      }
+    }
+  }
+
+  if (maxDuration !== undefined) {
+    if (!Number.isFinite(duration)) {
+      reject(`Could not read the duration of '${file.filename}'.`, ERROR_CODES.METADATA_UNREADABLE, 'maxDuration', maxDuration);
+    } else if (duration > maxDuration) {
+      reject(`'${file.filename}' lasts ${duration} seconds, the maximum is ${maxDuration}.`, ERROR_CODES.DURATION_TOO_LONG, 'maxDuration', maxDuration);
+    }
+  }
+
+  if (maxPages !== undefined) {
+    if (!Number.isFinite(pages)) {
+      reject(`Could not read the page count of '${file.filename}'.`, ERROR_CODES.METADATA_UNREADABLE, 'maxPages', maxPages);
+    } else if (pages > maxPages) {
+      reject(`'${file.filename}' has ${pages} pages, the maximum is ${maxPages}.`, ERROR_CODES.TOO_MANY_PAGES, 'maxPages', maxPages);
+    }
+  }
+};
+
+/**
+ * Normalizes a `mimeType` allow-list to an array.
+ * @param {string|string[]} [mimeType] An array, or a comma separated list.
+ * @returns {string[]|null}
+ */
+const allowedMimeTypesOf = (mimeType) => {
+  if (!mimeType) return null;
+  return Array.isArray(mimeType) ? mimeType : mimeType.split(",").map((m) => m.trim());
+};
+
+/**
+ * Checks a file size against `maxSize` and `minSize`. Streamed files check `maxSize` as bytes flow
+ * and `minSize` once the last one arrived, so each limit can be checked on its own.
+ * @param {object} file The `UxioFile`.
+ * @param {number} size The bytes received so far, or the whole size.
+ * @param {module:files~validations} validations
+ * @param {function} reject The file's violation reporter.
+ * @param {{max: boolean, min: boolean}} [checks] Which limits to check.
+ */
+const checkSize = (file, size, validations, reject, { max = true, min = true } = {}) => {
+  if (max && validations.maxSize && size > validations.maxSize) {
+    reject(
+      `File size for '${file.filename}' exceeds limit of ${validations.maxSize} bytes.`,
+      ERROR_CODES.FILE_TOO_LARGE,
+      'maxSize',
+      validations.maxSize,
+    );
+  }
+  if (min && validations.minSize && size < validations.minSize) {
+    reject(
+      `File size for '${file.filename}' is below the minimum of ${validations.minSize} bytes.`,
+      ERROR_CODES.FILE_TOO_SMALL,
+      'minSize',
+      validations.minSize,
+    );
+  }
+};
+
+/**
+ * Checks the file name against `extensions` and the declared MIME type against `mimeType`.
+ * @param {object} file The `UxioFile`.
+ * @param {module:files~validations} validations
+ * @param {function} reject The file's violation reporter.
+ */
+const checkDeclaredType = (file, validations, reject) => {
+  const allowedExtensions = allowedExtensionsOf(validations.extensions);
+  if (allowedExtensions && !allowedExtensions.includes(path.extname(file.filename).toLowerCase())) {
+    reject(
+      `Invalid file extension for '${file.filename}'. Only ${allowedExtensions.join(", ")} are allowed.`,
+      ERROR_CODES.EXTENSION_NOT_ALLOWED,
+      'extensions',
+      allowedExtensions,
+    );
+  }
+
+  const allowedMimeTypes = allowedMimeTypesOf(validations.mimeType);
+  if (allowedMimeTypes && !allowedMimeTypes.includes(file.mimeType)) {
+    reject(
+      `Invalid file type for '${file.filename}'. Only ${allowedMimeTypes.join(", ")} are allowed.`,
+      ERROR_CODES.MIME_NOT_ALLOWED,
+      'mimeType',
+      allowedMimeTypes,
+    );
+  }
+};
+
+/**
+ * The `verifyContent` rule: the detected content type must match the declared one and the `mimeType` allow-list.
+ * @param {object} file The `UxioFile`.
+ * @param {string|null} detected The MIME type sniffed from the file's first bytes.
+ * @param {module:files~validations} validations
+ * @param {function} reject The file's violation reporter.
+ */
+const checkContent = (file, detected, validations, reject) => {
+  const claimed = file.claimedMimeType || file.mimeType;
+  const allowedMimeTypes = allowedMimeTypesOf(validations.mimeType);
+
+  if (!isContentCompatible(claimed, detected)) {
+    reject(
+      `Content of '${file.filename}' does not match its declared type '${claimed}' (detected '${detected || "unknown"}').`,
+      ERROR_CODES.CONTENT_MISMATCH,
+      'verifyContent',
+    );
+  } else if (allowedMimeTypes && !allowedMimeTypes.some((allowed) => isContentCompatible(allowed, detected))) {
+    reject(
+      `Invalid file content for '${file.filename}' (detected '${detected || "unknown"}'). Only ${allowedMimeTypes.join(", ")} are allowed.`,
+      ERROR_CODES.CONTENT_MISMATCH,
+      'verifyContent',
+      allowedMimeTypes,
+    );
+  }
+};
+
+/**
+ * Applies the `validations` rules of a config to a single uploaded file.
+ * @param {object} file The `UxioFile` to validate.
+ * @param {module:files~validations} validations The validation rules.
+ * @param {FileSaveError[]|null} [violations=null] Collects every violation of the file instead of
+ * rejecting with the first one.
+ * @returns {Promise<object|null>} The metadata read for the rules that need it (null when none do).
+ * Rejects with a `FileSaveError` when the file fails a rule.
+ */
+const validateFile = async (file, validations, violations = null) => {
+  const reject = violationReporter(file, violations);
+
+  checkSize(file, file.size, validations, reject);
+  checkDeclaredType(file, validations, reject);
+
+  if (validations.verifyContent) {
+    // Files that did not go through the middleware's sniffing are inspected on disk
+    const detected = file.detectedMimeType !== undefined
+      ? file.detectedMimeType
+      : file.buffer
+        ? await sniffMimeType(file.buffer.subarray(0, SNIFF_BYTES))
+        : await sniffFile(file.tempFilePath);
+    checkContent(file, detected, validations, reject);
+  }
+
+  const validators = validations.custom ? [].concat(validations.custom) : [];
+  if (validators.some((validator) => typeof validator !== 'function')) {
+    throw new FileSaveError("validations.custom must be a function or an array of functions.", 400, { code: ERROR_CODES.INVALID_CONFIG });
+  }
+  if (validators.length === 0 && !METADATA_RULES.some((rule) => validations[rule] !== undefined)) {
+    return null;
+  }
+
+  const metadata = await extractMetadata(file);
+  validateMetadata(file, validations, metadata, reject);
+  for (const validator of validators) {
+    const verdict = await validator(file, metadata);
+    if (verdict === false || typeof verdict === 'string') {
+      reject(typeof verdict === 'string' ? verdict : `File '${file.filename}' failed validation.`, ERROR_CODES.CUSTOM_VALIDATION_FAILED, 'custom');
+    }
+  }
+  return metadata;
+};
+
+module.exports = {
+  METADATA_RULES,
+  allowedExtensionsOf,
+  allowedMimeTypesOf,
+  violationReporter,
+  checkSize,
+  checkDeclaredType,
+  checkContent,
+  validateFile,
+};